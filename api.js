@@ -0,0 +1,116 @@
+// Scripting API, exposed as window.quantumcam once the simulator has started (the window then gets a
+// 'quantumcam-ready' event). It drives the same state as the panel, so scripts and controls can be mixed:
+//
+//   const q = window.quantumcam;
+//   q.setParams({ presetType: 'barrier', barrierHeight: 0.3 });
+//   q.setPotentialSource('preset');
+//   q.resetWavefunction();
+//   await q.run(2000);
+//   console.log((await q.readObservables()).energy);
+//
+// Fields are row-major Float32Arrays of width × height cells (api.params.width / height, which is the
+// CPU solver's coarser grid when WebGPU is unavailable).
+
+import { runExperiment } from './experiment.js';
+
+// Sources a script can select; 'snapshot' is reached through setPotential()
+const SCRIPT_SOURCES = ['webcam', 'image', 'preset'];
+
+export function createQuantumcamApi(app) {
+    return {
+        // Copy of every parameter, under the names the settings links and snapshots use
+        get params() {
+            return { ...app.params };
+        },
+
+        get time() {
+            return app.time;
+        },
+
+        get steps() {
+            return app.stepCount;
+        },
+
+        // Any subset of params; unknown names are ignored, like in settings links
+        setParams(values) {
+            app.applyParams(values);
+        },
+
+        resize(width, height) {
+            return app.resizeGrid(Math.round(width), Math.round(height));
+        },
+
+        setPotentialSource(source) {
+            if (!SCRIPT_SOURCES.includes(source)) {
+                throw new Error(`Unknown potential source "${source}", use one of ${SCRIPT_SOURCES.join(', ')}`);
+            }
+            if (source === 'image' && !app.uploadedBitmap) {
+                throw new Error('Upload an image before using it as potential source');
+            }
+            app.setPotentialSource(source);
+        },
+
+        // V_raw for every cell (V = potentialAmplitude·(V_raw − potentialOffset)); becomes the 'snapshot' source
+        setPotential(data) {
+            const { width, height } = app.params;
+            if (data?.length !== width * height) {
+                throw new Error(`The potential needs ${width} × ${height} = ${width * height} values`);
+            }
+            app.setSnapshotPotential(Float32Array.from(data));
+        },
+
+        // ψ = real + i·imag; in spin mode ψ↓ comes from downReal / downImag, or from the spin direction
+        // controls when they are left out
+        setWavefunction(real, imag, downReal = null, downImag = null) {
+            const { width, height } = app.params;
+            const fields = [real, imag, ...(downReal ? [downReal, downImag] : [])];
+            if (!fields.every(field => field?.length === width * height)) {
+                throw new Error(`Each component of ψ needs ${width} × ${height} = ${width * height} values`);
+            }
+            const [psiR, psiI, downR, downI] = fields.map(field => Float32Array.from(field));
+            app.uploadWavefunction(psiR, psiI, downR && { real: downR, imag: downI });
+        },
+
+        // Fresh ψ from the packet settings (or the packet list) at t = 0
+        resetWavefunction() {
+            app.initializeWavefunction();
+        },
+
+        // Pauses and resolves once `steps` more steps have run; rejects if play() or pause() comes first,
+        // and while a ground-state search (❄️ Condensate) runs
+        run(steps) {
+            return app.requestSteps(Math.max(0, Math.round(steps)));
+        },
+
+        pause() {
+            app.setPaused(true);
+        },
+
+        play() {
+            app.setPaused(false);
+        },
+
+        // { psiR, psiI, potential (V_raw) } plus downR / downI in spin mode
+        readFields() {
+            return app.readFields();
+        },
+
+        // { norm, x, y, px, py, kinetic, potential, energy } of the current ψ, as in the panel
+        readObservables() {
+            return app.measureObservables();
+        },
+
+        // 'frame' ({ frame, time, steps }) after every rendered frame, 'observables' after every reading;
+        // returns a function that removes the listener
+        on(type, listener) {
+            const handler = (event) => listener(event.detail);
+            app.events.addEventListener(type, handler);
+            return () => app.events.removeEventListener(type, handler);
+        },
+
+        // JSON parameter sweep, see experiment.js
+        runExperiment(script, options) {
+            return runExperiment(this, script, options);
+        }
+    };
+}
@@ -1,14 +1,80 @@
 // Schrödinger Equation Webcam Visualizer - Standalone Application
 // Minimal self-contained quantum mechanics simulator using WebGPU
 
+import { BOUNDARY, CpuSolver } from './cpu-solver.js';
+import { PRESET_POTENTIALS, generatePresetPotential, potentialToPixels, presetDefaults } from './potentials.js';
+import { SNAPSHOT_EXTENSION, decodeSnapshot, encodeSnapshot, resampleField } from './snapshot.js';
+import { decodeSettings, encodeSettings, loadSavedSettings, storeSavedSettings } from './settings.js';
+import { GifWriter } from './gif.js';
+import { createZip } from './zip.js';
+import { createQuantumcamApi } from './api.js';
+import { EXAMPLE_EXPERIMENT, experimentToCsv, runExperiment } from './experiment.js';
+import { EXPORT_FIELDS, EXPORT_FORMATS, encodeCsv, encodeNpy, encodeNpz, encodePng16, exportFields } from './export.js';
+import { MOMENTUM_INSET_BORDER, MOMENTUM_INSET_MARGIN, MOMENTUM_INSET_SIZE, fftStages, nextPowerOfTwo } from './fft.js';
+import { DETECTOR_BIN_FLOATS, createDetector, detectorGeometry, detectorsToCsv, recordDetections, resetDetector, samplePoisson } from './detectors.js';
+import { PACKET_EXAMPLES, PACKET_FIELDS, createPacket, decodePackets, encodePackets, superposePackets } from './packets.js';
+import { BARRIER_MOTION, FIELD_ENVELOPE } from './drive.js';
+import { fieldIntegrator } from './magnetic.js';
+import { SPIN_FIELD, SPIN_VIEW, getSpinColorWGSL, sigmaZColor, spinComponents, spinorWeights } from './spin.js';
+import { MAX_EIGENSTATES, createEigenProblem, solveEigenstates } from './eigensolver.js';
+import { CHANNEL, POTENTIAL_CHANNELS, THRESHOLD, blurKernelRadius, signalOptions } from './preprocess.js';
+import { COLORMAPS, COLORMAP_DIVERGING, LOG_DISPLAY_DECADES, colormapColor, colormapPosition, getColormapWGSL, isSignedDisplayMode, phaseColor } from './colormaps.js';
+
+// CPU fallback: grid is downscaled by this factor and each frame gets this many ms of stepping
+const CPU_DOWNSCALE = 2;
+const CPU_FRAME_BUDGET_MS = 20;
+const CPU_MOMENTUM_INTERVAL = 4;    // frames between momentum-space transforms, which cost about a frame each
+
+// Raw sums produced by the observables pass, and how many readings the sparklines keep
+const OBSERVABLE_SUMS = 7;
+const OBSERVABLE_HISTORY = 120;
+
+// Dragging on the canvas: slider units of k per grid cell dragged, and the shortest drag that counts
+const DRAG_MOMENTUM_SCALE = 0.05;
+const MIN_DRAG_CELLS = 4;
+
+// Paint editor: how many strokes can be undone
+const PAINT_UNDO_LIMIT = 50;
+
+// Detector histograms: plot size in pixels and the colours of successive detectors
+const DETECTOR_PLOT_WIDTH = 280;
+const DETECTOR_PLOT_HEIGHT = 70;
+const DETECTOR_COLORS = ['#ffd54f', '#81c784', '#f06292', '#ba68c8', '#4dd0e1', '#ff8a65'];
+
+// Most simulation steps run in one frame
+const MAX_STEPS_PER_FRAME = 100;
+
+// Camera stream sizes on offer; 'grid' asks for the canvas size
+const CAMERA_RESOLUTIONS = ['grid', '640x480', '1280x720', '1920x1080'];
+
+// Phase per grid cell of one unit of the kx/ky sliders
+const MOMENTUM_UNIT = 0.3;
+
 class QuantumWebcam {
     constructor() {
         this.device = null;
+        this.cpu = null;                     // CpuSolver when WebGPU is unavailable
         this.canvas = document.getElementById('simulation-canvas');
+        this.overlay = document.getElementById('overlay-canvas');
         this.context = null;
-        this.potentialSource = 'webcam';     // 'webcam' | 'image'
+        this.potentialSource = 'webcam';     // 'webcam' | 'image' | 'preset' | 'snapshot'
         this.uploadedBitmap = null;          // ImageBitmap
         this.uploadedDirty = false;          // copy-to-texture needed?
+        this.staticPotential = null;         // V_raw of the preset/snapshot source (Float32Array)
+        this.staticPixels = null;            // grayscale preview of the static potential
+        this.snapshotPotential = null;       // V_raw restored from the last loaded snapshot
+        this.controls = new Map();           // element id -> { element, param, display }, see syncControls()
+
+        // Painted overlay: R = V_raw, A = coverage, at grid resolution
+        this.paintCanvas = document.getElementById('paint-canvas');
+        this.paintTool = 'brush';            // 'brush' | 'eraser' | 'line' | 'rectangle' | 'ellipse'
+        this.paintHasContent = false;
+        this.paintDirty = false;             // mask changed since the last upload
+        this.paintUndo = [];
+        this.paintRedo = [];
+
+        this.canvasTool = 'packet';          // what pointer input on the canvas does, see canvasTools
+        this.canvasTools = {};
 
         // Simulation parameters
         this.params = {
@@ -18,7 +84,7 @@ class QuantumWebcam {
             dx: 5.2,            // Spatial step (larger = faster propagation)
             waveSpeed: 4.3,     // ℏ/m coefficient
             damping: 0.0,
-            sourceEnabled: true,
+            sourceEnabled: false,       // continuous source at the packet position; adds norm while on
             sourceFrequency: 0.1,
             sourceStrength: 2.0,
             sourceSize: 2.5,
@@ -26,57 +92,163 @@ class QuantumWebcam {
             potentialAmplitude: 0.5,
             potentialOffset: 0.0,
             invertBoundaries: false,
+            potentialChannel: 0.0,      // pixel quantity V is taken from, index into POTENTIAL_CHANNELS (preprocess.js)
+            chromaKeyColor: '#00c040',  // colour that becomes a barrier with the chroma key channel
+            chromaKeyTolerance: 0.15,   // chroma distance at which the barrier fades out
+            cameraResolution: 'grid',   // requested stream size: 'grid' (the canvas) or 'WIDTHxHEIGHT'
+            mirrorWebcam: true,         // flip the camera horizontally, like a mirror
+            subtractBackground: false,  // potential from the difference to the captured background frame
+            blurRadius: 0.0,            // Gaussian σ in cells, 0 = off
+            temporalSmoothing: 0.0,     // weight of previous frames in the potential (0 = none)
+            edgeDetect: false,          // Sobel edges only
+            thresholdMode: 0.0,         // 0 = off, 1 = hard, 2 = soft (THRESHOLD in preprocess.js)
+            thresholdLevel: 0.3,
+            thresholdHysteresis: 0.05,
             waveAmplitude: 49.6,
             gamma: 3.40,
             probScale: 4991.0,
             sigma: 10.0,
             kx: 0.6,
             ky: 3.9,
+            packetX: 0.5,       // packet and source position as a fraction of the grid
+            packetY: 0.5,
+            addPackets: false,  // clicking adds a packet instead of replacing ψ
             displayMode: 3.0,
             blendMode: 0.0,     // Normal
+            colormap: 0.0,      // for the scalar display modes, index into COLORMAPS (colormaps.js)
+            momentumView: 0.0,  // |ψ(k)|²: 0 = off, 1 = inset, 2 = full screen
+            momentumZoom: 1.0,  // magnification around k = 0
+            momentumLog: true,  // log scale (LOG_DISPLAY_DECADES below the peak) instead of linear
             mixRatio: 0.40,
-            stepsPerFrame: 100
+            stepsPerFrame: 100,
+            integrator: 1.0,    // 0 = forward Euler, 1 = leapfrog (Visscher), 2 = split-operator
+            boundaryType: 0.0,  // 0 = complex absorbing potential, 1 = PML, 2 = periodic, 3 = hard wall
+            absorberWidth: 32,  // cells
+            absorberStrength: 1.0,
+            presetType: 'slits',
+            ...presetDefaults(),    // parameters of every preset potential (potentials.js)
+            paintMode: 0.0,     // 0 = add, 1 = replace, 2 = max
+            brushValue: 1.0,
+            brushSize: 12,
+            brushSoftness: 2.0,
+            observablesEnabled: true,
+            observablesInterval: 10,    // frames between readbacks
+            detectorShape: 'line',      // shape of new detectors: 'line' or 'rect'
+            detectorBins: 64,
+            singleParticle: false,      // sample discrete hits at the detectors
+            clickRate: 20,              // hits per unit time with all of the probability in a detector
+            stepBatch: 10,              // steps run by the Step button
+            eigenstateCount: 6,         // states the eigenstate solver looks for
+            fieldEnvelope: 0.0,         // uniform field: 0 = off, 1 = cos(ωt), 2 = Gaussian pulse (FIELD_ENVELOPE in drive.js)
+            fieldStrength: 0.1,         // potential drop across the grid width at the field maximum
+            fieldAngle: 0,              // field direction in degrees, 0 = along +x
+            fieldFrequency: 0.01,       // ω; 0 gives a static field
+            pulseCenter: 200,           // time of the pulse maximum
+            pulseWidth: 50,             // τ of the Gaussian pulse envelope
+            barrierMotion: 0.0,         // 0 = off, 1 = oscillating, 2 = moving (BARRIER_MOTION in drive.js)
+            barrierStrength: 0.1,       // height of the moving wall (barrierHeight is the preset barrier's)
+            barrierWidth: 4,            // Gaussian σ in cells
+            barrierX: 0.5,              // rest position, fraction of the grid width
+            barrierAmplitude: 0.2,      // oscillation amplitude, fraction of the grid width
+            barrierFrequency: 0.05,     // ω of the oscillation
+            barrierSpeed: 1.0,          // cells per unit time when moving
+            wellSwitching: false,       // periodically switched Gaussian well
+            wellDepth: 0.1,
+            wellSigma: 20,              // Gaussian σ in cells
+            wellX: 0.5,                 // centre, fraction of the grid
+            wellY: 0.5,
+            wellPeriod: 100,            // switching period in time units
+            wellDuty: 0.5,              // fraction of each period the well is on
+            spinEnabled: false,         // two-component spin-½ ψ (spin.js)
+            spinView: 2.0,              // 0 = spin up, 1 = spin down, 2 = ⟨σ_z⟩ colour (SPIN_VIEW in spin.js)
+            spinTheta: 90,              // spin direction of new wavefunctions, polar angle in degrees (90 = along x)
+            spinPhi: 0,                 // azimuth in degrees
+            spinFieldSource: 0.0,       // B_z: 0 = uniform plus linear gradient, 1 = from the potential (SPIN_FIELD in spin.js)
+            spinField: 0.0,             // uniform B_z
+            spinGradient: 0.2,          // change of B_z across the grid width, or per unit of V_raw
+            spinGradientAngle: 0,       // gradient direction in degrees, 0 = along +x
+            spinTransverse: 0.0,        // uniform B_x, which turns ↑ into ↓
+            magneticField: 0.0,         // uniform B (charge and ℏ = 1): cyclotron frequency B·ℏ/m (magnetic.js)
+            fluxTube: 0.0,              // flux of the thin solenoid in flux quanta, 0 = none
+            fluxX: 0.5,                 // solenoid position, fraction of the grid
+            fluxY: 0.5,
+            nonlinear: false,           // Gross–Pitaevskii mean field g|ψ|²ψ
+            interaction: 0.01,          // g: > 0 repulsive, < 0 attractive
+            groundStateSteps: 20000,    // imaginary time steps of a ground-state search
+            recordOverlay: true,        // draw time and observables into recordings
+            recordFrames: 120,          // length of an offline render
+            recordFps: 25,
+            recordFormat: 'gif',        // offline output: 'gif' or 'png' (zip of frames)
+            recordScale: 0.5,           // offline output size relative to the canvas
+            exportFormat: 'npz',        // data export: 'npz' (every field), 'npy', 'csv' or 'png' (EXPORT_FORMATS in export.js)
+            exportField: 'density'      // field of the single-field formats (EXPORT_FIELDS in export.js)
         };
+        this.defaultParams = { ...this.params };   // what links and saved settings are relative to
 
         this.buffers = {};
         this.pipelines = {};
         this.textures = {};
 
         this.bufferIndex = 0;
-        this.time = 0;
+        this.time = 0;                       // simulation time, stepDuration() per step
+        this.stepCount = 0;
         this.frameCount = 0;
         this.isRunning = false;
+        this.paused = false;                 // no stepping, except what the Step button asks for
+        this.pendingSteps = 0;
+        this.playbackChanges = 0;            // setPaused() calls, which drop the steps requestSteps() waits for
+        this.potentialFrozen = false;        // keep buffers.potential as it is instead of re-extracting it
 
         this.webcamVideo = null;
         this.webcamReady = false;
-    }
+        this.cameraDeviceId = null;          // chosen camera, null for the browser's default front camera
+        this.webcamRequest = 0;              // bumped per initializeWebcam() call, so only the latest stream is kept
 
-    async initialize() {
-        try {
-            if (!navigator.gpu) {
-                throw new Error('WebGPU not supported. Use Chrome 113+ or Edge 113+');
-            }
+        this.hasBackground = false;          // a background frame is in textures.background / cpuBackground
+        this.cpuBackground = null;           // RGBA bytes of the background frame on the CPU path
+        this.preprocessReset = true;         // next potential starts the temporal smoothing afresh
 
-            const adapter = await navigator.gpu.requestAdapter();
-            if (!adapter) throw new Error('No GPU adapter found');
+        this.observables = null;             // latest values from updateObservables()
+        this.observableHistory = {};
+        this.observablesPending = null;      // promise of the GPU readback in flight
 
-            this.device = await adapter.requestDevice();
+        this.packets = [];                   // superposition list, see createPacket() in packets.js
+        this.eigenstates = null;             // last solveEigenstates() result and the size of its solver grid
+        this.eigenSolving = false;           // a solve is running; clearing it stops the solve
+        this.eigenSelection = new Set();     // states ticked for the superposition
+        this.groundState = null;             // imaginary-time search in progress: { norm, remaining, total }
+        this.detectors = [];                 // see createDetector() in detectors.js
+        this.detectorGeometry = null;        // bins of all detectors, concatenated (rebuilt when dirty)
+        this.detectorsDirty = false;
+        this.detectorGeneration = 0;         // bumped on every change, so stale readbacks are dropped
+        this.detectorSteps = 0;              // simulation steps since the last detector reading
+        this.detectorsPending = false;
 
-            this.context = this.canvas.getContext('webgpu');
-            const format = navigator.gpu.getPreferredCanvasFormat();
+        this.recorder = null;                // MediaRecorder while a live recording runs
+        this.offlineRendering = false;       // stepping without the CPU frame budget
 
-            this.context.configure({
-                device: this.device,
-                format: format,
-                alphaMode: 'premultiplied'
-            });
+        this.events = new EventTarget();     // 'frame' and 'observables' events of the scripting API (api.js)
+        this.api = createQuantumcamApi(this);    // window.quantumcam
+        this.experimentRunning = false;      // a script is running; clearing it stops the sweep
+    }
+
+    async initialize() {
+        try {
+            try {
+                await this.initializeWebGPU();
+            } catch (error) {
+                console.warn('WebGPU unavailable, using the CPU solver:', error);
+                this.showError(`${error.message} - running the CPU solver at reduced resolution`);
+                this.initializeCpu();
+            }
 
             await this.initializeWebcam();
-            await this.createBuffers();
-            await this.createPipelines();
             await this.initializeWavefunction();
 
             this.setupUI();
+            if (location.hash.length > 1) {
+                this.applySettings(location.hash.slice(1));
+            }
 
             this.isRunning = true;
             this.animate();
@@ -89,11 +261,88 @@ class QuantumWebcam {
         }
     }
 
+    async initializeWebGPU() {
+        if (!navigator.gpu) {
+            throw new Error('WebGPU not supported. Use Chrome 113+ or Edge 113+');
+        }
+
+        const adapter = await navigator.gpu.requestAdapter();
+        if (!adapter) throw new Error('No GPU adapter found');
+
+        this.device = await adapter.requestDevice();
+
+        this.context = this.canvas.getContext('webgpu');
+        const format = navigator.gpu.getPreferredCanvasFormat();
+
+        this.context.configure({
+            device: this.device,
+            format: format,
+            alphaMode: 'premultiplied'
+        });
+
+        await this.createBuffers();
+        await this.createPipelines();
+    }
+
+    // Plain JS version of the whole pipeline (cpu-solver.js) on a smaller grid,
+    // drawn into a 2D canvas context
+    initializeCpu() {
+        this.params.width = Math.round(this.params.width / CPU_DOWNSCALE);
+        this.params.height = Math.round(this.params.height / CPU_DOWNSCALE);
+
+        // WebGPU may have failed after taking the canvas's 'webgpu' context, which rules out a '2d' one
+        if (this.context) {
+            this.device?.destroy();
+            this.device = null;
+            const canvas = this.canvas.cloneNode(false);
+            this.canvas.replaceWith(canvas);
+            this.canvas = canvas;
+        }
+        this.context = this.canvas.getContext('2d');
+        if (!this.context) throw new Error('Neither WebGPU nor a 2D canvas is available');
+        this.createCpuSolver();
+
+        document.getElementById('backend-info').textContent = 'CPU 2D Quantum Simulation';
+    }
+
+    createCpuSolver() {
+        const { width, height } = this.params;
+        this.cpu = new CpuSolver(width, height);
+
+        // Grid-sized canvases: potential source pixels in, rendered frame out
+        this.cpuSourceCanvas = Object.assign(document.createElement('canvas'), { width, height });
+        this.cpuSourceContext = this.cpuSourceCanvas.getContext('2d', { willReadFrequently: true });
+        this.cpuFrameCanvas = Object.assign(document.createElement('canvas'), { width, height });
+        this.cpuWave = new Float32Array(width * height * 4);
+        this.cpuMomentum = new Float32Array(width * height);
+        this.cpuImage = new ImageData(width, height);
+
+        document.getElementById('resolution-info').textContent = `Resolution: ${width}×${height}`;
+    }
+
+    // Asks the chosen camera for a stream at the chosen resolution (the canvas size by default);
+    // frames of any other size are scaled to the grid
     async initializeWebcam() {
+        const request = ++this.webcamRequest;
+        this.webcamReady = false;
+        this.webcamVideo?.srcObject?.getTracks().forEach(track => track.stop());
+
+        const [width, height] = this.params.cameraResolution === 'grid'
+            ? [this.canvas.width, this.canvas.height]
+            : this.params.cameraResolution.split('x').map(Number);
+        const video = { width: { ideal: width }, height: { ideal: height } };
+        if (this.cameraDeviceId) {
+            video.deviceId = { exact: this.cameraDeviceId };
+        } else {
+            video.facingMode = 'user';
+        }
+
         try {
-            const stream = await navigator.mediaDevices.getUserMedia({
-                video: { width: 640, height: 480, facingMode: 'user' }
-            });
+            const stream = await navigator.mediaDevices.getUserMedia({ video });
+            if (request !== this.webcamRequest) {
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
 
             this.webcamVideo = document.createElement('video');
             this.webcamVideo.srcObject = stream;
@@ -108,43 +357,146 @@ class QuantumWebcam {
                 };
             });
 
+            this.cameraDeviceId = stream.getVideoTracks()[0]?.getSettings().deviceId ?? this.cameraDeviceId;
+            await this.updateCameraList();
+
         } catch (error) {
             console.warn('Webcam not available:', error);
             this.showError('Webcam unavailable - using default potential');
         }
     }
 
+    // Camera picker filled from enumerateDevices(); labels are only available once access was granted
+    async updateCameraList() {
+        const select = document.getElementById('camera-device');
+        const cameras = (await navigator.mediaDevices.enumerateDevices()).filter(device => device.kind === 'videoinput');
+
+        select.replaceChildren(...cameras.map((camera, index) => {
+            const option = document.createElement('option');
+            option.value = camera.deviceId;
+            option.textContent = camera.label || `Camera ${index + 1}`;
+            return option;
+        }));
+        select.disabled = cameras.length === 0;
+        if (this.cameraDeviceId) select.value = this.cameraDeviceId;
+    }
+
+    // Switches cameras or stream sizes while running; the last frame stays in the potential meanwhile
+    setupCameraControls() {
+        const deviceSelect = document.getElementById('camera-device');
+        deviceSelect.addEventListener('change', () => {
+            this.cameraDeviceId = deviceSelect.value;
+            this.clearBackground();
+            this.initializeWebcam();
+        });
+        navigator.mediaDevices?.addEventListener?.('devicechange', () => this.updateCameraList());
+
+        this.setupSelect('camera-resolution', 'cameraResolution', () => this.initializeWebcam());
+        this.setupCheckbox('mirror-webcam', 'mirrorWebcam');
+
+        const channelSelect = document.getElementById('potential-channel');
+        POTENTIAL_CHANNELS.forEach((channel, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = channel.label;
+            channelSelect.appendChild(option);
+        });
+        this.setupSelect('potential-channel', 'potentialChannel', () => this.showChromaKeyControls());
+        const keyInput = document.getElementById('chroma-key-color');
+        this.controls.set(keyInput.id, { element: keyInput, param: 'chromaKeyColor' });
+        keyInput.addEventListener('input', () => {
+            this.params.chromaKeyColor = keyInput.value;
+            this.scheduleHashUpdate();
+        });
+        this.setupSlider('chroma-key-tolerance', 'chromaKeyTolerance');
+        this.showChromaKeyControls();
+    }
+
+    showChromaKeyControls() {
+        const chromaKey = Math.round(this.params.potentialChannel) === CHANNEL.CHROMA_KEY;
+        document.getElementById('chroma-key-controls').style.display = chromaKey ? '' : 'none';
+    }
+
+    // Current webcam frame scaled to width × height, flipped horizontally if mirrored
+    drawWebcamFrame(ctx, width, height) {
+        ctx.save();
+        if (this.params.mirrorWebcam) {
+            ctx.translate(width, 0);
+            ctx.scale(-1, 1);
+        }
+        ctx.drawImage(this.webcamVideo, 0, 0, width, height);
+        ctx.restore();
+    }
+
     async createBuffers() {
         const bufferSize = this.params.width * this.params.height * 4;
 
-        // Wavefunction buffers (double buffered for ψ_R and ψ_I)
+        // Wavefunction buffers (double buffered for ψ_R and ψ_I), readable for snapshots
         this.buffers.psiR = [
             this.device.createBuffer({
                 size: bufferSize,
-                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
             }),
             this.device.createBuffer({
                 size: bufferSize,
-                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
             })
         ];
 
         this.buffers.psiI = [
             this.device.createBuffer({
                 size: bufferSize,
-                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
             }),
             this.device.createBuffer({
                 size: bufferSize,
-                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
             })
         ];
 
+        // Spin-down component in spin mode (psiR/psiI hold spin up), double buffered the same way
+        for (const name of ['downR', 'downI']) {
+            this.buffers[name] = [0, 1].map(() => this.device.createBuffer({
+                size: bufferSize,
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+            }));
+        }
+
         this.buffers.potential = this.device.createBuffer({
             size: bufferSize,
-            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+        });
+
+        // Preset or snapshot V_raw, copied into the potential buffer every frame before painting on top
+        this.buffers.staticPotential = this.device.createBuffer({
+            size: bufferSize,
+            usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
         });
 
+        // Split-operator line solves: Thomas coefficient and cyclic correction (two complex per cell)
+        this.buffers.scratch = this.device.createBuffer({
+            size: bufferSize * 4,
+            usage: GPUBufferUsage.STORAGE
+        });
+
+        // Observables: one row of partial sums per 16×16 workgroup, plus a mappable copy
+        const observableGroups = Math.ceil(this.params.width / 16) * Math.ceil(this.params.height / 16);
+        this.buffers.observables = this.device.createBuffer({
+            size: observableGroups * OBSERVABLE_SUMS * 4,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC
+        });
+        this.buffers.observablesReadback = this.device.createBuffer({
+            size: observableGroups * OBSERVABLE_SUMS * 4,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+        });
+
+        // Potential preprocessing: barrier signal and blur scratch, plus the smoothed signal and
+        // threshold mask that carry over between frames
+        this.buffers.signal = this.device.createBuffer({ size: bufferSize, usage: GPUBufferUsage.STORAGE });
+        this.buffers.signalScratch = this.device.createBuffer({ size: bufferSize, usage: GPUBufferUsage.STORAGE });
+        this.buffers.signalHistory = this.device.createBuffer({ size: bufferSize, usage: GPUBufferUsage.STORAGE });
+        this.buffers.thresholdMask = this.device.createBuffer({ size: bufferSize, usage: GPUBufferUsage.STORAGE });
+
         this.buffers.params = this.device.createBuffer({
             size: 256,
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
@@ -155,9 +507,69 @@ class QuantumWebcam {
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
         });
 
-        this.buffers.renderParams = this.device.createBuffer({
+        this.buffers.preprocessParams = this.device.createBuffer({
+            size: 48,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+
+        this.buffers.paintParams = this.device.createBuffer({
+            size: 16,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+
+        // Per-component constants of the Schrödinger passes, ↑ then ↓ (see spinComponents() in spin.js)
+        this.buffers.componentParams = [0, 1].map(() => this.device.createBuffer({
             size: 16,
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        }));
+
+        // Ground-state search: Σ|ψ|² per 256 cells, the scale back to the target norm, and NormParams
+        this.buffers.normPartials = this.device.createBuffer({
+            size: Math.ceil(this.params.width * this.params.height / 256) * 4,
+            usage: GPUBufferUsage.STORAGE
+        });
+        this.buffers.normScale = this.device.createBuffer({
+            size: 4,
+            usage: GPUBufferUsage.STORAGE
+        });
+        this.buffers.normParams = this.device.createBuffer({
+            size: 32,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+
+        this.buffers.packetParams = this.device.createBuffer({
+            size: 48,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+
+        this.buffers.renderParams = this.device.createBuffer({
+            size: 32,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+
+        // Momentum space: ψ zero-padded to powers of two and transformed in place (ping-pong),
+        // the peak |ψ(k)|² for normalization, and one uniform per butterfly stage
+        const fftWidth = nextPowerOfTwo(this.params.width);
+        const fftHeight = nextPowerOfTwo(this.params.height);
+        this.buffers.fft = [0, 1].map(() => this.device.createBuffer({
+            size: fftWidth * fftHeight * 8,
+            usage: GPUBufferUsage.STORAGE
+        }));
+        this.buffers.fftPeak = this.device.createBuffer({
+            size: 4,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.buffers.fftParams = this.device.createBuffer({
+            size: 32,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        this.buffers.fftStages = fftStages(fftWidth, fftHeight).map(({ n, span, axis }) => {
+            const buffer = this.device.createBuffer({
+                size: 16,
+                usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+            });
+            this.device.queue.writeBuffer(buffer, 0, new Uint32Array([n, span, axis, 0]));
+            return buffer;
         });
 
         this.textures.output = this.device.createTexture({
@@ -166,13 +578,38 @@ class QuantumWebcam {
             usage: GPUTextureUsage.STORAGE_BINDING | GPUTextureUsage.TEXTURE_BINDING
         });
 
+        this.textures.momentum = this.device.createTexture({
+            size: [this.params.width, this.params.height],
+            format: 'rgba16float',
+            usage: GPUTextureUsage.STORAGE_BINDING | GPUTextureUsage.TEXTURE_BINDING
+        });
+
         this.textures.webcam = this.device.createTexture({
             size: [this.params.width, this.params.height],
             format: 'rgba8unorm',
-            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_SRC | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
         });
 
         this.textures.upload = this.device.createTexture({
+            size: [this.params.width, this.params.height],
+            format: 'rgba8unorm',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_SRC | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
+        });
+
+        // Empty-scene reference for background subtraction, copied from the webcam/image texture
+        this.textures.background = this.device.createTexture({
+            size: [this.params.width, this.params.height],
+            format: 'rgba8unorm',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+        });
+
+        this.textures.staticPotential = this.device.createTexture({
+            size: [this.params.width, this.params.height],
+            format: 'rgba8unorm',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+        });
+
+        this.textures.paint = this.device.createTexture({
             size: [this.params.width, this.params.height],
             format: 'rgba8unorm',
             usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
@@ -181,15 +618,65 @@ class QuantumWebcam {
 
     async createPipelines() {
         const schrodingerModule = this.device.createShaderModule({ code: this.getSchrodingerShader() });
+        const splitModule = this.device.createShaderModule({ code: this.getSplitOperatorShader() });
         const vizModule = this.device.createShaderModule({ code: this.getVisualizationShader() });
         const potentialModule = this.device.createShaderModule({ code: this.getPotentialShader() });
         const renderModule = this.device.createShaderModule({ code: this.getRenderShader() });
+        const observablesModule = this.device.createShaderModule({ code: this.getObservablesShader() });
+        const packetModule = this.device.createShaderModule({ code: this.getWavepacketShader() });
+        const paintModule = this.device.createShaderModule({ code: this.getPaintShader() });
+        const momentumModule = this.device.createShaderModule({ code: this.getMomentumShader() });
+        const detectorModule = this.device.createShaderModule({ code: this.getDetectorShader() });
+        const spinModule = this.device.createShaderModule({ code: this.getSpinShader() });
+        const normModule = this.device.createShaderModule({ code: this.getNormShader() });
 
         this.pipelines.schrodinger = this.device.createComputePipeline({
             layout: 'auto',
             compute: { module: schrodingerModule, entryPoint: 'main' }
         });
 
+        this.pipelines.visscherReal = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: schrodingerModule, entryPoint: 'visscher_real' }
+        });
+
+        this.pipelines.visscherImag = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: schrodingerModule, entryPoint: 'visscher_imag' }
+        });
+
+        this.pipelines.conjugate = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: schrodingerModule, entryPoint: 'conjugate' }
+        });
+
+        this.pipelines.spinPrecession = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: spinModule, entryPoint: 'main' }
+        });
+
+        this.pipelines.imaginaryTime = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: schrodingerModule, entryPoint: 'imaginary_time' }
+        });
+
+        for (const [name, entryPoint] of [['normPartials', 'norm_partials'], ['normTotal', 'norm_total'], ['normApply', 'norm_apply']]) {
+            this.pipelines[name] = this.device.createComputePipeline({
+                layout: 'auto',
+                compute: { module: normModule, entryPoint }
+            });
+        }
+
+        this.pipelines.splitRows = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: splitModule, entryPoint: 'sweep_rows' }
+        });
+
+        this.pipelines.splitColumns = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: splitModule, entryPoint: 'sweep_columns' }
+        });
+
         this.pipelines.visualization = this.device.createComputePipeline({
             layout: 'auto',
             compute: { module: vizModule, entryPoint: 'main' }
@@ -200,6 +687,53 @@ class QuantumWebcam {
             compute: { module: potentialModule, entryPoint: 'main' }
         });
 
+        this.pipelines.potentialSignal = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: potentialModule, entryPoint: 'extract_signal' }
+        });
+
+        this.pipelines.potentialBlurRows = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: potentialModule, entryPoint: 'blur_rows' }
+        });
+
+        this.pipelines.potentialBlurColumns = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: potentialModule, entryPoint: 'blur_columns' }
+        });
+
+        this.pipelines.potentialTemporal = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: potentialModule, entryPoint: 'smooth_temporal' }
+        });
+
+        this.pipelines.observables = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: observablesModule, entryPoint: 'main' }
+        });
+
+        this.pipelines.paint = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: paintModule, entryPoint: 'main' }
+        });
+
+        this.pipelines.wavepacket = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: packetModule, entryPoint: 'main' }
+        });
+
+        this.pipelines.detectors = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: detectorModule, entryPoint: 'main' }
+        });
+
+        for (const [name, entryPoint] of [['fftLoad', 'fft_load'], ['fftStage', 'fft_stage'], ['fftPeak', 'fft_peak'], ['fftDisplay', 'fft_display']]) {
+            this.pipelines[name] = this.device.createComputePipeline({
+                layout: 'auto',
+                compute: { module: momentumModule, entryPoint }
+            });
+        }
+
         this.pipelines.render = this.device.createRenderPipeline({
             layout: 'auto',
             vertex: { module: renderModule, entryPoint: 'vs_main' },
@@ -212,16 +746,34 @@ class QuantumWebcam {
         });
     }
 
-    initializeWavefunction() {
+    // ψ from the packet list (superposePackets), or the single packet of the sliders if the list is empty
+    initializeWavefunction(packets = this.packets) {
+        const { width, height } = this.params;
+        const { real, imag } = packets.length > 0
+            ? superposePackets(packets, width, height, MOMENTUM_UNIT)
+            : this.buildWavepacket();
+        this.uploadWavefunction(real, imag);
+        this.time = 0;
+        this.stepCount = 0;
+
+        if (packets.length > 0) {
+            console.log(`🌊 Superposition of ${packets.length} wavepackets initialized`);
+        } else {
+            console.log(`🌊 Wavepacket initialized using new code: σ=${this.params.sigma}, kx=${this.params.kx}, ky=${this.params.ky}`);
+        }
+    }
+
+    // Gaussian of width σ at (packetX, packetY) with momentum (kx, ky)
+    buildWavepacket() {
         const real = new Float32Array(this.params.width * this.params.height);
         const imag = new Float32Array(this.params.width * this.params.height);
-        const centerX = this.params.width / 2;
-        const centerY = this.params.height / 2;
+        const centerX = this.params.packetX * this.params.width;
+        const centerY = this.params.packetY * this.params.height;
 
         const sigma = this.params.sigma;
         const sigma2 = sigma * sigma;
-        const k0x = this.params.kx * 0.3;
-        const k0y = this.params.ky * 0.3;
+        const k0x = this.params.kx * MOMENTUM_UNIT;
+        const k0y = this.params.ky * MOMENTUM_UNIT;
 
         for (let y = 0; y < this.params.height; y++) {
             for (let x = 0; x < this.params.width; x++) {
@@ -237,13 +789,100 @@ class QuantumWebcam {
                 imag[idx] = gaussian * Math.sin(phase);
             }
         }
-        this.device.queue.writeBuffer(this.buffers.psiR[0], 0, real);
-        this.device.queue.writeBuffer(this.buffers.psiR[1], 0, real);
+        return { real, imag };
+    }
+
+    // Same packet as buildWavepacket(), added on top of the current ψ; in spin mode with the spin of
+    // spinorWeights() in each component
+    addWavepacket() {
+        const [upR, upI, downR, downI] = spinorWeights(this.params);
+        if (this.cpu) {
+            const { real, imag } = this.buildWavepacket();
+            const components = [[this.cpu.real, this.cpu.imag, upR, upI]];
+            if (this.params.spinEnabled) components.push([this.cpu.downReal, this.cpu.downImag, downR, downI]);
+            for (const [R, I, wR, wI] of components) {
+                for (let i = 0; i < R.length; i++) {
+                    R[i] += wR * real[i] - wI * imag[i];
+                    I[i] += wR * imag[i] + wI * real[i];
+                }
+            }
+            return;
+        }
+
+        const weights = [[upR, upI], [downR, downI]];
+        this.spinBuffers().forEach(([psiR, psiI], i) => {
+            const packetParams = new ArrayBuffer(48);
+            const packetView = new DataView(packetParams);
+            packetView.setUint32(0, this.params.width, true);
+            packetView.setUint32(4, this.params.height, true);
+            packetView.setFloat32(8, this.params.packetX * this.params.width, true);
+            packetView.setFloat32(12, this.params.packetY * this.params.height, true);
+            packetView.setFloat32(16, this.params.sigma, true);
+            packetView.setFloat32(20, this.params.kx * MOMENTUM_UNIT, true);
+            packetView.setFloat32(24, this.params.ky * MOMENTUM_UNIT, true);
+            packetView.setFloat32(32, weights[i][0], true);
+            packetView.setFloat32(36, weights[i][1], true);
+            this.device.queue.writeBuffer(this.buffers.packetParams, 0, packetParams);
+
+            const bindGroup = this.device.createBindGroup({
+                layout: this.pipelines.wavepacket.getBindGroupLayout(0),
+                entries: [
+                    { binding: 0, resource: { buffer: psiR[this.bufferIndex] } },
+                    { binding: 1, resource: { buffer: psiI[this.bufferIndex] } },
+                    { binding: 2, resource: { buffer: this.buffers.packetParams } }
+                ]
+            });
+
+            // One submit per component, since both share packetParams
+            const encoder = this.device.createCommandEncoder();
+            const pass = encoder.beginComputePass();
+            pass.setPipeline(this.pipelines.wavepacket);
+            pass.setBindGroup(0, bindGroup);
+            pass.dispatchWorkgroups(Math.ceil(this.params.width / 8), Math.ceil(this.params.height / 8));
+            pass.end();
+            this.device.queue.submit([encoder.finish()]);
+        });
+    }
+
+    // ψ into both buffers. Without an explicit spin-down part ({ real, imag }) ψ gets the spin of
+    // spinorWeights() in spin mode, and spin down is cleared otherwise.
+    uploadWavefunction(real, imag, down = null) {
+        let up = { real, imag };
+        if (!down) {
+            const [upR, upI, downR, downI] = spinorWeights(this.params);
+            const weighted = (wR, wI) => ({
+                real: real.map((re, i) => wR * re - wI * imag[i]),
+                imag: imag.map((im, i) => wR * im + wI * real[i])
+            });
+            up = weighted(upR, upI);
+            down = weighted(downR, downI);
+        }
+
+        if (this.cpu) {
+            this.cpu.setWavefunction(up.real, up.imag, down.real, down.imag);
+            return;
+        }
+
+        for (let i = 0; i < 2; i++) {
+            this.device.queue.writeBuffer(this.buffers.psiR[i], 0, up.real);
+            this.device.queue.writeBuffer(this.buffers.psiI[i], 0, up.imag);
+            this.device.queue.writeBuffer(this.buffers.downR[i], 0, down.real);
+            this.device.queue.writeBuffer(this.buffers.downI[i], 0, down.imag);
+        }
+    }
 
-        this.device.queue.writeBuffer(this.buffers.psiI[0], 0, imag);
-        this.device.queue.writeBuffer(this.buffers.psiI[1], 0, imag);
+    // [ψ_R, ψ_I] buffer pairs of the components being simulated: spin up (the only one without spin), spin down
+    spinBuffers() {
+        const pairs = [[this.buffers.psiR, this.buffers.psiI]];
+        if (this.params.spinEnabled) pairs.push([this.buffers.downR, this.buffers.downI]);
+        return pairs;
+    }
 
-        console.log(`🌊 Wavepacket initialized using new code: σ=${sigma}, kx=${this.params.kx}, ky=${this.params.ky}`);
+    // Buffer pair of the component the display modes show
+    viewedBuffers() {
+        return this.params.spinEnabled && Math.round(this.params.spinView) === SPIN_VIEW.DOWN
+            ? [this.buffers.downR, this.buffers.downI]
+            : [this.buffers.psiR, this.buffers.psiI];
     }
 
 
@@ -282,10 +921,22 @@ this.drawCoverToCanvas(this.uploadedBitmap, this.potentialCanvas);
 
     updateWebcamTexture() {
         if (!this.webcamReady || !this.webcamVideo) return;
+        const { width, height } = this.params;
+
+        // copyExternalImageToTexture neither scales nor mirrors, so those frames go through a grid-sized canvas
+        let source = this.webcamVideo;
+        if (this.params.mirrorWebcam || source.videoWidth !== width || source.videoHeight !== height) {
+            if (this.webcamCanvas?.width !== width || this.webcamCanvas?.height !== height) {
+                this.webcamCanvas = Object.assign(document.createElement('canvas'), { width, height });
+            }
+            this.drawWebcamFrame(this.webcamCanvas.getContext('2d'), width, height);
+            source = this.webcamCanvas;
+        }
+
         this.device.queue.copyExternalImageToTexture(
-            { source: this.webcamVideo },
+            { source },
             { texture: this.textures.webcam },
-            [this.params.width, this.params.height]
+            [width, height]
         );
     }
 
@@ -301,7 +952,7 @@ this.drawCoverToCanvas(this.uploadedBitmap, this.potentialCanvas);
         view.setFloat32(o, this.params.waveSpeed, true); o += 4; // 16: wave_speed
         view.setFloat32(o, this.params.damping, true); o += 4;   // 20: damping
         view.setFloat32(o, this.params.sourceFrequency, true); o += 4; // 24: source_freq
-        view.setFloat32(o, this.params.sourceEnabled ? 1.0 : 0.0, false); o += 4; // 28: source_enabled
+        view.setFloat32(o, this.params.sourceEnabled ? 1.0 : 0.0, true); o += 4; // 28: source_enabled
         view.setFloat32(o, this.time, true); o += 4;             // 32: time
         view.setFloat32(o, this.params.boundaryThreshold, true); o += 4; // 36: boundary_threshold
         view.setFloat32(o, this.params.sourceStrength, true); o += 4;    // 40: source_strength
@@ -318,97 +969,839 @@ this.drawCoverToCanvas(this.uploadedBitmap, this.potentialCanvas);
         view.setFloat32(o, 0.0, true); o += 4;                   // 84: motion_force
         view.setFloat32(o, 0.0, true); o += 4;                   // 88: density_display
         view.setFloat32(o, 0.0, true); o += 4;                   // 92: flow_direction
-        view.setFloat32(o, this.params.potentialOffset, true);   // 96: flow_strength (potential offset)
+        view.setFloat32(o, this.params.potentialOffset, true); o += 4;   // 96: flow_strength (potential offset)
+        view.setFloat32(o, this.params.packetX, true); o += 4;   // 100: source_x
+        view.setFloat32(o, this.params.packetY, true); o += 4;   // 104: source_y
+        view.setFloat32(o, this.params.boundaryType, true); o += 4;      // 108: boundary_type
+        view.setFloat32(o, this.params.absorberWidth, true); o += 4;     // 112: absorber_width
+        view.setFloat32(o, this.params.absorberStrength, true); o += 4;  // 116: absorber_strength
+
+        // 120: time-dependent drive, in the order of SimParams
+        for (const param of ['fieldEnvelope', 'fieldStrength', 'fieldAngle', 'fieldFrequency', 'pulseCenter', 'pulseWidth',
+            'barrierMotion', 'barrierStrength', 'barrierWidth', 'barrierX', 'barrierAmplitude', 'barrierFrequency', 'barrierSpeed',
+            'wellSwitching', 'wellDepth', 'wellSigma', 'wellX', 'wellY', 'wellPeriod', 'wellDuty']) {
+            view.setFloat32(o, Number(this.params[param]), true); o += 4;
+        }
+
+        // 200: spin-½ mode, 224: magnetic field
+        for (const param of ['spinEnabled', 'spinFieldSource', 'spinField', 'spinGradient', 'spinGradientAngle', 'spinTransverse',
+            'magneticField', 'fluxTube', 'fluxX', 'fluxY']) {
+            view.setFloat32(o, Number(this.params[param]), true); o += 4;
+        }
+
+        view.setFloat32(o, this.params.nonlinear ? this.params.interaction : 0, true); o += 4;  // 240: interaction (g)
+        view.setFloat32(o, this.groundState ? this.imaginaryStepSize() : 0, true); o += 4;      // 244: imaginary_step
 
         this.device.queue.writeBuffer(this.buffers.params, 0, buffer);
+
+        spinComponents(this.params).forEach(({ sign, weight }, i) => {
+            this.device.queue.writeBuffer(this.buffers.componentParams[i], 0, new Float32Array([sign, 0, ...weight]));
+        });
     }
 
     step() {
-        this.time += 0.016;
+        if (this.cpu) {
+            this.stepCpu();
+            return;
+        }
+
         this.frameCount++;
 
         this.updateWebcamTexture();
         this.updateUploadTexture();
+        this.updatePaintTexture();
         this.updateParametersBuffer();
 
         // Run multiple simulation steps per frame
         // Each step needs its own command encoder to properly swap buffers
-        const steps = Math.max(1, Math.min(100, Math.round(this.params.stepsPerFrame)));
+        const steps = this.stepsThisFrame();
 
         // Log every 60 frames (~1 second)
         // if (this.frameCount % 60 === 0) {
         //     console.log(`⚡ Running ${steps} steps per frame`);
         // }
 
-        // Extract potential once per frame (before simulation steps)
-        const potentialEncoder = this.device.createCommandEncoder();
-        this.extractPotential(potentialEncoder);
-        this.device.queue.submit([potentialEncoder.finish()]);
-
-        // Run each simulation step with buffer swapping
-        for (let i = 0; i < steps; i++) {
-            const stepEncoder = this.device.createCommandEncoder();
-            this.runSchrodinger(stepEncoder);
-            this.device.queue.submit([stepEncoder.finish()]);
+        // Potential once per frame (before simulation steps): extracted from the webcam/image
+        // or copied from the preset/snapshot, then combined with the painted overlay.
+        // A frozen potential keeps whatever the buffer last held.
+        if (!this.potentialFrozen) {
+            const potentialEncoder = this.device.createCommandEncoder();
+            if (this.hasStaticPotential()) {
+                potentialEncoder.copyBufferToBuffer(this.buffers.staticPotential, 0, this.buffers.potential, 0, this.buffers.potential.size);
+            } else {
+                this.extractPotential(potentialEncoder);
+            }
+            if (this.paintHasContent) {
+                this.applyPaintOverlay(potentialEncoder);
+            }
+            this.device.queue.submit([potentialEncoder.finish()]);
+        }
 
-            // CRITICAL: Swap buffers after each step so next step reads the new data
-            this.bufferIndex = 1 - this.bufferIndex;
+        // Run each simulation step (runSchrodinger swaps buffers after every pass).
+        // The time uniform is set per step, since the drive and the source depend on it.
+        // A ground-state search replaces them with imaginary time steps.
+        if (this.groundState) {
+            this.relaxGroundState();
+        } else {
+            for (let i = 0; i < steps; i++) {
+                this.device.queue.writeBuffer(this.buffers.params, 32, new Float32Array([this.time + i * this.stepDuration()]));
+                const stepEncoder = this.device.createCommandEncoder();
+                this.runSchrodinger(stepEncoder);
+                this.device.queue.submit([stepEncoder.finish()]);
+            }
+            this.stepsTaken(steps);
         }
 
         // Visualization and render use the final buffer state
         const renderEncoder = this.device.createCommandEncoder();
         this.runVisualization(renderEncoder);
+        this.runMomentumTransform(renderEncoder);
         this.render(renderEncoder);
         this.device.queue.submit([renderEncoder.finish()]);
     }
 
-    extractPotential(encoder) {
+    // Same frame as step() on the CPU solver, with stepping cut short by a time budget
+    stepCpu() {
+        this.frameCount++;
 
+        let pixels = this.staticPixels;
+        if (!this.hasStaticPotential()) {
+            pixels = this.readCpuSourcePixels();
+        }
+        if (!this.potentialFrozen) {
+            if (this.hasStaticPotential()) {
+                this.cpu.potential.set(this.staticPotential);
+            } else {
+                this.cpu.extractPotential(pixels, this.params, this.usesBackground() ? this.cpuBackground : null, this.preprocessReset);
+                this.preprocessReset = false;
+            }
+            if (this.paintHasContent) {
+                this.cpu.applyPaintOverlay(this.readPaintPixels(), this.params.paintMode);
+            }
+        }
 
-  const potentialSrcView =
-    (this.potentialSource === 'image' && this.uploadedBitmap)
-      ? this.textures.upload.createView()
-      : this.textures.webcam.createView();
+        if (this.groundState) {
+            this.relaxGroundState();
+        } else {
+            const steps = this.stepsThisFrame();
+            const deadline = this.offlineRendering ? Infinity : performance.now() + CPU_FRAME_BUDGET_MS;
+            let taken = 0;
+            while (taken < steps) {
+                this.cpu.step(this.params, this.time + taken * this.stepDuration());
+                taken++;
+                if (performance.now() > deadline) break;
+            }
+            this.stepsTaken(taken);
+        }
 
-        const bindGroup = this.device.createBindGroup({
-            layout: this.pipelines.potentialExtraction.getBindGroupLayout(0),
-            entries: [
-                { binding: 0, resource: potentialSrcView },
-                { binding: 1, resource: { buffer: this.buffers.potential } },
-                { binding: 2, resource: { buffer: this.buffers.params } }
-            ]
-        });
+        this.cpu.visualize(this.params, this.cpuWave);
+        if (this.params.momentumView > 0 && (this.frameCount % CPU_MOMENTUM_INTERVAL === 0 || this.offlineRendering)) {
+            this.cpu.momentumImage(this.params, this.cpuMomentum);
+        }
+        this.cpu.render(this.cpuWave, pixels, this.params, this.cpuImage.data, this.cpuMomentum);
+        this.cpuFrameCanvas.getContext('2d').putImageData(this.cpuImage, 0, 0);
+        this.context.drawImage(this.cpuFrameCanvas, 0, 0, this.canvas.width, this.canvas.height);
+    }
 
-        const pass = encoder.beginComputePass();
-        pass.setPipeline(this.pipelines.potentialExtraction);
-        pass.setBindGroup(0, bindGroup);
-        pass.dispatchWorkgroups(Math.ceil(this.params.width / 8), Math.ceil(this.params.height / 8));
-        pass.end();
+    // ========== PLAYBACK ==========
+    // Simulation time advanced by one step (time_step() in the shaders)
+    stepDuration() {
+        return this.params.dt * 0.5;
     }
 
-    runSchrodinger(encoder) {
-        const current = this.bufferIndex;
-        const next = 1 - current;
+    // stepsPerFrame while playing (and in offline renders); while paused, the rest of the last Step request
+    stepsThisFrame() {
+        if (this.paused && !this.offlineRendering) {
+            return Math.min(this.pendingSteps, MAX_STEPS_PER_FRAME);
+        }
+        return Math.max(1, Math.min(MAX_STEPS_PER_FRAME, Math.round(this.params.stepsPerFrame)));
+    }
 
-        const bindGroup = this.device.createBindGroup({
-            layout: this.pipelines.schrodinger.getBindGroupLayout(0),
-            entries: [
-                { binding: 0, resource: { buffer: this.buffers.psiR[current] } },
-                { binding: 1, resource: { buffer: this.buffers.psiI[current] } },
-                { binding: 2, resource: { buffer: this.buffers.psiR[next] } },
-                { binding: 3, resource: { buffer: this.buffers.psiI[next] } },
-                { binding: 4, resource: { buffer: this.buffers.potential } },
-                { binding: 5, resource: { buffer: this.buffers.params } }
-            ]
+    // Advances the clock and takes readings after `steps` steps ran this frame; none while paused
+    stepsTaken(steps) {
+        this.pendingSteps = Math.max(this.pendingSteps - steps, 0);
+        if (steps === 0) return;
+
+        this.time += steps * this.stepDuration();
+        this.stepCount += steps;
+        this.detectorSteps += steps;
+
+        this.maybeMeasureObservables();
+        this.measureDetectors();
+    }
+
+    setupPlayback() {
+        this.setupSlider('step-batch', 'stepBatch');
+
+        document.getElementById('play-pause').addEventListener('click', () => this.setPaused(!this.paused));
+        document.getElementById('step-btn').addEventListener('click', () => {
+            this.setPaused(true);
+            this.pendingSteps += Math.round(this.params.stepBatch);
+        });
+        document.getElementById('time-reverse').addEventListener('click', () => this.reverseTime());
+
+        const freeze = document.getElementById('freeze-potential');
+        freeze.addEventListener('change', () => {
+            this.potentialFrozen = freeze.checked;
+        });
+
+        // Space toggles pause, unless typing into a control
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== ' ' || e.target.closest?.('input, select, textarea, button')) return;
+            e.preventDefault();
+            this.setPaused(!this.paused);
+        });
+    }
+
+    // Pauses and runs `steps` more steps over the next frames, as the Step button does; resolves once
+    // they have all been taken, and rejects if playback is paused or resumed before that. A ground-state
+    // search takes over the frames, so the steps are refused while one runs and dropped if one starts
+    requestSteps(steps) {
+        const searching = () => new Error('A ground-state search is running: stop it or let it finish before running steps');
+        if (this.groundState) return Promise.reject(searching());
+
+        if (!this.paused) this.setPaused(true);
+        this.pendingSteps += steps;
+        const changes = this.playbackChanges;
+        return new Promise((resolve, reject) => {
+            const check = () => {
+                const interrupted = this.playbackChanges !== changes;
+                if (this.pendingSteps > 0 && !interrupted && !this.groundState) return;
+                this.events.removeEventListener('frame', check);
+                if (this.groundState) {
+                    this.pendingSteps = 0;
+                    reject(searching());
+                } else if (interrupted) {
+                    reject(new Error(`Playback was changed before the ${steps} requested steps had run`));
+                } else {
+                    resolve();
+                }
+            };
+            this.events.addEventListener('frame', check);
+        });
+    }
+
+    setPaused(paused) {
+        this.paused = paused;
+        this.pendingSteps = 0;
+        this.playbackChanges++;
+        document.getElementById('play-pause').textContent = paused ? '▶ Play' : '⏸ Pause';
+    }
+
+    // ψ → ψ*: the wave runs backwards from here on
+    reverseTime() {
+        // B is odd under time reversal: ψ* only retraces its path in the opposite field
+        if (this.params.magneticField !== 0 || this.params.fluxTube !== 0) {
+            this.params.magneticField = -this.params.magneticField;
+            this.params.fluxTube = -this.params.fluxTube;
+            this.syncControls();
+            this.drawFluxTube();
+            this.scheduleHashUpdate();
+        }
+
+        if (this.cpu) {
+            this.cpu.conjugate();
+            return;
+        }
+
+        const encoder = this.device.createCommandEncoder();
+        const current = this.bufferIndex;
+        const next = 1 - current;
+        for (const [psiR, psiI] of this.spinBuffers()) {
+            const bindGroup = this.device.createBindGroup({
+                layout: this.pipelines.conjugate.getBindGroupLayout(0),
+                entries: [
+                    { binding: 0, resource: { buffer: psiR[current] } },
+                    { binding: 1, resource: { buffer: psiI[current] } },
+                    { binding: 2, resource: { buffer: psiR[next] } },
+                    { binding: 3, resource: { buffer: psiI[next] } },
+                    { binding: 5, resource: { buffer: this.buffers.params } }
+                ]
+            });
+            const pass = encoder.beginComputePass();
+            pass.setPipeline(this.pipelines.conjugate);
+            pass.setBindGroup(0, bindGroup);
+            pass.dispatchWorkgroups(Math.ceil(this.params.width / 8), Math.ceil(this.params.height / 8));
+            pass.end();
+        }
+        this.device.queue.submit([encoder.finish()]);
+        this.bufferIndex = next;
+    }
+
+    // Simulation time in the info bar
+    showSimulationTime() {
+        document.getElementById('time-info').textContent = `t = ${this.time.toFixed(2)} (${this.stepCount} steps)`;
+    }
+
+    // ========== TIME-DEPENDENT DRIVE ==========
+    // Field, barrier and well terms of drive.js, evaluated by the solvers from the simulation time
+    setupDrive() {
+        this.setupSelect('field-envelope', 'fieldEnvelope', () => this.showDriveControls());
+        this.setupSelect('barrier-motion', 'barrierMotion', () => this.showDriveControls());
+        this.setupCheckbox('well-switching', 'wellSwitching');
+        document.getElementById('well-switching').addEventListener('change', () => this.showDriveControls());
+
+        for (const [id, param] of [
+            ['field-strength', 'fieldStrength'], ['field-angle', 'fieldAngle'], ['field-frequency', 'fieldFrequency'],
+            ['pulse-center', 'pulseCenter'], ['pulse-width', 'pulseWidth'],
+            ['barrier-strength', 'barrierStrength'], ['barrier-width', 'barrierWidth'], ['barrier-x', 'barrierX'],
+            ['barrier-amplitude', 'barrierAmplitude'], ['barrier-frequency', 'barrierFrequency'], ['barrier-speed', 'barrierSpeed'],
+            ['well-depth', 'wellDepth'], ['well-sigma', 'wellSigma'], ['well-x', 'wellX'], ['well-y', 'wellY'],
+            ['well-period', 'wellPeriod'], ['well-duty', 'wellDuty']
+        ]) {
+            this.setupSlider(id, param);
+        }
+        this.showDriveControls();
+    }
+
+    // Only the settings of the terms that are switched on
+    showDriveControls() {
+        const envelope = Math.round(this.params.fieldEnvelope);
+        const motion = Math.round(this.params.barrierMotion);
+        const show = (id, visible) => {
+            document.getElementById(id).style.display = visible ? '' : 'none';
+        };
+        show('field-controls', envelope !== FIELD_ENVELOPE.OFF);
+        show('pulse-controls', envelope === FIELD_ENVELOPE.PULSE);
+        show('barrier-controls', motion !== BARRIER_MOTION.OFF);
+        show('barrier-oscillate-controls', motion === BARRIER_MOTION.OSCILLATE);
+        show('barrier-move-controls', motion === BARRIER_MOTION.MOVE);
+        show('well-controls', this.params.wellSwitching);
+    }
+
+    // ========== SPIN ½ ==========
+    // Two-component ψ of spin.js: psiR/psiI hold spin up, downR/downI spin down
+    setupSpin() {
+        this.setupCheckbox('spin-enabled', 'spinEnabled');
+        document.getElementById('spin-enabled').addEventListener('change', () => {
+            this.showSpinControls();
+            this.initializeWavefunction();
+        });
+        this.setupSelect('spin-view', 'spinView');
+        this.setupSelect('spin-field-source', 'spinFieldSource', () => this.showSpinControls());
+
+        for (const [id, param] of [
+            ['spin-theta', 'spinTheta'], ['spin-phi', 'spinPhi'], ['spin-field', 'spinField'],
+            ['spin-gradient', 'spinGradient'], ['spin-gradient-angle', 'spinGradientAngle'], ['spin-transverse', 'spinTransverse']
+        ]) {
+            this.setupSlider(id, param);
+        }
+        this.showSpinControls();
+    }
+
+    showSpinControls() {
+        document.getElementById('spin-controls').style.display = this.params.spinEnabled ? '' : 'none';
+        document.getElementById('spin-gradient-angle-controls').style.display =
+            Math.round(this.params.spinFieldSource) === SPIN_FIELD.GRADIENT ? '' : 'none';
+    }
+
+    // ========== MAGNETIC FIELD ==========
+    // Uniform B and a flux tube placed with the canvas tool, as Peierls phases (magnetic.js)
+    setupMagnetic() {
+        this.fluxCanvas = document.getElementById('flux-canvas');
+        this.setupSlider('magnetic-field', 'magneticField');
+        this.setupSlider('flux-tube', 'fluxTube');
+        document.getElementById('flux-tube').addEventListener('input', () => this.drawFluxTube());
+
+        const place = (point) => {
+            this.params.fluxX = Math.min(Math.max(point.x / this.params.width, 0), 1);
+            this.params.fluxY = Math.min(Math.max(point.y / this.params.height, 0), 1);
+            this.scheduleHashUpdate();
+            this.drawFluxTube();
+        };
+        this.canvasTools.flux = { down: place, move: place, up: () => {}, cancel: () => {} };
+        this.drawFluxTube();
+    }
+
+    // Marker of the flux tube on its own overlay, at the plaquette it threads
+    drawFluxTube() {
+        const canvas = this.fluxCanvas;
+        canvas.width = this.params.width;
+        canvas.height = this.params.height;
+        this.positionOverCanvas(canvas);
+        if (this.params.fluxTube === 0) return;
+
+        // Plaquette centre between cells, which sit at the middle of their pixels
+        const x = Math.floor(this.params.fluxX * this.params.width) + 1;
+        const y = Math.floor(this.params.fluxY * this.params.height) + 1;
+        const ctx = canvas.getContext('2d');
+        ctx.strokeStyle = ctx.fillStyle = '#ffffff';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(x, y, 5, 0, 2 * Math.PI);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(x, y, 1.5, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.font = '11px sans-serif';
+        ctx.fillText(`Φ = ${this.params.fluxTube}`, x + 8, y - 6);
+    }
+
+    // ========== GROSS–PITAEVSKII ==========
+    // Mean field g|ψ|² of a condensate in every solver, and the ground state in the current potential by
+    // imaginary time: ψ ← ψ − dτ Hψ, rescaled to the starting Σ|ψ|² after every step, in place of the
+    // time steps until the step budget is used up or the search is stopped
+    setupGrossPitaevskii() {
+        this.setupCheckbox('nonlinear', 'nonlinear');
+        this.setupSlider('interaction', 'interaction');
+        this.setupSlider('ground-state-steps', 'groundStateSteps');
+        document.getElementById('ground-state').addEventListener('click', () => {
+            if (this.groundState) {
+                this.finishGroundState();
+            } else {
+                this.startGroundState();
+            }
+        });
+    }
+
+    // dτ per imaginary time step: inside the forward-Euler limit dτ·E_max < 2, with E_max bounded by the
+    // largest kinetic energy of the grid, the range of V and the mean field at unit density
+    imaginaryStepSize() {
+        const { waveSpeed, dx, potentialAmplitude, potentialOffset, nonlinear, interaction } = this.params;
+        const kinetic = 4 * waveSpeed / (dx * dx);      // 8 × (ℏ/m)/2 / dx²
+        const potential = Math.abs(potentialAmplitude) * (1 + Math.abs(potentialOffset));
+        return 1 / (kinetic + potential + (nonlinear ? Math.abs(interaction) : 0));
+    }
+
+    // Freezes V like the eigensolver, then relaxes ψ at its current norm
+    async startGroundState() {
+        const status = document.getElementById('ground-state-status');
+        this.potentialFrozen = true;
+        document.getElementById('freeze-potential').checked = true;
+
+        const fields = await this.readFields();
+        let norm = 0;
+        for (const name of ['psiR', 'psiI', 'downR', 'downI']) {
+            for (const value of fields[name] ?? []) norm += value * value;
+        }
+        if (norm === 0) {
+            status.textContent = 'ψ is zero everywhere: reset the wavefunction first';
+            return;
+        }
+
+        const total = Math.max(1, Math.round(this.params.groundStateSteps));
+        this.groundState = { norm, remaining: total, total };
+        document.getElementById('ground-state').textContent = '⏹ Stop';
+        status.textContent = 'Relaxing…';
+    }
+
+    // One frame of the search: up to stepsPerFrame imaginary time steps, also while paused; the clock
+    // stands still
+    relaxGroundState() {
+        const state = this.groundState;
+        let steps = Math.min(state.remaining, MAX_STEPS_PER_FRAME, Math.max(1, Math.round(this.params.stepsPerFrame)));
+
+        if (this.cpu) {
+            const step = this.imaginaryStepSize();
+            const deadline = performance.now() + CPU_FRAME_BUDGET_MS;
+            let taken = 0;
+            while (taken < steps) {
+                this.cpu.imaginaryTimeStep(this.params, this.time, step, state.norm);
+                taken++;
+                if (performance.now() > deadline) break;
+            }
+            steps = taken;
+        } else {
+            const cells = this.params.width * this.params.height;
+            const normParams = new ArrayBuffer(32);
+            new Uint32Array(normParams, 0, 3).set([cells, Math.ceil(cells / 256), this.params.spinEnabled ? 1 : 0]);
+            new Float32Array(normParams, 16, 1)[0] = state.norm;
+            this.device.queue.writeBuffer(this.buffers.normParams, 0, normParams);
+
+            const groupsX = Math.ceil(this.params.width / 8);
+            const groupsY = Math.ceil(this.params.height / 8);
+            const encoder = this.device.createCommandEncoder();
+            for (let i = 0; i < steps; i++) {
+                this.runSimulationPass(encoder, this.pipelines.imaginaryTime, groupsX, groupsY);
+                if (this.params.spinEnabled && this.params.spinTransverse !== 0) {
+                    this.runSpinPrecession(encoder, groupsX, groupsY);
+                }
+                this.runNormalization(encoder);
+            }
+            this.device.queue.submit([encoder.finish()]);
+        }
+
+        state.remaining -= steps;
+        document.getElementById('ground-state-status').textContent =
+            `Imaginary time step ${state.total - state.remaining} of ${state.total}`;
+        this.maybeMeasureObservables();
+        if (state.remaining === 0) this.finishGroundState();
+    }
+
+    // Rescales both spin components in place to the norm of the search: partial sums, their total
+    // and the scale, then the scaling itself
+    runNormalization(encoder) {
+        const current = this.bufferIndex;
+        const resources = [
+            this.buffers.psiR[current], this.buffers.psiI[current], this.buffers.downR[current], this.buffers.downI[current],
+            this.buffers.normPartials, this.buffers.normParams, this.buffers.normScale
+        ];
+        const cellGroups = Math.ceil(this.params.width * this.params.height / 256);
+
+        for (const [pipeline, bindings, groups] of [
+            [this.pipelines.normPartials, [0, 1, 2, 3, 4, 5], cellGroups],
+            [this.pipelines.normTotal, [4, 5, 6], 1],
+            [this.pipelines.normApply, [0, 1, 2, 3, 5, 6], cellGroups]
+        ]) {
+            const bindGroup = this.device.createBindGroup({
+                layout: pipeline.getBindGroupLayout(0),
+                entries: bindings.map(binding => ({ binding, resource: { buffer: resources[binding] } }))
+            });
+            const pass = encoder.beginComputePass();
+            pass.setPipeline(pipeline);
+            pass.setBindGroup(0, bindGroup);
+            pass.dispatchWorkgroups(groups);
+            pass.end();
+        }
+    }
+
+    // Ends the search; the simulation carries on from the relaxed ψ
+    finishGroundState() {
+        const { remaining, total } = this.groundState;
+        this.groundState = null;
+        document.getElementById('ground-state').textContent = '❄️ Find Ground State';
+        document.getElementById('ground-state-status').textContent =
+            `${remaining === 0 ? 'Finished' : 'Stopped'} after ${total - remaining} imaginary time steps`;
+    }
+
+    // Potential source (webcam or uploaded image) as grid-sized RGBA bytes
+    readCpuSourcePixels() {
+        const { width, height } = this.params;
+
+        if (this.potentialSource === 'image' && this.uploadedBitmap) {
+            this.drawCoverToCanvas(this.uploadedBitmap, this.cpuSourceCanvas);
+        } else if (this.webcamReady && this.webcamVideo) {
+            this.drawWebcamFrame(this.cpuSourceContext, width, height);
+        } else {
+            this.cpuSourceContext.clearRect(0, 0, width, height);
+        }
+
+        return this.cpuSourceContext.getImageData(0, 0, width, height).data;
+    }
+
+    // Preset and snapshot sources hold a fixed V_raw instead of reading an image every frame
+    hasStaticPotential() {
+        return this.potentialSource === 'preset' || this.potentialSource === 'snapshot';
+    }
+
+    // Preset source: V_raw is generated in JS once, then copied into the potential every frame
+    applyPresetPotential() {
+        const { width, height } = this.params;
+        this.setStaticPotential(generatePresetPotential(this.params.presetType, width, height, this.params));
+    }
+
+    setStaticPotential(data) {
+        const { width, height } = this.params;
+        this.staticPotential = data;
+        this.staticPixels = potentialToPixels(data);
+
+        if (this.cpu) return;
+
+        this.device.queue.writeBuffer(this.buffers.staticPotential, 0, data);
+        this.device.queue.writeTexture(
+            { texture: this.textures.staticPotential },
+            this.staticPixels,
+            { bytesPerRow: width * 4 },
+            [width, height]
+        );
+    }
+
+    updatePaintTexture() {
+        if (!this.paintDirty) return;
+
+        this.device.queue.copyExternalImageToTexture(
+            { source: this.paintCanvas },
+            { texture: this.textures.paint },
+            [this.params.width, this.params.height]
+        );
+        this.paintDirty = false;
+    }
+
+    // Painted mask as RGBA bytes for the CPU solver, re-read only after it changes
+    readPaintPixels() {
+        if (this.paintDirty || !this.paintPixels) {
+            this.paintPixels = this.paintContext.getImageData(0, 0, this.params.width, this.params.height).data;
+            this.paintDirty = false;
+        }
+        return this.paintPixels;
+    }
+
+    applyPaintOverlay(encoder) {
+        const paintParams = new ArrayBuffer(16);
+        const paintView = new DataView(paintParams);
+        paintView.setUint32(0, this.params.width, true);
+        paintView.setUint32(4, this.params.height, true);
+        paintView.setFloat32(8, this.params.paintMode, true);
+        this.device.queue.writeBuffer(this.buffers.paintParams, 0, paintParams);
+
+        const bindGroup = this.device.createBindGroup({
+            layout: this.pipelines.paint.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: this.buffers.potential } },
+                { binding: 1, resource: this.textures.paint.createView() },
+                { binding: 2, resource: { buffer: this.buffers.paintParams } }
+            ]
         });
 
         const pass = encoder.beginComputePass();
-        pass.setPipeline(this.pipelines.schrodinger);
+        pass.setPipeline(this.pipelines.paint);
         pass.setBindGroup(0, bindGroup);
         pass.dispatchWorkgroups(Math.ceil(this.params.width / 8), Math.ceil(this.params.height / 8));
         pass.end();
     }
 
+    // Source texture of the webcam/image potential
+    potentialSourceTexture() {
+        return this.potentialSource === 'image' && this.uploadedBitmap ? this.textures.upload : this.textures.webcam;
+    }
+
+    // V_raw from the webcam/image through the preprocessing chain (see getPotentialShader)
+    extractPotential(encoder) {
+        const options = signalOptions(this.params);
+        const preprocessParams = new ArrayBuffer(48);
+        const prepView = new DataView(preprocessParams);
+        prepView.setFloat32(0, this.params.blurRadius, true);
+        prepView.setInt32(4, blurKernelRadius(this.params.blurRadius), true);
+        prepView.setFloat32(8, this.preprocessReset ? 0.0 : this.params.temporalSmoothing, true);
+        prepView.setUint32(12, this.params.edgeDetect ? 1 : 0, true);
+        prepView.setUint32(16, Math.round(this.params.thresholdMode), true);
+        prepView.setFloat32(20, this.params.thresholdLevel, true);
+        prepView.setFloat32(24, this.params.thresholdHysteresis, true);
+        prepView.setUint32(28, this.usesBackground() ? 1 : 0, true);
+        prepView.setUint32(32, options.channel, true);
+        prepView.setFloat32(36, options.tolerance, true);
+        prepView.setFloat32(40, options.key[0], true);
+        prepView.setFloat32(44, options.key[1], true);
+        this.device.queue.writeBuffer(this.buffers.preprocessParams, 0, preprocessParams);
+        this.preprocessReset = false;
+
+        const dispatch = (pipeline, entries) => {
+            const bindGroup = this.device.createBindGroup({ layout: pipeline.getBindGroupLayout(0), entries });
+            const pass = encoder.beginComputePass();
+            pass.setPipeline(pipeline);
+            pass.setBindGroup(0, bindGroup);
+            pass.dispatchWorkgroups(Math.ceil(this.params.width / 8), Math.ceil(this.params.height / 8));
+            pass.end();
+        };
+        const paramsEntry = { binding: 2, resource: { buffer: this.buffers.params } };
+        const prepEntry = { binding: 3, resource: { buffer: this.buffers.preprocessParams } };
+        const signalEntry = { binding: 5, resource: { buffer: this.buffers.signal } };
+        const scratchEntry = { binding: 6, resource: { buffer: this.buffers.signalScratch } };
+        const historyEntry = { binding: 7, resource: { buffer: this.buffers.signalHistory } };
+
+        dispatch(this.pipelines.potentialSignal, [
+            { binding: 0, resource: this.potentialSourceTexture().createView() },
+            paramsEntry,
+            prepEntry,
+            { binding: 4, resource: this.textures.background.createView() },
+            signalEntry
+        ]);
+        if (blurKernelRadius(this.params.blurRadius) >= 1) {
+            dispatch(this.pipelines.potentialBlurRows, [paramsEntry, prepEntry, signalEntry, scratchEntry]);
+            dispatch(this.pipelines.potentialBlurColumns, [paramsEntry, prepEntry, signalEntry, scratchEntry]);
+        }
+        dispatch(this.pipelines.potentialTemporal, [paramsEntry, prepEntry, signalEntry, historyEntry]);
+        dispatch(this.pipelines.potentialExtraction, [
+            { binding: 1, resource: { buffer: this.buffers.potential } },
+            paramsEntry,
+            prepEntry,
+            historyEntry,
+            { binding: 8, resource: { buffer: this.buffers.thresholdMask } }
+        ]);
+    }
+
+    runSchrodinger(encoder) {
+        const integrator = fieldIntegrator(this.params);
+        const groupsX = Math.ceil(this.params.width / 8);
+        const groupsY = Math.ceil(this.params.height / 8);
+
+        if (integrator === 1) {
+            // Leapfrog: update ψ_R from ψ_I, then ψ_I from the new ψ_R
+            this.runSimulationPass(encoder, this.pipelines.visscherReal, groupsX, groupsY);
+            this.runSimulationPass(encoder, this.pipelines.visscherImag, groupsX, groupsY);
+        } else if (integrator === 2) {
+            // Split-operator: one thread per row, then one per column
+            const scratch = [{ binding: 6, resource: { buffer: this.buffers.scratch } }];
+            this.runSimulationPass(encoder, this.pipelines.splitRows, Math.ceil(this.params.height / 64), 1, scratch);
+            this.runSimulationPass(encoder, this.pipelines.splitColumns, Math.ceil(this.params.width / 64), 1, scratch);
+        } else {
+            this.runSimulationPass(encoder, this.pipelines.schrodinger, groupsX, groupsY);
+        }
+
+        // Spin mode: B_x mixes the components after they have been stepped
+        if (this.params.spinEnabled && this.params.spinTransverse !== 0) {
+            this.runSpinPrecession(encoder, groupsX, groupsY);
+        }
+    }
+
+    // One pass of every spin component, all read from the same buffer index
+    runSimulationPass(encoder, pipeline, groupsX, groupsY, extraEntries = []) {
+        const current = this.bufferIndex;
+        const next = 1 - current;
+
+        this.spinBuffers().forEach(([psiR, psiI], i) => {
+            const bindGroup = this.device.createBindGroup({
+                layout: pipeline.getBindGroupLayout(0),
+                entries: [
+                    { binding: 0, resource: { buffer: psiR[current] } },
+                    { binding: 1, resource: { buffer: psiI[current] } },
+                    { binding: 2, resource: { buffer: psiR[next] } },
+                    { binding: 3, resource: { buffer: psiI[next] } },
+                    { binding: 4, resource: { buffer: this.buffers.potential } },
+                    { binding: 5, resource: { buffer: this.buffers.params } },
+                    { binding: 7, resource: { buffer: this.buffers.componentParams[i] } },
+                    ...extraEntries
+                ]
+            });
+
+            const pass = encoder.beginComputePass();
+            pass.setPipeline(pipeline);
+            pass.setBindGroup(0, bindGroup);
+            pass.dispatchWorkgroups(groupsX, groupsY);
+            pass.end();
+        });
+
+        // CRITICAL: Swap buffers after each pass so the next one reads the new data
+        this.bufferIndex = next;
+    }
+
+    // e^{−iB_x σ_x dt} on the spinor, into the other buffers of both components
+    runSpinPrecession(encoder, groupsX, groupsY) {
+        const current = this.bufferIndex;
+        const next = 1 - current;
+        const { psiR, psiI, downR, downI } = this.buffers;
+
+        const bindGroup = this.device.createBindGroup({
+            layout: this.pipelines.spinPrecession.getBindGroupLayout(0),
+            entries: [psiR[current], psiI[current], downR[current], downI[current],
+                psiR[next], psiI[next], downR[next], downI[next], this.buffers.params]
+                .map((buffer, binding) => ({ binding, resource: { buffer } }))
+        });
+
+        const pass = encoder.beginComputePass();
+        pass.setPipeline(this.pipelines.spinPrecession);
+        pass.setBindGroup(0, bindGroup);
+        pass.dispatchWorkgroups(groupsX, groupsY);
+        pass.end();
+
+        this.bufferIndex = next;
+    }
+
+    maybeMeasureObservables() {
+        const interval = Math.max(1, Math.round(this.params.observablesInterval));
+        if (!this.params.observablesEnabled || this.frameCount % interval !== 0) return;
+
+        // Skip this reading if the previous one has not come back yet
+        if (this.observablesPending) return;
+        this.measureObservables().catch((error) => {
+            console.warn('Observables readback failed:', error);
+        });
+    }
+
+    // Observables of the current ψ, shown in the panel and resolved with (see updateObservables())
+    async measureObservables() {
+        if (this.cpu) {
+            return this.updateObservables(this.cpu.observableSums(this.params));
+        }
+
+        // One readback buffer, so wait for a reading in flight
+        while (this.observablesPending) {
+            await this.observablesPending.catch(() => {});
+        }
+
+        const bindGroup = this.device.createBindGroup({
+            layout: this.pipelines.observables.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: this.buffers.psiR[this.bufferIndex] } },
+                { binding: 1, resource: { buffer: this.buffers.psiI[this.bufferIndex] } },
+                { binding: 2, resource: { buffer: this.buffers.potential } },
+                { binding: 3, resource: { buffer: this.buffers.params } },
+                { binding: 4, resource: { buffer: this.buffers.observables } },
+                { binding: 5, resource: { buffer: this.buffers.downR[this.bufferIndex] } },
+                { binding: 6, resource: { buffer: this.buffers.downI[this.bufferIndex] } }
+            ]
+        });
+
+        const encoder = this.device.createCommandEncoder();
+        const pass = encoder.beginComputePass();
+        pass.setPipeline(this.pipelines.observables);
+        pass.setBindGroup(0, bindGroup);
+        pass.dispatchWorkgroups(Math.ceil(this.params.width / 16), Math.ceil(this.params.height / 16));
+        pass.end();
+        encoder.copyBufferToBuffer(this.buffers.observables, 0, this.buffers.observablesReadback, 0, this.buffers.observables.size);
+        this.device.queue.submit([encoder.finish()]);
+
+        const readback = this.buffers.observablesReadback;
+        this.observablesPending = readback.mapAsync(GPUMapMode.READ);
+        try {
+            await this.observablesPending;
+        } finally {
+            this.observablesPending = null;
+        }
+
+        const partials = new Float32Array(readback.getMappedRange());
+        const sums = new Float64Array(OBSERVABLE_SUMS);
+        for (let i = 0; i < partials.length; i++) {
+            sums[i % OBSERVABLE_SUMS] += partials[i];
+        }
+        readback.unmap();
+        return this.updateObservables(sums);
+    }
+
+    // sums: Σ|ψ|², Σx|ψ|², Σy|ψ|², Σψ*p_xψ, Σψ*p_yψ, Σψ*Tψ, ΣV|ψ|² over all cells (ℏ = 1)
+    updateObservables(sums) {
+        const total = sums[0];
+        const expectation = (sum) => (total > 0 ? sum / total : 0);
+
+        const values = {
+            norm: total * this.params.dx * this.params.dx,
+            x: expectation(sums[1]),
+            y: expectation(sums[2]),
+            px: expectation(sums[3]),
+            py: expectation(sums[4]),
+            kinetic: expectation(sums[5]),
+            potential: expectation(sums[6])
+        };
+        values.energy = values.kinetic + values.potential;
+        this.observables = values;
+
+        for (const [key, value] of Object.entries(values)) {
+            const history = this.observableHistory[key] ??= [];
+            history.push(value);
+            if (history.length > OBSERVABLE_HISTORY) history.shift();
+
+            const label = document.getElementById(`obs-${key}`);
+            if (label) label.textContent = Number.isFinite(value) ? value.toPrecision(4) : '--';
+            this.drawSparkline(document.getElementById(`obs-${key}-plot`), history);
+        }
+
+        this.events.dispatchEvent(new CustomEvent('observables', { detail: values }));
+        return values;
+    }
+
+    drawSparkline(canvas, history) {
+        if (!canvas) return;
+        const ctx = canvas.getContext('2d');
+        const finite = history.filter(Number.isFinite);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (finite.length < 2) return;
+
+        const min = Math.min(...finite);
+        const max = Math.max(...finite);
+        const range = max - min || Math.abs(max) || 1;
+
+        ctx.strokeStyle = '#4fc3f7';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        history.forEach((value, i) => {
+            if (!Number.isFinite(value)) return;
+            const px = (i / (OBSERVABLE_HISTORY - 1)) * canvas.width;
+            const py = canvas.height - 2 - ((value - min) / range) * (canvas.height - 4);
+            if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+        });
+        ctx.stroke();
+    }
+
     runVisualization(encoder) {
         // After the simulation loop, bufferIndex points to the buffer with the NEWEST data
         const current = this.bufferIndex;
@@ -422,16 +1815,19 @@ this.drawCoverToCanvas(this.uploadedBitmap, this.potentialCanvas);
         vizView.setFloat32(16, this.params.gamma, true);
         vizView.setFloat32(20, this.params.displayMode, true);
         vizView.setFloat32(24, this.params.probScale, true);
-        vizView.setFloat32(28, 0.0, true);
+        vizView.setFloat32(28, this.params.spinEnabled ? this.params.spinView : SPIN_VIEW.UP, true);
         this.device.queue.writeBuffer(this.buffers.vizParams, 0, vizParams);
 
+        const [psiR, psiI] = this.viewedBuffers();
         const bindGroup = this.device.createBindGroup({
             layout: this.pipelines.visualization.getBindGroupLayout(0),
             entries: [
-                { binding: 0, resource: { buffer: this.buffers.psiR[current] } },
-                { binding: 1, resource: { buffer: this.buffers.psiI[current] } },
+                { binding: 0, resource: { buffer: psiR[current] } },
+                { binding: 1, resource: { buffer: psiI[current] } },
                 { binding: 2, resource: this.textures.output.createView() },
-                { binding: 3, resource: { buffer: this.buffers.vizParams } }
+                { binding: 3, resource: { buffer: this.buffers.vizParams } },
+                { binding: 4, resource: { buffer: this.buffers.downR[current] } },
+                { binding: 5, resource: { buffer: this.buffers.downI[current] } }
             ]
         });
 
@@ -442,19 +1838,88 @@ this.drawCoverToCanvas(this.uploadedBitmap, this.potentialCanvas);
         pass.end();
     }
 
+    // |ψ(k)|² into the momentum texture: zero-padded load, the FFT stages, peak, then the display mapping
+    runMomentumTransform(encoder) {
+        if (this.params.momentumView < 0.5) return;
+
+        const { width, height } = this.params;
+        const fftWidth = nextPowerOfTwo(width);
+        const fftHeight = nextPowerOfTwo(height);
+
+        const fftParams = new ArrayBuffer(32);
+        const fftView = new DataView(fftParams);
+        fftView.setUint32(0, width, true);
+        fftView.setUint32(4, height, true);
+        fftView.setUint32(8, fftWidth, true);
+        fftView.setUint32(12, fftHeight, true);
+        fftView.setFloat32(16, this.params.momentumZoom, true);
+        fftView.setFloat32(20, this.params.momentumLog ? 1.0 : 0.0, true);
+        this.device.queue.writeBuffer(this.buffers.fftParams, 0, fftParams);
+        this.device.queue.writeBuffer(this.buffers.fftPeak, 0, new Uint32Array([0]));
+
+        const dispatch = (pipeline, entries, groupsX, groupsY) => {
+            const bindGroup = this.device.createBindGroup({ layout: pipeline.getBindGroupLayout(0), entries });
+            const pass = encoder.beginComputePass();
+            pass.setPipeline(pipeline);
+            pass.setBindGroup(0, bindGroup);
+            pass.dispatchWorkgroups(groupsX, groupsY);
+            pass.end();
+        };
+        const fft = (i) => ({ buffer: this.buffers.fft[i] });
+        const fftParamsEntry = { binding: 2, resource: { buffer: this.buffers.fftParams } };
+        const [psiR, psiI] = this.viewedBuffers();
+
+        dispatch(this.pipelines.fftLoad, [
+            { binding: 1, resource: fft(0) },
+            fftParamsEntry,
+            { binding: 4, resource: { buffer: psiR[this.bufferIndex] } },
+            { binding: 5, resource: { buffer: psiI[this.bufferIndex] } }
+        ], Math.ceil(fftWidth / 8), Math.ceil(fftHeight / 8));
+
+        // Each stage reads one FFT buffer and writes the other
+        let current = 0;
+        fftStages(fftWidth, fftHeight).forEach(({ n, axis }, i) => {
+            dispatch(this.pipelines.fftStage, [
+                { binding: 0, resource: fft(current) },
+                { binding: 1, resource: fft(1 - current) },
+                fftParamsEntry,
+                { binding: 3, resource: { buffer: this.buffers.fftStages[i] } }
+            ], Math.ceil(n / 2 / 64), axis === 0 ? fftHeight : fftWidth);
+            current = 1 - current;
+        });
+
+        dispatch(this.pipelines.fftPeak, [
+            { binding: 0, resource: fft(current) },
+            fftParamsEntry,
+            { binding: 6, resource: { buffer: this.buffers.fftPeak } }
+        ], Math.ceil(fftWidth / 8), Math.ceil(fftHeight / 8));
+
+        dispatch(this.pipelines.fftDisplay, [
+            { binding: 0, resource: fft(current) },
+            fftParamsEntry,
+            { binding: 6, resource: { buffer: this.buffers.fftPeak } },
+            { binding: 7, resource: this.textures.momentum.createView() }
+        ], Math.ceil(width / 8), Math.ceil(height / 8));
+    }
+
     render(encoder) {
 
 
-        const backgroundTextureView =
-            (this.potentialSource === 'image' && this.uploadedBitmap)
-                ? this.textures.upload.createView()
-                : this.textures.webcam.createView();
+        let backgroundTextureView = this.textures.webcam.createView();
+        if (this.hasStaticPotential()) {
+            backgroundTextureView = this.textures.staticPotential.createView();
+        } else if (this.potentialSource === 'image' && this.uploadedBitmap) {
+            backgroundTextureView = this.textures.upload.createView();
+        }
 
         // Update render params
-        const renderParams = new ArrayBuffer(16);
+        const renderParams = new ArrayBuffer(32);
         const renderView = new DataView(renderParams);
         renderView.setFloat32(0, this.params.blendMode, true);
         renderView.setFloat32(4, this.params.mixRatio, true);
+        renderView.setFloat32(8, this.params.colormap, true);
+        renderView.setFloat32(12, isSignedDisplayMode(this.params.displayMode) ? 1.0 : 0.0, true);
+        renderView.setFloat32(16, this.params.momentumView, true);
         this.device.queue.writeBuffer(this.buffers.renderParams, 0, renderParams);
 
         const bindGroup = this.device.createBindGroup({
@@ -463,7 +1928,8 @@ this.drawCoverToCanvas(this.uploadedBitmap, this.potentialCanvas);
                 { binding: 0, resource: this.textures.output.createView() },
                 { binding: 1, resource: backgroundTextureView },
                 { binding: 2, resource: this.device.createSampler({ magFilter: 'linear', minFilter: 'linear' }) },
-                { binding: 3, resource: { buffer: this.buffers.renderParams } }
+                { binding: 3, resource: { buffer: this.buffers.renderParams } },
+                { binding: 4, resource: this.textures.momentum.createView() }
             ]
         });
 
@@ -484,23 +1950,30 @@ this.drawCoverToCanvas(this.uploadedBitmap, this.potentialCanvas);
     animate() {
         if (!this.isRunning) return;
         this.step();
-        requestAnimationFrame(() => this.animate());
+        if (this.recorder) this.recordFrame();
+        this.updateColorbar();
+        this.updateMomentumAxes();
+        this.showSimulationTime();
+        this.events.dispatchEvent(new CustomEvent('frame', {
+            detail: { frame: this.frameCount, time: this.time, steps: this.stepCount }
+        }));
+        this.animationFrame = requestAnimationFrame(() => this.animate());
     }
 
     setupUI() {
-        document.getElementById('display-mode').addEventListener('change', (e) => {
-            this.params.displayMode = parseFloat(e.target.value);
-            this.updateModeHint(this.params.displayMode);
-        });
-
-        document.getElementById('blend-mode').addEventListener('change', (e) => {
-            this.params.blendMode = parseFloat(e.target.value);
-        });
+        this.setupSelect('display-mode', 'displayMode', (mode) => this.updateModeHint(mode));
+        this.setupSelect('blend-mode', 'blendMode');
+        this.setupColormapControls();
+        this.setupSelect('momentum-view', 'momentumView');
+        this.setupCheckbox('momentum-log', 'momentumLog');
+        this.setupSelect('integrator', 'integrator');
+        this.setupSelect('boundary-type', 'boundaryType');
 
         this.setupSlider('wave-amplitude', 'waveAmplitude');
         this.setupSlider('gamma', 'gamma');
         this.setupSlider('prob-scale', 'probScale');
         this.setupSlider('mix-ratio', 'mixRatio');
+        this.setupSlider('momentum-zoom', 'momentumZoom');
         this.setupSlider('steps-per-frame', 'stepsPerFrame');
         this.setupSlider('time-step', 'dt');
         this.setupSlider('space-step', 'dx');
@@ -514,6 +1987,9 @@ this.drawCoverToCanvas(this.uploadedBitmap, this.potentialCanvas);
         this.setupSlider('ky', 'ky');
         this.setupSlider('wave-speed', 'waveSpeed');
         this.setupSlider('damping', 'damping');
+        this.setupSlider('absorber-width', 'absorberWidth');
+        this.setupSlider('absorber-strength', 'absorberStrength');
+        this.setupSlider('observables-interval', 'observablesInterval');
 
 
 
@@ -522,7 +1998,7 @@ this.drawCoverToCanvas(this.uploadedBitmap, this.potentialCanvas);
         const fileInput = document.getElementById('potential-image');
 
         sourceSelect?.addEventListener('change', () => {
-          this.potentialSource = sourceSelect.value;
+          this.setPotentialSource(sourceSelect.value);
         });
 
         fileInput?.addEventListener('change', async (e) => {
@@ -536,177 +2012,2633 @@ this.drawCoverToCanvas(this.uploadedBitmap, this.potentialCanvas);
           this.uploadedBitmap = bitmap;
           this.uploadedDirty = true;
 
-          // If user chose "image", show it immediately
-          this.potentialSource = 'image';
-          sourceSelect.value = 'image';
-        });
+          // If user chose "image", show it immediately
+          this.setPotentialSource('image');
+        });
+
+        this.setupPresetControls();
+        this.setupCameraControls();
+        this.setupPreprocessing();
+
+
+
+        this.setupCheckbox('invert-potential', 'invertBoundaries');
+        this.setupCheckbox('source-enabled', 'sourceEnabled');
+        this.setupCheckbox('observables-enabled', 'observablesEnabled');
+
+        document.getElementById('reset-btn').addEventListener('click', () => {
+            this.initializeWavefunction();
+        });
+
+        this.setupCheckbox('packet-add', 'addPackets');
+        this.setupPacketEditor();
+        this.setupEigenstates();
+
+        this.setupResolutionSelect();
+
+        this.setupCanvasInteraction();
+        this.setupPaintEditor();
+        this.setupDetectors();
+        this.setupPlayback();
+        this.setupDrive();
+        this.setupSpin();
+        this.setupMagnetic();
+        this.setupGrossPitaevskii();
+        this.setupSnapshotControls();
+        this.setupDataExport();
+        this.setupExperiments();
+        this.setupSettingsControls();
+        this.setupRecording();
+
+        // Controls show params rather than their HTML defaults
+        this.syncControls();
+    }
+
+    setPotentialSource(source) {
+        this.potentialSource = source;
+        this.preprocessReset = true;
+        this.scheduleHashUpdate();
+        document.getElementById('potential-source').value = source;
+        document.getElementById('preset-controls').style.display = source === 'preset' ? '' : 'none';
+
+        if (source === 'preset') {
+            this.applyPresetPotential();
+        } else if (source === 'snapshot') {
+            this.setStaticPotential(this.snapshotPotential);
+        }
+    }
+
+    // ========== POTENTIAL PREPROCESSING ==========
+    // Controls of the chain in preprocess.js, and the background frame for background subtraction
+    setupPreprocessing() {
+        this.setupSlider('blur-radius', 'blurRadius');
+        this.setupSlider('temporal-smoothing', 'temporalSmoothing');
+        this.setupCheckbox('edge-detect', 'edgeDetect');
+        this.setupSelect('threshold-mode', 'thresholdMode');
+        this.setupSlider('threshold-level', 'thresholdLevel');
+        this.setupSlider('threshold-hysteresis', 'thresholdHysteresis');
+        this.setupCheckbox('subtract-background', 'subtractBackground');
+
+        document.getElementById('background-capture').addEventListener('click', () => this.captureBackground());
+        document.getElementById('background-clear').addEventListener('click', () => this.clearBackground());
+        this.showBackgroundStatus();
+    }
+
+    usesBackground() {
+        return this.params.subtractBackground && this.hasBackground;
+    }
+
+    // Keeps the current webcam/image frame as the empty-scene reference and turns subtraction on
+    captureBackground() {
+        if (this.hasStaticPotential()) {
+            this.showError('Background subtraction needs the webcam or an uploaded image as potential source');
+            return;
+        }
+
+        if (this.cpu) {
+            this.cpuBackground = this.readCpuSourcePixels();
+        } else {
+            const encoder = this.device.createCommandEncoder();
+            encoder.copyTextureToTexture(
+                { texture: this.potentialSourceTexture() },
+                { texture: this.textures.background },
+                [this.params.width, this.params.height]
+            );
+            this.device.queue.submit([encoder.finish()]);
+        }
+
+        this.hasBackground = true;
+        this.preprocessReset = true;
+        this.params.subtractBackground = true;
+        this.syncControls();
+        this.scheduleHashUpdate();
+        this.showBackgroundStatus();
+    }
+
+    clearBackground() {
+        this.hasBackground = false;
+        this.cpuBackground = null;
+        this.preprocessReset = true;
+        this.showBackgroundStatus();
+    }
+
+    showBackgroundStatus() {
+        document.getElementById('background-status').textContent = this.hasBackground
+            ? 'Background captured'
+            : 'No background captured: step out of view and capture the empty scene';
+    }
+
+    // Colormap selector built from COLORMAPS; the colorbar follows it in updateColorbar()
+    setupColormapControls() {
+        const select = document.getElementById('colormap');
+        COLORMAPS.forEach((colormap, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = colormap.label;
+            select.appendChild(option);
+        });
+        select.value = this.params.colormap;
+        this.setupSelect('colormap', 'colormap');
+    }
+
+    // Preset selector and the sliders of the selected preset, built from PRESET_POTENTIALS
+    setupPresetControls() {
+        const typeSelect = document.getElementById('preset-type');
+        for (const [type, preset] of Object.entries(PRESET_POTENTIALS)) {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = preset.label;
+            typeSelect.appendChild(option);
+        }
+        typeSelect.value = this.params.presetType;
+
+        this.setupSelect('preset-type', 'presetType', () => {
+            this.buildPresetSliders();
+            this.applyPresetPotential();
+        });
+
+        this.buildPresetSliders();
+    }
+
+    buildPresetSliders() {
+        const container = document.getElementById('preset-params');
+        container.replaceChildren();
+
+        for (const control of PRESET_POTENTIALS[this.params.presetType].controls) {
+            const { slider, display } = this.createSlider(container, `preset-${control.key}`, control, this.params[control.key]);
+            this.bindSlider(slider, display, control.key);
+            slider.addEventListener('input', () => {
+                if (this.potentialSource === 'preset') this.applyPresetPotential();
+            });
+        }
+    }
+
+    // Same markup as the sliders in index.html
+    createSlider(container, id, { label, min, max, step }, value) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+
+        const labelEl = document.createElement('label');
+        labelEl.htmlFor = id;
+        const display = document.createElement('span');
+        display.id = `${id}-value`;
+        display.textContent = value;
+        labelEl.append(`${label}: `, display);
+
+        const slider = document.createElement('input');
+        Object.assign(slider, { type: 'range', id, min, max, step, value });
+
+        group.append(labelEl, slider);
+        container.appendChild(group);
+        return { slider, display };
+    }
+
+    setupSlider(id, param) {
+        const slider = document.getElementById(id);
+        const display = document.getElementById(id + '-value');
+
+        if (!slider || !display) {
+            console.warn(`⚠️ Slider not found: ${id}`);
+            return;
+        }
+
+        this.bindSlider(slider, display, param);
+    }
+
+    bindSlider(slider, display, param) {
+        this.controls.set(slider.id, { element: slider, param, display });
+        slider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.params[param] = value;
+            display.textContent = this.formatSliderValue(slider, value);
+            this.scheduleHashUpdate();
+
+            // Debug logging for steps per frame
+            if (param === 'stepsPerFrame') {
+                console.log(`🚀 Steps per frame: ${value}`);
+            }
+        });
+    }
+
+    // Shown with as many decimals as the slider's step
+    formatSliderValue(slider, value) {
+        const decimals = slider.step.includes('.') ? (slider.step.split('.')[1].length) : 0;
+        return value.toFixed(decimals);
+    }
+
+    // Select bound to a param (parsed as a number when the param is one); onChange runs after the update
+    setupSelect(id, param, onChange) {
+        const select = document.getElementById(id);
+        this.controls.set(id, { element: select, param });
+        select.addEventListener('change', () => {
+            this.params[param] = typeof this.params[param] === 'number' ? parseFloat(select.value) : select.value;
+            this.scheduleHashUpdate();
+            onChange?.(this.params[param]);
+        });
+    }
+
+    setupCheckbox(id, param) {
+        const checkbox = document.getElementById(id);
+        this.controls.set(id, { element: checkbox, param });
+        checkbox.addEventListener('change', () => {
+            this.params[param] = checkbox.checked;
+            this.scheduleHashUpdate();
+        });
+    }
+
+    // Shows the current params in every registered control, e.g. after they were replaced from a snapshot
+    syncControls() {
+        for (const { element, param, display } of this.controls.values()) {
+            const value = this.params[param];
+            if (element.type === 'checkbox') {
+                element.checked = value;
+            } else {
+                element.value = value;
+            }
+            if (display) display.textContent = this.formatSliderValue(element, value);
+        }
+        this.updateModeHint(this.params.displayMode);
+    }
+
+    // Replaces params (except the grid size) and brings the controls and the preset potential up to date
+    applyParams(values) {
+        const cameraResolution = this.params.cameraResolution;
+        const spinEnabled = this.params.spinEnabled;
+        for (const key of Object.keys(this.params)) {
+            if (key in values && key !== 'width' && key !== 'height') {
+                this.params[key] = values[key];
+            }
+        }
+        if (!(this.params.presetType in PRESET_POTENTIALS)) {
+            this.params.presetType = this.defaultParams.presetType;
+        }
+        if (!CAMERA_RESOLUTIONS.includes(this.params.cameraResolution)) {
+            this.params.cameraResolution = this.defaultParams.cameraResolution;
+        }
+        if (!/^#[0-9a-f]{6}$/i.test(this.params.chromaKeyColor)) {
+            this.params.chromaKeyColor = this.defaultParams.chromaKeyColor;
+        }
+        if (!(this.params.exportFormat in EXPORT_FORMATS)) {
+            this.params.exportFormat = this.defaultParams.exportFormat;
+        }
+        if (!EXPORT_FIELDS.includes(this.params.exportField)) {
+            this.params.exportField = this.defaultParams.exportField;
+        }
+
+        this.syncControls();
+        this.showChromaKeyControls();
+        this.showDriveControls();
+        this.showSpinControls();
+        this.showExportControls();
+        this.drawFluxTube();
+        if (this.params.spinEnabled !== spinEnabled) this.initializeWavefunction();
+        if (this.params.cameraResolution !== cameraResolution) this.initializeWebcam();
+        this.buildPresetSliders();
+        if (this.potentialSource === 'preset') this.applyPresetPotential();
+        this.scheduleHashUpdate();
+    }
+
+    // Moves a slider from code; its input handler updates params and the label
+    setControlValue(id, value) {
+        const slider = document.getElementById(id);
+        slider.value = value;
+        slider.dispatchEvent(new Event('input'));
+    }
+
+    // Pointer input on the canvas goes to the selected entry of this.canvasTools,
+    // each with down/move/up/cancel handlers taking grid coordinates
+    setupCanvasInteraction() {
+        let active = null;
+
+        // Click to launch a packet there, drag to give it momentum
+        let dragStart = null;
+        this.canvasTools.packet = {
+            down: (point) => { dragStart = point; },
+            move: (point) => this.drawLaunchPreview(dragStart, point),
+            up: (point) => {
+                this.launchWavepacket(dragStart, point);
+                this.clearOverlay();
+            },
+            cancel: () => this.clearOverlay()
+        };
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            active = this.canvasTools[this.canvasTool];
+            this.canvas.setPointerCapture(e.pointerId);
+            active.down(this.canvasToGrid(e));
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            active?.move(this.canvasToGrid(e));
+        });
+
+        this.canvas.addEventListener('pointerup', (e) => {
+            active?.up(this.canvasToGrid(e));
+            active = null;
+        });
+
+        this.canvas.addEventListener('pointercancel', () => {
+            active?.cancel();
+            active = null;
+        });
+
+        document.getElementById('canvas-tool').addEventListener('change', (e) => {
+            this.canvasTool = e.target.value;
+        });
+
+        window.addEventListener('resize', () => {
+            this.clearOverlay();
+            this.positionOverCanvas(this.paintCanvas);
+            this.drawFluxTube();
+        });
+    }
+
+    canvasToGrid(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left - this.canvas.clientLeft) / this.canvas.clientWidth * this.params.width,
+            y: (e.clientY - rect.top - this.canvas.clientTop) / this.canvas.clientHeight * this.params.height
+        };
+    }
+
+    launchWavepacket(start, end) {
+        this.params.packetX = Math.min(Math.max(start.x / this.params.width, 0), 1);
+        this.params.packetY = Math.min(Math.max(start.y / this.params.height, 0), 1);
+        this.scheduleHashUpdate();
+
+        // A drag sets the momentum, a plain click keeps the current kx/ky
+        const dragX = end.x - start.x;
+        const dragY = end.y - start.y;
+        if (Math.hypot(dragX, dragY) >= MIN_DRAG_CELLS) {
+            this.setControlValue('kx', dragX * DRAG_MOMENTUM_SCALE);
+            this.setControlValue('ky', dragY * DRAG_MOMENTUM_SCALE);
+        }
+
+        // A click launches the slider packet on its own, even when the packet list is filled
+        if (this.params.addPackets) {
+            this.addWavepacket();
+        } else {
+            this.initializeWavefunction([]);
+        }
+    }
+
+    // ========== SUPERPOSITION EDITOR ==========
+    // List of packets (packets.js) that Reset and Launch turn into ψ; one row of number inputs per packet
+    setupPacketEditor() {
+        document.getElementById('packet-list-add').addEventListener('click', () => {
+            const { packetX, packetY, sigma, kx, ky } = this.params;
+            this.packets.push(createPacket({ x: packetX, y: packetY, sigmaX: sigma, sigmaY: sigma, kx, ky }));
+            this.packetsChanged();
+        });
+        document.getElementById('packet-list-clear').addEventListener('click', () => {
+            this.packets = [];
+            this.packetsChanged();
+        });
+        document.getElementById('packet-list-launch').addEventListener('click', () => {
+            this.initializeWavefunction();
+        });
+
+        const examples = document.getElementById('packet-example');
+        for (const [name, example] of Object.entries(PACKET_EXAMPLES)) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = example.label;
+            examples.appendChild(option);
+        }
+        examples.addEventListener('change', () => {
+            const example = PACKET_EXAMPLES[examples.value];
+            if (!example) return;
+            this.packets = example.packets.map(packet => createPacket(packet));
+            examples.value = '';
+            this.packetsChanged();
+            this.initializeWavefunction();
+        });
+
+        this.renderPacketList();
+    }
+
+    packetsChanged() {
+        this.renderPacketList();
+        this.scheduleHashUpdate();
+    }
+
+    renderPacketList() {
+        const list = document.getElementById('packet-list');
+        list.replaceChildren(...this.packets.map((packet, index) => {
+            const row = document.createElement('div');
+            row.className = 'packet-row';
+
+            const title = document.createElement('span');
+            title.textContent = `#${index + 1}`;
+            row.appendChild(title);
+
+            for (const { key, label, step, title: tooltip } of PACKET_FIELDS) {
+                const field = document.createElement('label');
+                field.title = tooltip;
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.step = step;
+                input.value = Number(packet[key].toPrecision(4));
+                input.addEventListener('change', () => {
+                    const value = parseFloat(input.value);
+                    if (!Number.isFinite(value)) return;
+                    packet[key] = value;
+                    this.scheduleHashUpdate();
+                });
+                field.append(label, input);
+                row.appendChild(field);
+            }
+
+            const remove = document.createElement('button');
+            remove.textContent = '✕';
+            remove.title = 'Remove this packet';
+            remove.addEventListener('click', () => {
+                this.packets.splice(index, 1);
+                this.packetsChanged();
+            });
+            row.appendChild(remove);
+            return row;
+        }));
+        document.getElementById('packet-list-empty').hidden = this.packets.length > 0;
+    }
+
+    // ========== EIGENSTATES ==========
+    // Lowest bound states of the frozen potential (eigensolver.js), shown as ψ or loaded as the initial ψ
+    setupEigenstates() {
+        this.setupSlider('eigen-count', 'eigenstateCount');
+        document.getElementById('eigen-solve').addEventListener('click', () => {
+            if (this.eigenSolving) {
+                this.eigenSolving = false;
+            } else {
+                this.solveEigenstates();
+            }
+        });
+        document.getElementById('eigen-superpose').addEventListener('click', () => {
+            const selected = [...this.eigenSelection].sort((a, b) => a - b);
+            if (selected.length > 0) this.loadEigenstates(selected);
+        });
+    }
+
+    // Freezes V so the states stay stationary, then solves for them in the background
+    async solveEigenstates() {
+        const button = document.getElementById('eigen-solve');
+        const status = document.getElementById('eigen-status');
+
+        this.potentialFrozen = true;
+        document.getElementById('freeze-potential').checked = true;
+
+        // Running from the first click, so a second one during the readback stops this solve
+        this.eigenSolving = true;
+        button.textContent = '⏹ Stop';
+        status.textContent = 'Reading the potential…';
+
+        const { width, height, potentialAmplitude, potentialOffset, dx, waveSpeed, boundaryType } = this.params;
+        const { potential } = await this.readFields();
+        if (!this.eigenSolving) {
+            button.textContent = '🔬 Compute Eigenstates';
+            status.textContent = 'Stopped';
+            return;
+        }
+        const problem = createEigenProblem(
+            potential.map(raw => potentialAmplitude * (raw - potentialOffset)),
+            width, height,
+            { dx, kinetic: waveSpeed * 0.5, periodic: Math.round(boundaryType) === BOUNDARY.PERIODIC }
+        );
+
+        const count = Math.min(Math.max(Math.round(this.params.eigenstateCount), 1), MAX_EIGENSTATES);
+        status.textContent = `Solving on a ${problem.width}×${problem.height} grid…`;
+
+        const result = await solveEigenstates(problem, count, {
+            onProgress: ({ sweep, converged }) => {
+                status.textContent = `Sweep ${sweep}: ${converged} of ${count} states converged`;
+            },
+            isCancelled: () => !this.eigenSolving
+        });
+
+        this.eigenSolving = false;
+        button.textContent = '🔬 Compute Eigenstates';
+        this.eigenstates = { ...result, width: problem.width, height: problem.height };
+        status.textContent = `${result.converged ? 'Converged' : 'Stopped'} after ${result.sweeps} sweeps on a ${problem.width}×${problem.height} grid`;
+        // The solver's H is real and linear, so it cannot include the Peierls phases or the mean field
+        const left = [];
+        if (this.params.magneticField !== 0 || this.params.fluxTube !== 0) left.push('the magnetic field');
+        if (this.params.nonlinear) left.push('the mean field');
+        if (left.length > 0) {
+            status.textContent += ` (without ${left.join(' and ')})`;
+        }
+        this.renderEigenstateList();
+
+        console.log(`🔬 ${count} eigenstates: E = ${result.energies.map(e => e.toExponential(3)).join(', ')}`);
+    }
+
+    renderEigenstateList() {
+        const { energies } = this.eigenstates;
+        this.eigenSelection.clear();
+        document.getElementById('eigen-list').replaceChildren(...energies.map((energy, n) => {
+            const row = document.createElement('div');
+            row.className = 'packet-row';
+
+            const label = document.createElement('label');
+            const select = document.createElement('input');
+            select.type = 'checkbox';
+            select.title = 'Include in the superposition';
+            select.addEventListener('change', () => {
+                if (select.checked) this.eigenSelection.add(n);
+                else this.eigenSelection.delete(n);
+            });
+            label.append(select, ` n = ${n}: E = ${energy.toExponential(3)}`);
+            row.appendChild(label);
+
+            const view = document.createElement('button');
+            view.textContent = '👁 View';
+            view.title = 'Show this state as ψ, paused';
+            view.addEventListener('click', () => {
+                this.loadEigenstates([n]);
+                this.setPaused(true);
+            });
+            const load = document.createElement('button');
+            load.textContent = '▶ Load';
+            load.title = 'Start the simulation from this state';
+            load.addEventListener('click', () => {
+                this.loadEigenstates([n]);
+                this.setPaused(false);
+            });
+            row.append(view, load);
+            return row;
+        }));
+        document.getElementById('eigen-results').hidden = energies.length === 0;
+    }
+
+    // Equal-weight sum of the chosen states, interpolated to the grid and scaled to a peak |ψ| of 1
+    loadEigenstates(indices) {
+        const { states, width, height } = this.eigenstates;
+        const size = this.params.width * this.params.height;
+        const real = new Float32Array(size);
+        for (const n of indices) {
+            const state = resampleField(states[n], width, height, this.params.width, this.params.height);
+            for (let idx = 0; idx < size; idx++) real[idx] += state[idx];
+        }
+
+        const peak = real.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+        if (peak > 0) {
+            for (let idx = 0; idx < size; idx++) real[idx] /= peak;
+        }
+        this.uploadWavefunction(real, new Float32Array(size));
+        this.time = 0;
+        this.stepCount = 0;
+
+        console.log(`🔬 Loaded eigenstate${indices.length > 1 ? 's' : ''} ${indices.join(' + ')}`);
+    }
+
+    // Places an absolutely positioned element exactly over the simulation canvas
+    positionOverCanvas(element) {
+        Object.assign(element.style, {
+            left: `${this.canvas.offsetLeft + this.canvas.clientLeft}px`,
+            top: `${this.canvas.offsetTop + this.canvas.clientTop}px`,
+            width: `${this.canvas.clientWidth}px`,
+            height: `${this.canvas.clientHeight}px`
+        });
+    }
+
+    // Lines the overlay canvas up with the simulation canvas, at grid resolution, and clears it
+    syncOverlay() {
+        this.overlay.width = this.params.width;
+        this.overlay.height = this.params.height;
+        this.positionOverCanvas(this.overlay);
+        return this.overlay.getContext('2d');
+    }
+
+    clearOverlay() {
+        this.syncOverlay();
+    }
+
+    drawLaunchPreview(start, end) {
+        const ctx = this.syncOverlay();
+        const kx = Math.min(Math.max((end.x - start.x) * DRAG_MOMENTUM_SCALE, -10), 10);
+        const ky = Math.min(Math.max((end.y - start.y) * DRAG_MOMENTUM_SCALE, -10), 10);
+
+        ctx.strokeStyle = '#4fc3f7';
+        ctx.fillStyle = '#4fc3f7';
+        ctx.lineWidth = 1.5;
+
+        ctx.beginPath();
+        ctx.arc(start.x, start.y, this.params.sigma, 0, 2 * Math.PI);
+        ctx.stroke();
+
+        if (Math.hypot(end.x - start.x, end.y - start.y) < MIN_DRAG_CELLS) return;
+
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.lineTo(end.x - 8 * Math.cos(angle - 0.4), end.y - 8 * Math.sin(angle - 0.4));
+        ctx.moveTo(end.x, end.y);
+        ctx.lineTo(end.x - 8 * Math.cos(angle + 0.4), end.y - 8 * Math.sin(angle + 0.4));
+        ctx.stroke();
+
+        ctx.font = '12px sans-serif';
+        ctx.fillText(`k = (${kx.toFixed(1)}, ${ky.toFixed(1)})`, end.x + 6, end.y - 6);
+    }
+
+    // ========== PAINT EDITOR ==========
+    // Shapes are drawn with Canvas 2D into paintCanvas (gray level = V_raw, alpha = coverage),
+    // which is shown over the simulation and combined with the source potential every frame
+    setupPaintEditor() {
+        this.paintCanvas.width = this.params.width;
+        this.paintCanvas.height = this.params.height;
+        this.paintContext = this.paintCanvas.getContext('2d', { willReadFrequently: true });
+        this.positionOverCanvas(this.paintCanvas);
+
+        let stroke = null;
+        const freehand = () => this.paintTool === 'brush' || this.paintTool === 'eraser';
+
+        this.canvasTools.paint = {
+            down: (point) => {
+                // The undo snapshot doubles as the background for previewing shapes
+                const snapshot = this.pushPaintUndo();
+                stroke = { start: point, last: point, snapshot };
+                if (freehand()) this.drawPaintShape(point, point);
+                this.markPaintDirty();
+            },
+            move: (point) => {
+                if (freehand()) {
+                    this.drawPaintShape(stroke.last, point);
+                    stroke.last = point;
+                } else {
+                    this.paintContext.putImageData(stroke.snapshot, 0, 0);
+                    this.drawPaintShape(stroke.start, point);
+                }
+                this.markPaintDirty();
+            },
+            up: (point) => {
+                this.canvasTools.paint.move(point);
+                stroke = null;
+            },
+            cancel: () => {
+                this.undoPaint();
+                stroke = null;
+            }
+        };
+
+        document.getElementById('paint-tool').addEventListener('change', (e) => {
+            this.paintTool = e.target.value;
+        });
+
+        this.setupSelect('paint-mode', 'paintMode');
+
+        this.setupSlider('brush-value', 'brushValue');
+        this.setupSlider('brush-size', 'brushSize');
+        this.setupSlider('brush-softness', 'brushSoftness');
+
+        document.getElementById('paint-undo').addEventListener('click', () => this.undoPaint());
+        document.getElementById('paint-redo').addEventListener('click', () => this.redoPaint());
+        document.getElementById('paint-clear').addEventListener('click', () => this.clearPaint());
+    }
+
+    clearPaint() {
+        this.pushPaintUndo();
+        this.paintContext.clearRect(0, 0, this.params.width, this.params.height);
+        this.markPaintDirty();
+        this.paintHasContent = false;
+    }
+
+    // Draws the current tool's shape from start to end (a segment for brush, eraser and line)
+    drawPaintShape(start, end) {
+        const ctx = this.paintContext;
+        const gray = Math.round(this.params.brushValue * 255);
+
+        ctx.save();
+        ctx.filter = this.params.brushSoftness > 0 ? `blur(${this.params.brushSoftness}px)` : 'none';
+        ctx.globalCompositeOperation = this.paintTool === 'eraser' ? 'destination-out' : 'source-over';
+        ctx.strokeStyle = ctx.fillStyle = `rgb(${gray}, ${gray}, ${gray})`;
+        ctx.lineWidth = this.params.brushSize;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        ctx.beginPath();
+        if (this.paintTool === 'rectangle') {
+            ctx.rect(Math.min(start.x, end.x), Math.min(start.y, end.y), Math.abs(end.x - start.x), Math.abs(end.y - start.y));
+            ctx.fill();
+        } else if (this.paintTool === 'ellipse') {
+            const rx = Math.abs(end.x - start.x) / 2;
+            const ry = Math.abs(end.y - start.y) / 2;
+            ctx.ellipse((start.x + end.x) / 2, (start.y + end.y) / 2, rx, ry, 0, 0, 2 * Math.PI);
+            ctx.fill();
+        } else {
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    markPaintDirty() {
+        this.paintDirty = true;
+        this.paintHasContent = true;
+    }
+
+    // Saves the mask before an edit; returns the saved ImageData
+    pushPaintUndo() {
+        const snapshot = this.paintContext.getImageData(0, 0, this.params.width, this.params.height);
+        this.paintUndo.push(snapshot);
+        if (this.paintUndo.length > PAINT_UNDO_LIMIT) this.paintUndo.shift();
+        this.paintRedo = [];
+        return snapshot;
+    }
+
+    undoPaint() {
+        if (this.paintUndo.length === 0) return;
+        this.paintRedo.push(this.paintContext.getImageData(0, 0, this.params.width, this.params.height));
+        this.paintContext.putImageData(this.paintUndo.pop(), 0, 0);
+        this.markPaintDirty();
+    }
+
+    redoPaint() {
+        if (this.paintRedo.length === 0) return;
+        this.paintUndo.push(this.paintContext.getImageData(0, 0, this.params.width, this.params.height));
+        this.paintContext.putImageData(this.paintRedo.pop(), 0, 0);
+        this.markPaintDirty();
+    }
+
+    // ========== DETECTORS ==========
+    // Line or rectangle screens dragged out on the canvas (geometry and sampling in detectors.js).
+    // Every frame their bins are summed on the GPU (or CPU) and added to the histograms weighted by
+    // the time simulated since the previous reading.
+    setupDetectors() {
+        this.detectorCanvas = document.getElementById('detector-canvas');
+
+        let dragStart = null;
+        this.canvasTools.detector = {
+            down: (point) => { dragStart = point; },
+            move: (point) => {
+                const ctx = this.syncOverlay();
+                this.traceDetector(ctx, createDetector(this.params.detectorShape, dragStart, point, 1));
+                ctx.strokeStyle = DETECTOR_COLORS[this.detectors.length % DETECTOR_COLORS.length];
+                ctx.setLineDash([4, 3]);
+                ctx.stroke();
+            },
+            up: (point) => {
+                this.clearOverlay();
+                if (Math.hypot(point.x - dragStart.x, point.y - dragStart.y) < MIN_DRAG_CELLS) return;
+                const bins = Math.round(this.params.detectorBins);
+                this.detectors.push(createDetector(this.params.detectorShape, dragStart, point, bins));
+                this.detectorsChanged();
+            },
+            cancel: () => this.clearOverlay()
+        };
+
+        this.setupSelect('detector-shape', 'detectorShape');
+        this.setupSlider('detector-bins', 'detectorBins');
+        this.setupCheckbox('single-particle', 'singleParticle');
+        this.setupSlider('click-rate', 'clickRate');
+
+        document.getElementById('detector-reset').addEventListener('click', () => {
+            this.detectors.forEach(resetDetector);
+            this.detectorsChanged();
+        });
+        document.getElementById('detector-remove').addEventListener('click', () => {
+            this.detectors.pop();
+            this.detectorsChanged();
+        });
+        document.getElementById('detector-clear').addEventListener('click', () => {
+            this.detectors = [];
+            this.detectorsChanged();
+        });
+        document.getElementById('detector-export').addEventListener('click', () => {
+            if (this.detectors.length === 0) {
+                this.showError('Place a detector first');
+                return;
+            }
+            this.downloadBlob(new Blob([detectorsToCsv(this.detectors)], { type: 'text/csv' }), '.csv');
+        });
+    }
+
+    detectorsChanged() {
+        this.detectorsDirty = true;
+        this.detectorGeneration++;
+        this.detectorSteps = 0;
+        this.drawDetectors();
+        this.drawDetectorPlots();
+    }
+
+    // Keeps detectors at the same place on the canvas when the grid is resized; histograms restart
+    scaleDetectors(scaleX, scaleY) {
+        for (const detector of this.detectors) {
+            for (const point of [detector.start, detector.end]) {
+                point.x *= scaleX;
+                point.y *= scaleY;
+            }
+            resetDetector(detector);
+        }
+        this.detectorsChanged();
+    }
+
+    // Concatenated bin geometry, and on the GPU the buffers the detector pass reads and writes
+    updateDetectorGeometry() {
+        const geometries = this.detectors.map(detectorGeometry);
+        this.detectorGeometry = new Float32Array(geometries.reduce((length, g) => length + g.length, 0));
+        let offset = 0;
+        for (const geometry of geometries) {
+            this.detectorGeometry.set(geometry, offset);
+            offset += geometry.length;
+        }
+        this.detectorBinCount = this.detectors.reduce((count, detector) => count + detector.bins, 0);
+        this.detectorsDirty = false;
+        if (this.cpu) return;
+
+        for (const name of ['detectorBins', 'detectorSums', 'detectorReadback', 'detectorParams']) {
+            this.buffers[name]?.destroy();
+        }
+        this.buffers.detectorBins = this.device.createBuffer({
+            size: this.detectorGeometry.byteLength,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.buffers.detectorSums = this.device.createBuffer({
+            size: this.detectorBinCount * 4,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC
+        });
+        this.buffers.detectorReadback = this.device.createBuffer({
+            size: this.detectorBinCount * 4,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+        });
+        this.buffers.detectorParams = this.device.createBuffer({
+            size: 16,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        this.device.queue.writeBuffer(this.buffers.detectorBins, 0, this.detectorGeometry);
+        this.device.queue.writeBuffer(this.buffers.detectorParams, 0,
+            new Uint32Array([this.params.width, this.params.height, this.detectorBinCount, 0]));
+    }
+
+    measureDetectors() {
+        if (this.detectors.length === 0 || (!this.cpu && this.detectorsPending)) return;
+        if (this.detectorsDirty) this.updateDetectorGeometry();
+
+        const duration = this.detectorSteps * this.stepDuration();
+        const generation = this.detectorGeneration;
+        this.detectorSteps = 0;
+
+        if (this.cpu) {
+            const values = new Float32Array(this.detectorBinCount);
+            this.cpu.detectorSums(this.detectorGeometry, values);
+            this.updateDetectors(values, duration);
+            return;
+        }
+
+        this.detectorsPending = true;
+        const bindGroup = this.device.createBindGroup({
+            layout: this.pipelines.detectors.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: this.buffers.psiR[this.bufferIndex] } },
+                { binding: 1, resource: { buffer: this.buffers.psiI[this.bufferIndex] } },
+                { binding: 2, resource: { buffer: this.buffers.detectorBins } },
+                { binding: 3, resource: { buffer: this.buffers.detectorSums } },
+                { binding: 4, resource: { buffer: this.buffers.detectorParams } },
+                { binding: 5, resource: { buffer: this.buffers.downR[this.bufferIndex] } },
+                { binding: 6, resource: { buffer: this.buffers.downI[this.bufferIndex] } }
+            ]
+        });
+
+        const encoder = this.device.createCommandEncoder();
+        const pass = encoder.beginComputePass();
+        pass.setPipeline(this.pipelines.detectors);
+        pass.setBindGroup(0, bindGroup);
+        pass.dispatchWorkgroups(Math.ceil(this.detectorBinCount / 64));
+        pass.end();
+        encoder.copyBufferToBuffer(this.buffers.detectorSums, 0, this.buffers.detectorReadback, 0, this.buffers.detectorSums.size);
+        this.device.queue.submit([encoder.finish()]);
+
+        const readback = this.buffers.detectorReadback;
+        readback.mapAsync(GPUMapMode.READ).then(() => {
+            const values = new Float32Array(readback.getMappedRange()).slice();
+            readback.unmap();
+            this.detectorsPending = false;
+            if (generation === this.detectorGeneration) this.updateDetectors(values, duration);
+        }).catch((error) => {
+            console.warn('Detector readback failed:', error);
+            this.detectorsPending = false;
+        });
+    }
+
+    // values: Σ|ψ|² dA per bin (in cells²) of all detectors; duration: time simulated since the last reading
+    updateDetectors(values, duration) {
+        const area = this.params.dx * this.params.dx;
+        const norm = this.observables?.norm || 1;
+        let offset = 0;
+
+        for (const detector of this.detectors) {
+            const bins = values.subarray(offset, offset + detector.bins);
+            let total = 0;
+            for (let bin = 0; bin < detector.bins; bin++) {
+                detector.integrated[bin] += bins[bin] * area * duration;
+                total += bins[bin] * area;
+            }
+
+            if (this.params.singleParticle) {
+                const clicks = Math.min(samplePoisson(this.params.clickRate * duration * total / norm), 1000);
+                const geometry = this.detectorGeometry.subarray(offset * DETECTOR_BIN_FLOATS, (offset + detector.bins) * DETECTOR_BIN_FLOATS);
+                recordDetections(detector, geometry, bins, clicks);
+            }
+            offset += detector.bins;
+        }
+
+        this.drawDetectors();
+        this.drawDetectorPlots();
+    }
+
+    // Outline of a detector as the current path of ctx
+    traceDetector(ctx, detector) {
+        const { start, end } = detector;
+        ctx.beginPath();
+        if (detector.shape === 'line') {
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+        } else {
+            ctx.rect(Math.min(start.x, end.x), Math.min(start.y, end.y), Math.abs(end.x - start.x), Math.abs(end.y - start.y));
+        }
+    }
+
+    // Detector outlines, labels and single-particle hits, at grid resolution over the canvas
+    drawDetectors() {
+        const canvas = this.detectorCanvas;
+        canvas.width = this.params.width;
+        canvas.height = this.params.height;
+        this.positionOverCanvas(canvas);
+        const ctx = canvas.getContext('2d');
+
+        this.detectors.forEach((detector, index) => {
+            const color = DETECTOR_COLORS[index % DETECTOR_COLORS.length];
+            ctx.strokeStyle = ctx.fillStyle = color;
+            ctx.lineWidth = 1.5;
+            this.traceDetector(ctx, detector);
+            ctx.stroke();
+
+            ctx.font = '11px sans-serif';
+            ctx.fillText(`D${index + 1}`, detector.start.x + 4, detector.start.y - 4);
+
+            if (this.params.singleParticle) {
+                ctx.fillStyle = '#ffffff';
+                for (const [x, y] of detector.events) {
+                    ctx.fillRect(x - 0.5, y - 0.5, 1, 1);
+                }
+            }
+        });
+    }
+
+    // One histogram per detector below the canvas: hit counts in single-particle mode, ∫|ψ|² dA dt otherwise
+    drawDetectorPlots() {
+        const container = document.getElementById('detector-plots');
+        while (container.children.length > this.detectors.length) {
+            container.lastElementChild.remove();
+        }
+        while (container.children.length < this.detectors.length) {
+            const plot = document.createElement('div');
+            plot.className = 'detector-plot';
+            plot.append(document.createElement('span'),
+                Object.assign(document.createElement('canvas'), { width: DETECTOR_PLOT_WIDTH, height: DETECTOR_PLOT_HEIGHT }));
+            container.appendChild(plot);
+        }
+
+        this.detectors.forEach((detector, index) => {
+            const [title, canvas] = container.children[index].children;
+            const values = this.params.singleParticle ? detector.counts : detector.integrated;
+            const hits = detector.counts.reduce((sum, count) => sum + count, 0);
+            title.textContent = this.params.singleParticle
+                ? `D${index + 1}: ${hits} hits`
+                : `D${index + 1}: ∫|ψ|² dA dt = ${values.reduce((sum, value) => sum + value, 0).toPrecision(3)}`;
+
+            const ctx = canvas.getContext('2d');
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.fillStyle = DETECTOR_COLORS[index % DETECTOR_COLORS.length];
+            const max = Math.max(...values) || 1;
+            const barWidth = canvas.width / detector.bins;
+            values.forEach((value, bin) => {
+                const barHeight = value / max * (canvas.height - 2);
+                ctx.fillRect(bin * barWidth, canvas.height - barHeight, Math.max(barWidth - 1, 1), barHeight);
+            });
+        });
+    }
+
+    // ========== SNAPSHOTS ==========
+    // ψ, V, params and time written to / restored from a file (format in snapshot.js)
+    setupSnapshotControls() {
+        const fileInput = document.getElementById('snapshot-file');
+
+        document.getElementById('snapshot-save').addEventListener('click', () => {
+            this.saveSnapshot().catch((error) => {
+                console.error('Saving snapshot failed:', error);
+                this.showError(`Could not save snapshot: ${error.message}`);
+            });
+        });
+
+        document.getElementById('snapshot-load').addEventListener('click', () => fileInput.click());
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files?.[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            try {
+                await this.loadSnapshot(file);
+            } catch (error) {
+                console.error('Loading snapshot failed:', error);
+                this.showError(`Could not load snapshot: ${error.message}`);
+            }
+        });
+    }
+
+    // ========== DATA EXPORT ==========
+    // ψ, |ψ|² and V as NumPy / CSV / 16-bit PNG files for analysis elsewhere (export.js), each with
+    // a JSON sidecar of the parameters, time and grid spacing
+    setupDataExport() {
+        this.setupSelect('export-format', 'exportFormat', () => this.showExportControls());
+        this.setupSelect('export-field', 'exportField');
+        document.getElementById('export-data').addEventListener('click', () => {
+            this.exportData().catch((error) => {
+                console.error('Exporting data failed:', error);
+                this.showError(`Could not export data: ${error.message}`);
+            });
+        });
+        this.showExportControls();
+    }
+
+    // .npz holds every field, the other formats one
+    showExportControls() {
+        document.getElementById('export-field-controls').style.display = this.params.exportFormat === 'npz' ? 'none' : '';
+    }
+
+    async exportData() {
+        const { width, height, dx, exportFormat: format, exportField: field } = this.params;
+        const fields = exportFields(await this.readFields(), this.params);
+        const { extension, type } = EXPORT_FORMATS[format];
+        const name = `quantumcam-${new Date().toISOString().replace(/[:.]/g, '-')}${format === 'npz' ? '' : `-${field}`}`;
+
+        const sidecar = {
+            format,
+            width,
+            height,
+            dx,
+            time: this.time,
+            steps: this.stepCount,
+            layout: 'row-major [height][width] float32; row y, column x is the cell at (x·dx, y·dx)',
+            potential: 'V = potentialAmplitude·(V_raw − potentialOffset), without the time-dependent drive',
+            fields: format === 'npz' ? Object.keys(fields) : [field],
+            ...(this.params.spinEnabled && { spin: 'psi_real and psi_imag are spin up; density sums both components' }),
+            params: { ...this.params }
+        };
+
+        let blob;
+        if (format === 'npz') {
+            blob = encodeNpz(fields, width, height);
+        } else if (format === 'npy') {
+            blob = new Blob([encodeNpy(fields[field], width, height)], { type });
+        } else if (format === 'csv') {
+            blob = new Blob([encodeCsv(fields[field], width, height)], { type });
+        } else {
+            const png = await encodePng16(fields[field], width, height);
+            blob = png.blob;
+            sidecar.scale = { min: png.min, max: png.max, value: 'min + (max − min)·pixel/65535' };
+        }
+
+        this.downloadBlob(blob, extension, name);
+        this.downloadBlob(new Blob([JSON.stringify(sidecar, null, 2)], { type: 'application/json' }), '.json', name);
+        console.log(`📤 Exported ${sidecar.fields.join(', ')} as ${extension} (${(blob.size / 1024).toFixed(0)} KiB)`);
+    }
+
+    // Makes V_raw (width × height) the 'snapshot' potential source
+    setSnapshotPotential(data) {
+        this.snapshotPotential = data;
+        document.getElementById('snapshot-source').hidden = false;
+        this.setPotentialSource('snapshot');
+    }
+
+    // Copies of the current ψ_R, ψ_I and V_raw (painting included) from whichever backend runs,
+    // plus spin down (downR, downI) in spin mode
+    async readFields() {
+        const spin = this.params.spinEnabled;
+        if (this.cpu) {
+            return {
+                psiR: this.cpu.real.slice(),
+                psiI: this.cpu.imag.slice(),
+                potential: this.cpu.potential.slice(),
+                ...(spin && { downR: this.cpu.downReal.slice(), downI: this.cpu.downImag.slice() })
+            };
+        }
+
+        const sources = {
+            psiR: this.buffers.psiR[this.bufferIndex],
+            psiI: this.buffers.psiI[this.bufferIndex],
+            potential: this.buffers.potential,
+            ...(spin && { downR: this.buffers.downR[this.bufferIndex], downI: this.buffers.downI[this.bufferIndex] })
+        };
+        const size = this.buffers.potential.size;
+        const readback = this.device.createBuffer({
+            size: size * Object.keys(sources).length,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+        });
+
+        const encoder = this.device.createCommandEncoder();
+        Object.values(sources).forEach((buffer, i) => {
+            encoder.copyBufferToBuffer(buffer, 0, readback, i * size, size);
+        });
+        this.device.queue.submit([encoder.finish()]);
+
+        await readback.mapAsync(GPUMapMode.READ);
+        const data = new Float32Array(readback.getMappedRange().slice(0));
+        readback.destroy();
+
+        const count = size / 4;
+        return Object.fromEntries(Object.keys(sources).map((name, i) => [name, data.slice(i * count, (i + 1) * count)]));
+    }
+
+    async saveSnapshot() {
+        const { width, height } = this.params;
+        const header = {
+            width,
+            height,
+            time: this.time,
+            potentialSource: this.potentialSource,
+            params: { ...this.params }
+        };
+        const blob = await encodeSnapshot(header, await this.readFields());
+        this.downloadBlob(blob, SNAPSHOT_EXTENSION);
+
+        console.log(`💾 Snapshot saved (${(blob.size / 1024).toFixed(0)} KiB)`);
+    }
+
+    // Restores the grid size, params, time, ψ and V.
+    // The saved V becomes the 'snapshot' potential source, so the scene does not depend on the camera.
+    async loadSnapshot(file) {
+        const { header, fields } = await decodeSnapshot(file);
+
+        // Before the params, which then replace the dx, σ and k that resizing rescales. The CPU solver
+        // runs the snapshot's grid CPU_DOWNSCALE times coarser, as for the resolution selector
+        const scale = this.cpu ? CPU_DOWNSCALE : 1;
+        await this.resizeGrid(Math.round(header.width / scale), Math.round(header.height / scale));
+        this.applyParams(header.params);
+        this.time = header.time;
+
+        const { width, height } = this.params;
+        const resample = (data) => data && resampleField(data, header.width, header.height, width, height);
+        this.uploadWavefunction(resample(fields.psiR), resample(fields.psiI),
+            fields.downR && { real: resample(fields.downR), imag: resample(fields.downI) });
+
+        // The saved V already contains the painted overlay
+        if (this.paintHasContent) this.clearPaint();
+        this.setSnapshotPotential(resample(fields.potential));
+
+        console.log(`📂 Snapshot loaded: ${header.width}×${header.height} (source was ${header.potentialSource}), t=${header.time.toFixed(2)}`);
+    }
+
+    // ========== EXPERIMENTS ==========
+    // JSON parameter sweeps (experiment.js) run through the scripting API; the table downloads as CSV
+    setupExperiments() {
+        document.getElementById('experiment-script').value = JSON.stringify(EXAMPLE_EXPERIMENT, null, 2);
+        document.getElementById('experiment-run').addEventListener('click', () => {
+            if (this.experimentRunning) {
+                this.experimentRunning = false;
+                document.getElementById('experiment-status').textContent = 'Stopping after this run…';
+                return;
+            }
+            this.runExperimentScript().catch((error) => {
+                console.error('Experiment failed:', error);
+                this.showError(`Experiment failed: ${error.message}`);
+            });
+        });
+    }
+
+    async runExperimentScript() {
+        const button = document.getElementById('experiment-run');
+        const status = document.getElementById('experiment-status');
+        const script = document.getElementById('experiment-script').value;
+
+        this.experimentRunning = true;
+        button.textContent = '⏹ Stop';
+        status.textContent = 'Running…';
+        try {
+            const result = await runExperiment(this.api, script, {
+                onProgress: (row, index) => {
+                    status.textContent = `Run ${index + 1} done (value ${row.value})`;
+                },
+                isCancelled: () => !this.experimentRunning
+            });
+            if (result.rows.length > 0) {
+                this.downloadBlob(new Blob([experimentToCsv(result)], { type: 'text/csv' }), '-experiment.csv');
+            }
+            status.textContent = `${result.rows.length} runs${this.experimentRunning ? '' : ' (stopped)'}`;
+            console.log(`🧪 Experiment: ${result.rows.length} values of ${result.param}`);
+        } catch (error) {
+            status.textContent = '';
+            throw error;
+        } finally {
+            this.experimentRunning = false;
+            button.textContent = '▶ Run Experiment';
+        }
+    }
+
+    // ========== GRID RESOLUTION ==========
+    setupResolutionSelect() {
+        const select = document.getElementById('grid-resolution');
+        this.showResolution();
+
+        select.addEventListener('change', () => {
+            const [width, height] = select.value.split('x').map(Number);
+            const scale = this.cpu ? CPU_DOWNSCALE : 1;
+            this.resizeGrid(Math.round(width / scale), Math.round(height / scale)).catch((error) => {
+                console.error('Changing the resolution failed:', error);
+                this.showError(`Could not change the resolution: ${error.message}`);
+            });
+        });
+    }
+
+    // Selector and info bar show the canvas resolution (the CPU solver's grid is CPU_DOWNSCALE times coarser)
+    showResolution() {
+        const select = document.getElementById('grid-resolution');
+        const value = `${this.canvas.width}x${this.canvas.height}`;
+        if (![...select.options].some(option => option.value === value)) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `${this.canvas.width}×${this.canvas.height}`;
+            select.appendChild(option);
+        }
+        select.value = value;
+
+        document.getElementById('resolution-info').textContent = `Resolution: ${this.params.width}×${this.params.height}`;
+    }
+
+    // Recreates every grid-sized resource. ψ, the painted mask and a snapshot potential are resampled,
+    // and dx, σ and k are rescaled so the scene keeps its physical size across the shorter side.
+    async resizeGrid(width, height) {
+        const old = { width: this.params.width, height: this.params.height };
+        if (width === old.width && height === old.height) return;
+        if (this.groundState) this.finishGroundState();
+
+        const fields = await this.readFields();
+        const resample = (data) => resampleField(data, old.width, old.height, width, height);
+
+        this.params.width = width;
+        this.params.height = height;
+        const scale = this.cpu ? CPU_DOWNSCALE : 1;
+        this.canvas.width = width * scale;
+        this.canvas.height = height * scale;
+
+        if (this.cpu) {
+            this.createCpuSolver();
+        } else {
+            for (const resource of [...Object.values(this.buffers).flat(), ...Object.values(this.textures)]) {
+                resource.destroy();
+            }
+            await this.createBuffers();
+        }
+
+        const ratio = Math.min(width, height) / Math.min(old.width, old.height);
+        this.setControlValue('space-step', this.params.dx / ratio);
+        this.setControlValue('sigma', this.params.sigma * ratio);
+        this.setControlValue('kx', this.params.kx / ratio);
+        this.setControlValue('ky', this.params.ky / ratio);
+        for (const packet of this.packets) {
+            packet.sigmaX *= ratio;
+            packet.sigmaY *= ratio;
+            packet.kx /= ratio;
+            packet.ky /= ratio;
+        }
+        this.renderPacketList();
+
+        this.uploadWavefunction(resample(fields.psiR), resample(fields.psiI),
+            fields.downR && { real: resample(fields.downR), imag: resample(fields.downI) });
+        this.observableHistory = {};
+
+        if (this.snapshotPotential) {
+            this.snapshotPotential = resample(this.snapshotPotential);
+        }
+        if (this.potentialSource === 'preset') {
+            this.applyPresetPotential();
+        } else if (this.potentialSource === 'snapshot') {
+            this.setStaticPotential(this.snapshotPotential);
+        }
+        this.potentialCanvas = null;
+        this.uploadedDirty = true;
+
+        this.resizePaintCanvas(old);
+        this.scaleDetectors(width / old.width, height / old.height);
+        this.drawFluxTube();
+        this.clearBackground();
+        this.clearOverlay();
+        this.showResolution();
+
+        await this.initializeWebcam();
+        console.log(`📐 Grid resized to ${width}×${height}`);
+    }
+
+    // Scales the painted mask to the new grid; undo history is dropped since its images have the old size
+    resizePaintCanvas(old) {
+        const previous = Object.assign(document.createElement('canvas'), old);
+        previous.getContext('2d').drawImage(this.paintCanvas, 0, 0);
+
+        this.paintCanvas.width = this.params.width;
+        this.paintCanvas.height = this.params.height;
+        this.paintContext.drawImage(previous, 0, 0, this.params.width, this.params.height);
+        this.positionOverCanvas(this.paintCanvas);
+
+        this.paintUndo = [];
+        this.paintRedo = [];
+        this.paintPixels = null;
+        this.paintDirty = true;
+    }
+
+    // Saves a file as quantumcam-<date and time><extension>, or under the given name
+    downloadBlob(blob, extension, name = `quantumcam-${new Date().toISOString().replace(/[:.]/g, '-')}`) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${name}${extension}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    // ========== RECORDING ==========
+    // Frames are composed on recordCanvas: the simulation, the painted overlay and optionally
+    // the time and observables. Live recordings stream it into a MediaRecorder (WebM); offline
+    // renders step the simulation without the CPU frame budget and encode a GIF or a zip of PNGs,
+    // so the result does not depend on the live frame rate.
+    setupRecording() {
+        this.recordCanvas = document.createElement('canvas');
+        this.recordContext = this.recordCanvas.getContext('2d', { willReadFrequently: true });
+
+        this.setupCheckbox('record-overlay', 'recordOverlay');
+        this.setupSlider('record-frames', 'recordFrames');
+        this.setupSlider('record-fps', 'recordFps');
+        this.setupSlider('record-scale', 'recordScale');
+        this.setupSelect('record-format', 'recordFormat');
+
+        document.getElementById('record-video').addEventListener('click', () => {
+            if (this.recorder) {
+                this.stopRecording();
+            } else {
+                this.startRecording();
+            }
+        });
+
+        document.getElementById('record-offline').addEventListener('click', () => {
+            this.renderOffline().catch((error) => {
+                console.error('Offline render failed:', error);
+                this.showError(`Offline render failed: ${error.message}`);
+            });
+        });
+    }
+
+    startRecording() {
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            this.showError('Video recording (WebM) is not supported in this browser');
+            return;
+        }
+
+        // Frames are pushed by recordFrame() after every simulation frame, not sampled on a timer
+        this.composeRecordingFrame(this.canvas.width, this.canvas.height);
+        const stream = this.recordCanvas.captureStream(0);
+        this.recordTrack = stream.getVideoTracks()[0];
+
+        const chunks = [];
+        this.recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8_000_000 });
+        this.recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        this.recorder.onstop = () => this.downloadBlob(new Blob(chunks, { type: 'video/webm' }), '.webm');
+        this.recorder.start(1000);
+
+        document.getElementById('record-video').textContent = '⏹ Stop recording';
+        document.getElementById('record-status').textContent = 'Recording…';
+    }
+
+    recordFrame() {
+        this.composeRecordingFrame(this.canvas.width, this.canvas.height);
+        this.recordTrack.requestFrame();
+    }
+
+    stopRecording() {
+        this.recorder.stop();
+        this.recorder = null;
+        this.recordTrack = null;
+
+        document.getElementById('record-video').textContent = '⏺ Record video';
+        document.getElementById('record-status').textContent = '';
+    }
+
+    // Fixed stepsPerFrame for every frame, paced by the GPU (or CPU) rather than requestAnimationFrame
+    async renderOffline() {
+        if (this.recorder) this.stopRecording();
+
+        const frames = Math.round(this.params.recordFrames);
+        const width = Math.round(this.canvas.width * this.params.recordScale);
+        const height = Math.round(this.canvas.height * this.params.recordScale);
+        const gif = this.params.recordFormat === 'gif' ? new GifWriter(width, height, 1000 / this.params.recordFps) : null;
+        const pngs = [];
+
+        const button = document.getElementById('record-offline');
+        const status = document.getElementById('record-status');
+        button.disabled = true;
+        this.isRunning = false;
+        cancelAnimationFrame(this.animationFrame);
+        this.offlineRendering = true;
+
+        try {
+            for (let i = 0; i < frames; i++) {
+                // Compose in the same task as step(), while the WebGPU canvas still holds this frame
+                this.step();
+                this.composeRecordingFrame(width, height);
+
+                if (gif) {
+                    gif.addFrame(this.recordContext.getImageData(0, 0, width, height).data);
+                } else {
+                    const png = await new Promise(resolve => this.recordCanvas.toBlob(resolve, 'image/png'));
+                    pngs.push({ name: `frame-${String(i + 1).padStart(4, '0')}.png`, data: new Uint8Array(await png.arrayBuffer()) });
+                }
+
+                status.textContent = `Rendering frame ${i + 1} / ${frames}`;
+                if (this.cpu) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                } else {
+                    await this.device.queue.onSubmittedWorkDone();
+                }
+            }
+
+            status.textContent = 'Encoding…';
+            this.downloadBlob(gif ? gif.finish() : createZip(pngs), gif ? '.gif' : '-frames.zip');
+        } finally {
+            this.offlineRendering = false;
+            this.isRunning = true;
+            this.animate();
+            button.disabled = false;
+            status.textContent = '';
+        }
+    }
+
+    composeRecordingFrame(width, height) {
+        if (this.recordCanvas.width !== width || this.recordCanvas.height !== height) {
+            Object.assign(this.recordCanvas, { width, height });
+        }
+
+        const ctx = this.recordContext;
+        ctx.drawImage(this.canvas, 0, 0, width, height);
+        if (this.paintHasContent) {
+            ctx.globalAlpha = parseFloat(getComputedStyle(this.paintCanvas).opacity);
+            ctx.drawImage(this.paintCanvas, 0, 0, width, height);
+            ctx.globalAlpha = 1;
+        }
+        if (this.params.recordOverlay) {
+            this.drawRecordingOverlay(ctx, height);
+        }
+    }
+
+    // Time and the latest observables in the top left corner
+    drawRecordingOverlay(ctx, height) {
+        const lines = [`t = ${this.time.toFixed(2)}`];
+        if (this.observables) {
+            const { norm, x, y, energy } = this.observables;
+            lines.push(
+                `‖ψ‖² = ${norm.toPrecision(4)}`,
+                `⟨x⟩ = ${x.toFixed(1)}  ⟨y⟩ = ${y.toFixed(1)}`,
+                `E = ${energy.toPrecision(4)}`);
+        }
+
+        const size = Math.max(9, Math.round(height / 30));
+        ctx.font = `${size}px monospace`;
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + size;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        ctx.fillRect(0, 0, boxWidth, (lines.length + 0.5) * size * 1.2);
+        ctx.fillStyle = '#fff';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => ctx.fillText(line, size / 2, (i + 0.3) * size * 1.2));
+    }
+
+    // ========== SHARED SETTINGS ==========
+    // The page hash always holds the params that differ from the defaults (plus the preset source),
+    // so the address bar is a shareable link; named copies of it are kept in localStorage
+    setupSettingsControls() {
+        const nameInput = document.getElementById('settings-name');
+        const list = document.getElementById('settings-list');
+        this.refreshSavedSettings();
+
+        document.getElementById('settings-copy-link').addEventListener('click', async () => {
+            const url = `${location.href.split('#')[0]}#${this.currentSettings()}`;
+            try {
+                await navigator.clipboard.writeText(url);
+                this.showSettingsStatus('Link copied to the clipboard');
+            } catch (error) {
+                prompt('Copy this link:', url);
+            }
+        });
+
+        document.getElementById('settings-save').addEventListener('click', () => {
+            const name = nameInput.value.trim();
+            if (!name) {
+                this.showSettingsStatus('Enter a name first');
+                return;
+            }
+            const saved = loadSavedSettings();
+            saved[name] = this.currentSettings();
+            storeSavedSettings(saved);
+            this.refreshSavedSettings(name);
+            this.showSettingsStatus(`Saved “${name}”`);
+        });
+
+        document.getElementById('settings-load').addEventListener('click', () => {
+            const query = loadSavedSettings()[list.value];
+            if (query === undefined) return;
+            this.applySettings(query);
+            nameInput.value = list.value;
+            this.showSettingsStatus(`Loaded “${list.value}”`);
+        });
+
+        document.getElementById('settings-delete').addEventListener('click', () => {
+            const saved = loadSavedSettings();
+            if (!(list.value in saved)) return;
+            delete saved[list.value];
+            storeSavedSettings(saved);
+            this.refreshSavedSettings();
+        });
+
+        document.getElementById('settings-reset').addEventListener('click', () => this.applySettings(''));
+
+        // Pasting a different link into the address bar of an open tab
+        window.addEventListener('hashchange', () => this.applySettings(location.hash.slice(1)));
+    }
+
+    currentSettings() {
+        const source = this.potentialSource === 'preset' ? 'preset' : undefined;
+        const packets = this.packets.length > 0 ? encodePackets(this.packets) : undefined;
+        return encodeSettings(this.params, this.defaultParams, { source, packets });
+    }
+
+    // Params missing from the query go back to their defaults; ψ is rebuilt with the new packet settings
+    applySettings(query) {
+        const { params, extra } = decodeSettings(query, this.defaultParams);
+        this.applyParams({ ...this.defaultParams, ...params });
+
+        if (extra.source === 'preset') {
+            this.setPotentialSource('preset');
+        } else if (this.hasStaticPotential()) {
+            this.setPotentialSource('webcam');
+        }
+
+        this.packets = extra.packets ? decodePackets(extra.packets) : [];
+        this.renderPacketList();
+        this.initializeWavefunction();
+    }
+
+    // Writes the hash shortly after the last change, so dragging a slider does not flood the history API
+    scheduleHashUpdate() {
+        clearTimeout(this.hashTimer);
+        this.hashTimer = setTimeout(() => {
+            const query = this.currentSettings();
+            history.replaceState(null, '', query ? `#${query}` : location.pathname + location.search);
+        }, 250);
+    }
+
+    refreshSavedSettings(selected) {
+        const list = document.getElementById('settings-list');
+        list.replaceChildren();
+        for (const name of Object.keys(loadSavedSettings()).sort()) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            list.appendChild(option);
+        }
+        if (selected !== undefined) list.value = selected;
+    }
+
+    showSettingsStatus(message) {
+        const status = document.getElementById('settings-status');
+        status.textContent = message;
+        clearTimeout(this.settingsStatusTimer);
+        this.settingsStatusTimer = setTimeout(() => status.textContent = '', 3000);
+    }
+
+    updateModeHint(mode) {
+        const hint = document.getElementById('mode-hint');
+        const modes = [
+            '<strong>Real Part ψ_R</strong><br>Use Red-Blue colormap<br><span style="color: #aaa;">Shows wave oscillations</span>',
+            '<strong>Probability |ψ|²</strong><br>Born interpretation<br><span style="color: #aaa;">Particle detection probability</span>',
+            '<strong>Magnitude × Phase</strong><br>|ψ| (cos φ + ½ sin φ)<br><span style="color: #aaa;">Signed, like ψ_R but with phase mixed in</span>',
+            '<strong>Real + Imaginary Combined</strong><br>🔴 Red = +Re • 🔵 Blue = -Re<br>🟡 Yellow = +Im • 🟢 Cyan = -Im<br><span style="color: #aaa;">Rapid color changes = short wavelength (high momentum)</span>',
+            '<strong>Imaginary Part ψ_I</strong><br>Debug view<br><span style="color: #aaa;">Phase component</span>',
+            '<strong>Phase (domain coloring)</strong><br>Hue = arg ψ • Brightness = |ψ|<br><span style="color: #aaa;">Red = 0, green = 2π/3, blue = −2π/3; the hue cycles once per wavelength</span>',
+            `<strong>Log probability log₁₀|ψ|²</strong><br>${LOG_DISPLAY_DECADES} decades below 1 / Probability Glow<br><span style="color: #aaa;">Shows faint tails, tunnelling and reflections</span>`
+        ];
+
+        if (modes[Math.round(mode)]) {
+            hint.innerHTML = modes[Math.round(mode)];
+        }
+    }
+
+    // Legend for the current display mode and colormap; only redrawn when either (or the scale) changes
+    updateColorbar() {
+        const { displayMode, colormap, waveAmplitude, probScale } = this.params;
+        const sigmaZ = this.params.spinEnabled && Math.round(this.params.spinView) === SPIN_VIEW.SIGMA_Z;
+        const key = `${displayMode}/${colormap}/${waveAmplitude}/${probScale}/${sigmaZ}`;
+        if (key === this.colorbarKey) return;
+        this.colorbarKey = key;
+
+        const mode = Math.round(displayMode);
+        const colorbar = document.getElementById('colorbar');
+        colorbar.style.visibility = mode === 3 && !sigmaZ ? 'hidden' : 'visible';     // explained by the mode hint
+        if (mode === 3 && !sigmaZ) return;
+
+        // Title, label values at the top and bottom, and the color at a fraction f ∈ [0, 1] up the bar
+        let title, top, bottom, colorAt;
+        if (sigmaZ) {
+            title = '⟨σ_z⟩';
+            top = '+1 ↑';
+            bottom = '−1 ↓';
+            colorAt = (f) => sigmaZColor(f, 1 - f, 1.0);
+        } else if (mode === 5) {
+            title = 'arg ψ';
+            top = 'π';
+            bottom = '−π';
+            colorAt = (f) => phaseColor((2 * f - 1) * Math.PI, 1.0);
+        } else {
+            const signed = isSignedDisplayMode(mode);
+            const scale = mode === 1 || mode === 6 ? 1 / probScale : 1 / waveAmplitude;
+            title = ['Re ψ', '|ψ|²', '|ψ| (cos φ + ½ sin φ)', '', 'Im ψ', '', '|ψ|² (log)'][mode];
+            top = this.formatColorbarValue(scale);
+            bottom = this.formatColorbarValue(signed ? -scale : mode === 6 ? scale * 10 ** -LOG_DISPLAY_DECADES : 0);
+            colorAt = (f) => colormapColor(colormap, colormapPosition(signed ? 2 * f - 1 : f, colormap, signed));
+        }
+
+        document.getElementById('colorbar-title').textContent = title;
+        document.getElementById('colorbar-max').textContent = top;
+        document.getElementById('colorbar-min').textContent = bottom;
+
+        const canvas = document.getElementById('colorbar-canvas');
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(1, canvas.height);
+        for (let row = 0; row < canvas.height; row++) {
+            const color = colorAt(1 - row / (canvas.height - 1));
+            image.data.set([...color.map(c => c * 255), 255], 4 * row);
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+
+    // k axes of the momentum view, in slider units, on their own overlay at screen resolution;
+    // only redrawn when the view, zoom or canvas size changes
+    updateMomentumAxes() {
+        const { momentumView, momentumZoom } = this.params;
+        const canvas = document.getElementById('momentum-axes');
+        const key = `${momentumView}/${momentumZoom}/${this.canvas.clientWidth}x${this.canvas.clientHeight}`;
+        if (key === this.momentumAxesKey) return;
+        this.momentumAxesKey = key;
+
+        canvas.width = this.canvas.clientWidth;
+        canvas.height = this.canvas.clientHeight;
+        this.positionOverCanvas(canvas);
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        const view = Math.round(momentumView);
+        if (view === 0) return;
+
+        // Area of the k-space picture; the edges are at k = ±π/zoom per cell
+        let { width, height } = canvas;
+        let left = 0;
+        let top = 0;
+        if (view === 1) {
+            left = (1 - MOMENTUM_INSET_MARGIN - MOMENTUM_INSET_SIZE) * width;
+            top = (1 - MOMENTUM_INSET_MARGIN - MOMENTUM_INSET_SIZE) * height;
+            width *= MOMENTUM_INSET_SIZE;
+            height *= MOMENTUM_INSET_SIZE;
+        }
+        const kMax = Math.PI / (MOMENTUM_UNIT * momentumZoom);
+        const spacing = [0.1, 0.2, 0.5, 1, 2, 5, 10].find(step => kMax / step <= (view === 1 ? 2 : 5)) ?? 10;
+        const centerX = left + width / 2;
+        const centerY = top + height / 2;
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.font = '11px sans-serif';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(left, centerY);
+        ctx.lineTo(left + width, centerY);
+        ctx.moveTo(centerX, top);
+        ctx.lineTo(centerX, top + height);
+
+        // Ticks and labels along both axes (kᵧ grows downwards, like the ky slider)
+        const decimals = spacing < 1 ? 1 : 0;
+        for (let k = -Math.floor(kMax / spacing) * spacing; k <= kMax + 1e-9; k += spacing) {
+            if (Math.abs(k) < 1e-9) continue;
+            const x = centerX + k / kMax * width / 2;
+            const y = centerY + k / kMax * height / 2;
+            ctx.moveTo(x, centerY - 3);
+            ctx.lineTo(x, centerY + 3);
+            ctx.moveTo(centerX - 3, y);
+            ctx.lineTo(centerX + 3, y);
+            ctx.textAlign = 'center';
+            ctx.fillText(k.toFixed(decimals), x, centerY + 14);
+            ctx.textAlign = 'left';
+            ctx.fillText(k.toFixed(decimals), centerX + 5, y + 4);
+        }
+        ctx.stroke();
+
+        ctx.textAlign = 'right';
+        ctx.fillText('kₓ', left + width - 4, centerY - 6);
+        ctx.textAlign = 'left';
+        ctx.fillText('kᵧ', centerX + 5, top + height - 6);
+    }
+
+    formatColorbarValue(value) {
+        if (value === 0) return '0';
+        const magnitude = Math.abs(value);
+        return magnitude < 0.01 || magnitude >= 1000 ? value.toExponential(1) : value.toPrecision(2);
+    }
+
+    showError(message) {
+        const errorEl = document.getElementById('error-message');
+        errorEl.textContent = message;
+        errorEl.style.display = 'block';
+        setTimeout(() => errorEl.style.display = 'none', 5000);
+    }
+
+    // Shader code continues in next part...
+
+    // Layout of the params uniform written by updateParametersBuffer()
+    getSimParamsStruct() {
+        return `struct SimParams {
+    width: u32, height: u32, dt: f32, dx: f32,
+    wave_speed: f32, damping: f32, source_freq: f32, source_enabled: f32,
+    time: f32, boundary_threshold: f32, source_strength: f32, source_size: f32,
+    normalize_waves: f32, wave_range: f32,
+    cloth_gravity: f32, cloth_stiffness: f32, cloth_damping: f32, motion_sensitivity: f32,
+    invert_boundaries: f32, fluid_viscosity: f32, flow_velocity: f32, motion_force: f32,
+    density_display: f32, flow_direction: f32, flow_strength: f32,
+    source_x: f32, source_y: f32,
+    boundary_type: f32, absorber_width: f32, absorber_strength: f32,
+    field_envelope: f32, field_strength: f32, field_angle: f32, field_frequency: f32, pulse_center: f32, pulse_width: f32,
+    barrier_motion: f32, barrier_height: f32, barrier_width: f32, barrier_x: f32,
+    barrier_amplitude: f32, barrier_frequency: f32, barrier_speed: f32,
+    well_switching: f32, well_depth: f32, well_sigma: f32, well_x: f32, well_y: f32, well_period: f32, well_duty: f32,
+    spin_enabled: f32, spin_field_source: f32, spin_field: f32, spin_gradient: f32, spin_gradient_angle: f32, spin_transverse: f32,
+    magnetic_field: f32, flux_tube: f32, flux_x: f32, flux_y: f32,
+    interaction: f32, imaginary_step: f32
+}`;
+    }
+
+    // Boundary conditions shared by the solvers and the observables (needs params and the SimParams struct)
+    getBoundaryHelpers() {
+        return `// params.boundary_type; outside the grid ψ = 0 except for periodic boundaries
+const BOUNDARY_CAP = 0u;        // complex absorbing potential in a layer along the edges
+const BOUNDARY_PML = 1u;        // perfectly matched layer (complex coordinate stretch)
+const BOUNDARY_PERIODIC = 2u;
+const BOUNDARY_WALL = 3u;       // hard wall (Dirichlet), nothing absorbed
+
+fn boundary_type() -> u32 {
+    return u32(params.boundary_type + 0.5);
+}
+
+// Index of cell (x, y), wrapped for periodic boundaries, or -1 outside the grid
+fn cell_index(x: i32, y: i32) -> i32 {
+    let w = i32(params.width);
+    let h = i32(params.height);
+    if (boundary_type() == BOUNDARY_PERIODIC) {
+        return ((y + h) % h) * w + (x + w) % w;
+    }
+    if (x < 0 || y < 0 || x >= w || y >= h) {
+        return -1;
+    }
+    return y * w + x;
+}`;
+    }
+
+    // Time-dependent drive terms of V at params.time, as in drive.js (needs params and the SimParams struct)
+    getDriveHelpers() {
+        return `const FIELD_SINE = ${FIELD_ENVELOPE.SINE}u;
+const FIELD_PULSE = ${FIELD_ENVELOPE.PULSE}u;
+const BARRIER_OFF = ${BARRIER_MOTION.OFF}u;
+const BARRIER_OSCILLATE = ${BARRIER_MOTION.OSCILLATE}u;
+
+fn field_amplitude() -> f32 {
+    let envelope = u32(params.field_envelope + 0.5);
+    if (envelope == FIELD_SINE) {
+        return params.field_strength * cos(params.field_frequency * params.time);
+    }
+    if (envelope == FIELD_PULSE) {
+        let t = params.time - params.pulse_center;
+        return params.field_strength * exp(-t * t / (2.0 * params.pulse_width * params.pulse_width)) *
+            cos(params.field_frequency * t);
+    }
+    return 0.0;
+}
+
+fn barrier_position() -> f32 {
+    let x0 = params.barrier_x * f32(params.width);
+    if (u32(params.barrier_motion + 0.5) == BARRIER_OSCILLATE) {
+        return x0 + params.barrier_amplitude * f32(params.width) * sin(params.barrier_frequency * params.time);
+    }
+    return x0 + params.barrier_speed * params.time;
+}
+
+// Uniform field E(t)·(r − centre)·ê, a Gaussian wall across the grid (wrapping around it) and the switched well
+fn drive_potential(x: u32, y: u32) -> f32 {
+    let w = f32(params.width);
+    let h = f32(params.height);
+    let angle = radians(params.field_angle);
+    var v = field_amplitude() / w * (cos(angle) * (f32(x) - w * 0.5) + sin(angle) * (f32(y) - h * 0.5));
+
+    if (u32(params.barrier_motion + 0.5) != BARRIER_OFF) {
+        var d = f32(x) - barrier_position();
+        d -= w * round(d / w);
+        v += params.barrier_height * exp(-d * d / (2.0 * params.barrier_width * params.barrier_width));
+    }
+
+    if (params.well_switching > 0.5 && fract(params.time / params.well_period) < params.well_duty) {
+        let r = vec2<f32>(f32(x) - params.well_x * w, f32(y) - params.well_y * h);
+        v -= params.well_depth * exp(-dot(r, r) / (2.0 * params.well_sigma * params.well_sigma));
+    }
+    return v;
+}`;
+    }
+
+    // B_z of spin mode, as spinFieldZ() in spin.js (needs params, the SimParams struct and the potential buffer)
+    getSpinHelpers() {
+        return `const SPIN_FIELD_POTENTIAL = ${SPIN_FIELD.POTENTIAL}u;
+
+// B_z at cell (x, y) with index idx: uniform plus a linear gradient, or following V_raw
+fn spin_field_z(x: u32, y: u32, idx: u32) -> f32 {
+    if (u32(params.spin_field_source + 0.5) == SPIN_FIELD_POTENTIAL) {
+        return params.spin_field + params.spin_gradient * potential[idx];
+    }
+    let w = f32(params.width);
+    let angle = radians(params.spin_gradient_angle);
+    let offset = (f32(x) - w * 0.5) * cos(angle) + (f32(y) - f32(params.height) * 0.5) * sin(angle);
+    return params.spin_field + params.spin_gradient * offset / w;
+}`;
+    }
+
+    // Peierls factors of the magnetic field, as in magnetic.js (needs params and the SimParams struct)
+    getMagneticHelpers() {
+        return `// e^{−iθ} of the link from cell idx to its +x (axis 0) or +y (axis 1) neighbour
+fn link_factor(idx: u32, axis: u32) -> vec2<f32> {
+    if (params.magnetic_field == 0.0 && params.flux_tube == 0.0) {
+        return vec2<f32>(1.0, 0.0);
+    }
+    let w = f32(params.width);
+    let h = f32(params.height);
+    let cell = vec2<f32>(f32(idx % params.width), f32(idx / params.width));
+    let step = select(vec2<f32>(1.0, 0.0), vec2<f32>(0.0, 1.0), axis == 1u);
+
+    // Uniform B in the symmetric gauge about the grid centre
+    let mid = cell + 0.5 * step - vec2<f32>(w, h) * 0.5;
+    var theta = params.magnetic_field * params.dx * params.dx * 0.5 * (mid.x * step.y - mid.y * step.x);
+
+    // Flux tube at a plaquette centre: the flux times the angle the link subtends there
+    if (params.flux_tube != 0.0) {
+        let a = cell - (floor(vec2<f32>(params.flux_x * w, params.flux_y * h)) + 0.5);
+        let b = a + step;
+        theta += params.flux_tube * atan2(a.x * b.y - a.y * b.x, dot(a, b));
+    }
+    return vec2<f32>(cos(theta), -sin(theta));
+}
+
+// Factor of the hop from cell idx to a neighbour: the cell's own link forwards (towards +x or +y),
+// the neighbour's link conjugated backwards
+fn hop_factor(idx: u32, neighbour: u32, axis: u32, forward: bool) -> vec2<f32> {
+    if (forward) {
+        return link_factor(idx, axis);
+    }
+    let factor = link_factor(neighbour, axis);
+    return vec2<f32>(factor.x, -factor.y);
+}`;
+    }
+
+    // ========== SCHRÖDINGER SHADER ==========
+    // Struct, bindings and helpers shared by every integrator. In spin mode every pass runs once per
+    // component, with the sign of B_z and the source weight of that component in ComponentParams.
+    getSchrodingerCommon() {
+        return `// Schrödinger equation: iℏ∂ψ/∂t = -ℏ²/(2m)∇²ψ + V(x,y)ψ  (ℏ = 1, ℏ/m = wave_speed)
+${this.getSimParamsStruct()}
+
+@group(0) @binding(0) var<storage, read> psi_R: array<f32>;
+@group(0) @binding(1) var<storage, read> psi_I: array<f32>;
+@group(0) @binding(2) var<storage, read_write> psi_R_next: array<f32>;
+@group(0) @binding(3) var<storage, read_write> psi_I_next: array<f32>;
+@group(0) @binding(4) var<storage, read> potential: array<f32>;
+@group(0) @binding(5) var<uniform> params: SimParams;
+@group(0) @binding(7) var<uniform> component: ComponentParams;
+
+struct ComponentParams {
+    spin_sign: f32,             // +1 for spin up, -1 for spin down, 0 without spin
+    _padding: f32,
+    source_weight: vec2<f32>    // complex spinor weight of the source in this component
+}
+
+// Complex numbers are stored as vec2 (re, im)
+fn cmul(a: vec2<f32>, b: vec2<f32>) -> vec2<f32> {
+    return vec2<f32>(a.x * b.x - a.y * b.y, a.x * b.y + a.y * b.x);
+}
+
+fn cdiv(a: vec2<f32>, b: vec2<f32>) -> vec2<f32> {
+    return vec2<f32>(a.x * b.x + a.y * b.y, a.y * b.x - a.x * b.y) / dot(b, b);
+}
+
+// Effective time step (the dt slider is scaled by 0.5)
+fn time_step() -> f32 {
+    return params.dt * 0.5;
+}
+
+fn kinetic_coeff() -> f32 {
+    return params.wave_speed * 0.5;
+}
+
+${this.getDriveHelpers()}
+
+${this.getSpinHelpers()}
+
+// V of the potential buffer plus the drive terms, and ±B_z for the spin component
+fn potential_at(idx: u32) -> f32 {
+    let x = idx % params.width;
+    let y = idx / params.width;
+    let v = params.cloth_gravity * (potential[idx] - params.flow_strength) + drive_potential(x, y);
+    return v + component.spin_sign * spin_field_z(x, y, idx);
+}
+
+// Gross–Pitaevskii mean field g|ψ|² at the given density (params.interaction is 0 unless the mode is on).
+// In spin mode each component only feels its own density.
+fn mean_field(density: f32) -> f32 {
+    return params.interaction * density;
+}
+
+${this.getBoundaryHelpers()}
+
+${this.getMagneticHelpers()}
+
+fn psi_at(x: i32, y: i32) -> vec2<f32> {
+    let idx = cell_index(x, y);
+    if (idx < 0) {
+        return vec2<f32>(0.0);
+    }
+    return vec2<f32>(psi_R[idx], psi_I[idx]);
+}
+
+// Neighbour (x + dx, y + dy) of cell (x, y), hopped over the link between them
+fn hopped_psi(x: i32, y: i32, dx: i32, dy: i32) -> vec2<f32> {
+    let neighbour = cell_index(x + dx, y + dy);
+    if (neighbour < 0) {
+        return vec2<f32>(0.0);
+    }
+    let factor = hop_factor(u32(cell_index(x, y)), u32(neighbour), u32(dy != 0), dx + dy > 0);
+    return cmul(factor, vec2<f32>(psi_R[neighbour], psi_I[neighbour]));
+}
+
+// How far position pos (cell centres at integers) of a line of n cells lies inside the
+// absorbing layer: 0 at its inner edge and beyond, 1 at the edge of the grid
+fn layer_depth(pos: f32, n: u32) -> f32 {
+    let dist = min(pos, f32(n) - 1.0 - pos);
+    return clamp((params.absorber_width - dist) / params.absorber_width, 0.0, 1.0);
+}
+
+// 1/s for the PML stretch x → ∫s dx with s = 1 + iσ, σ = strength·depth²
+fn inverse_stretch(pos: f32, n: u32) -> vec2<f32> {
+    let depth = layer_depth(pos, n);
+    let sigma = params.absorber_strength * depth * depth;
+    return vec2<f32>(1.0, -sigma) / (1.0 + sigma * sigma);
+}
+
+// Complex weights (l, r) of the second difference along a line, ∂²ψ_j ≈ l ψ_{j-1} - (l + r) ψ_j + r ψ_{j+1}
+// (times 1/dx²); both are 1 except inside a PML, where l = 1/(s_j s_{j-½}) and r = 1/(s_j s_{j+½})
+fn line_weights(j: u32, n: u32) -> vec4<f32> {
+    if (boundary_type() != BOUNDARY_PML) {
+        return vec4<f32>(1.0, 0.0, 1.0, 0.0);
+    }
+    let pos = f32(j);
+    let s = inverse_stretch(pos, n);
+    return vec4<f32>(cmul(s, inverse_stretch(pos - 0.5, n)), cmul(s, inverse_stretch(pos + 0.5, n)));
+}
+
+// Hψ at (x, y) with H = -(ℏ/m)/2 (∇ - iA)² + V + g|ψ|²
+fn apply_hamiltonian(x: u32, y: u32) -> vec2<f32> {
+    let xi = i32(x);
+    let yi = i32(y);
+    let psi = psi_at(xi, yi);
+    let wx = line_weights(x, params.width);
+    let wy = line_weights(y, params.height);
+    let laplacian = (cmul(wx.xy, hopped_psi(xi, yi, -1, 0)) + cmul(wx.zw, hopped_psi(xi, yi, 1, 0)) - cmul(wx.xy + wx.zw, psi) +
+                     cmul(wy.xy, hopped_psi(xi, yi, 0, -1)) + cmul(wy.zw, hopped_psi(xi, yi, 0, 1)) - cmul(wy.xy + wy.zw, psi)) /
+                    (params.dx * params.dx);
+    return -kinetic_coeff() * laplacian + (potential_at(y * params.width + x) + mean_field(dot(psi, psi))) * psi;
+}
+
+// Complex absorbing potential -iW and damping, applied once per step. The CAP part is integrated
+// exactly, ψ ← ψ e^{-W dt}, with W = strength·depth² in units of the grid energy (ℏ/m)/2 / dx².
+fn decay_factor(x: u32, y: u32) -> f32 {
+    var factor = 1.0;
+    if (boundary_type() == BOUNDARY_CAP) {
+        let depth = max(layer_depth(f32(x), params.width), layer_depth(f32(y), params.height));
+        let w = params.absorber_strength * depth * depth * kinetic_coeff() / (params.dx * params.dx);
+        factor = exp(-w * time_step());
+    }
+
+    if (params.damping > 0.001) {
+        factor *= 1.0 - params.damping * 0.1;
+    }
+    return factor;
+}
+
+// Continuous source, added once per step
+fn source_term(x: u32, y: u32) -> vec2<f32> {
+    if (params.source_enabled < 0.5) { return vec2<f32>(0.0); }
+
+    let center_x = f32(params.width) * params.source_x;
+    let center_y = f32(params.height) * params.source_y;
+    let dx_src = f32(x) - center_x;
+    let dy_src = f32(y) - center_y;
+    let dist2 = dx_src * dx_src + dy_src * dy_src;
+
+    let sigma = params.source_size * 2.0;
+    let sigma2 = sigma * sigma;
+    let amplitude = params.source_strength * 0.5;
+
+    let kx = params.cloth_stiffness * 0.5;
+    let ky = params.cloth_damping * 0.5;
+
+    let envelope = amplitude * exp(-dist2 / (2.0 * sigma2));
+    let phase = kx * dx_src + ky * dy_src - params.source_freq * params.time * 10.0;
+
+    let pulse = sin(params.time * params.source_freq * 2.0 * 3.14159);
+    if (pulse > 0.9) {
+        return cmul(component.source_weight, envelope * vec2<f32>(cos(phase), sin(phase)) * 0.1);
+    }
+    return vec2<f32>(0.0);
+}`;
+    }
+
+    getSchrodingerShader() {
+        return `${this.getSchrodingerCommon()}
+
+// Forward Euler: ψ ← ψ - i dt Hψ (not norm-preserving, kept for comparison)
+@compute @workgroup_size(8, 8)
+fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = global_id.x;
+    let y = global_id.y;
+    if (x >= params.width || y >= params.height) { return; }
+
+    let idx = y * params.width + x;
+    let psi = vec2<f32>(psi_R[idx], psi_I[idx]);
+    let h_psi = apply_hamiltonian(x, y);
+
+    // ∂ψ_R/∂t = (Hψ)_I, ∂ψ_I/∂t = -(Hψ)_R
+    let psi_new = (psi + time_step() * vec2<f32>(h_psi.y, -h_psi.x)) * decay_factor(x, y) + source_term(x, y);
+
+    psi_R_next[idx] = psi_new.x;
+    psi_I_next[idx] = psi_new.y;
+}
+
+// Leapfrog (Visscher): ψ_R lives on integer steps and ψ_I half a step later,
+// each updated from the other. Second order and, for a real H, stable for dt·max|E| < 2; the
+// Peierls phases of a magnetic field make H complex, so fieldIntegrator() runs split-operator then.
+@compute @workgroup_size(8, 8)
+fn visscher_real(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = global_id.x;
+    let y = global_id.y;
+    if (x >= params.width || y >= params.height) { return; }
+
+    let idx = y * params.width + x;
+    let h_psi = apply_hamiltonian(x, y);
+
+    psi_R_next[idx] = (psi_R[idx] + time_step() * h_psi.y) * decay_factor(x, y);
+    psi_I_next[idx] = psi_I[idx];
+}
+
+@compute @workgroup_size(8, 8)
+fn visscher_imag(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = global_id.x;
+    let y = global_id.y;
+    if (x >= params.width || y >= params.height) { return; }
+
+    let idx = y * params.width + x;
+    let h_psi = apply_hamiltonian(x, y);
+    let source = source_term(x, y);
+
+    psi_R_next[idx] = psi_R[idx] + source.x;
+    psi_I_next[idx] = (psi_I[idx] - time_step() * h_psi.x) * decay_factor(x, y) + source.y;
+}
+
+// Imaginary time for the ground-state search: ψ ← ψ - dτ Hψ with dτ = params.imaginary_step,
+// nothing absorbed or injected; the norm kernels restore Σ|ψ|² afterwards
+@compute @workgroup_size(8, 8)
+fn imaginary_time(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = global_id.x;
+    let y = global_id.y;
+    if (x >= params.width || y >= params.height) { return; }
+
+    let idx = y * params.width + x;
+    let psi_new = vec2<f32>(psi_R[idx], psi_I[idx]) - params.imaginary_step * apply_hamiltonian(x, y);
+    psi_R_next[idx] = psi_new.x;
+    psi_I_next[idx] = psi_new.y;
+}
+
+// Time reversal: ψ → ψ*, after which the evolution retraces its path (for real V, without absorbers;
+// reverseTime() flips a magnetic field, whose Peierls phases ψ* would otherwise see conjugated)
+@compute @workgroup_size(8, 8)
+fn conjugate(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = global_id.x;
+    let y = global_id.y;
+    if (x >= params.width || y >= params.height) { return; }
+
+    let idx = y * params.width + x;
+    psi_R_next[idx] = psi_R[idx];
+    psi_I_next[idx] = -psi_I[idx];
+}`;
+    }
+
+    // ========== SPLIT-OPERATOR SHADER ==========
+    // Strang splitting e^{-iV dt/2} e^{-iT_y dt} e^{-iT_x dt} e^{-iV dt/2}, where each
+    // kinetic factor is a Crank–Nicolson solve along one grid line (unitary for any dt).
+    getSplitOperatorShader() {
+        return `${this.getSchrodingerCommon()}
+
+// Per cell: the Thomas coefficient c' and, for periodic lines, the second solution z (both complex)
+@group(0) @binding(6) var<storage, read_write> scratch: array<f32>;
+
+// ψ after the first potential half step e^{-i(V + g|ψ|²) dt/2}
+fn phased_input(idx: u32) -> vec2<f32> {
+    let psi = vec2<f32>(psi_R[idx], psi_I[idx]);
+    let angle = -(potential_at(idx) + mean_field(dot(psi, psi))) * time_step() * 0.5;
+    return cmul(psi, vec2<f32>(cos(angle), sin(angle)));
+}
+
+fn line_input(idx: u32, phase_input: bool) -> vec2<f32> {
+    if (phase_input) {
+        return phased_input(idx);
+    }
+    return vec2<f32>(psi_R[idx], psi_I[idx]);
+}
+
+// Line weights (l, r) of cell j of the line with the hops to j - 1 and j + 1 (cyclically) folded in
+fn hopped_weights(start: u32, stride: u32, n: u32, j: u32) -> vec4<f32> {
+    let w = line_weights(j, n);
+    let axis = select(1u, 0u, stride == 1u);
+    let idx = start + j * stride;
+    let prev = start + ((j + n - 1u) % n) * stride;
+    let next = start + ((j + 1u) % n) * stride;
+    return vec4<f32>(cmul(w.xy, hop_factor(idx, prev, axis, false)), cmul(w.zw, hop_factor(idx, next, axis, true)));
+}
+
+// Solves (1 + i dt/2 T) ψ' = (1 - i dt/2 T) ψ along the line idx = start + j * stride.
+// T = -(ℏ/m)/2 ∂², so with α = i dt (ℏ/m)/2 / (2 dx²) and the line weights (l, r), row j has
+// -αl, 1 + α(l + r), -αr and the right-hand side is ψ_j + α(l ψ_{j-1} - (l + r) ψ_j + r ψ_{j+1}).
+// Periodic lines add the corners A[0][n-1] = -αl_0 and A[n-1][0] = -αr_{n-1}; that cyclic system is
+// solved as A'y = rhs and A'z = u with the corners folded into the diagonal (Sherman–Morrison).
+// With a magnetic field the couplings to the neighbours carry the hop factors (hopped_weights).
+// The result is left in psi_R_next / psi_I_next.
+fn crank_nicolson_line(start: u32, stride: u32, n: u32, phase_input: bool) {
+    let alpha = vec2<f32>(0.0, time_step() * kinetic_coeff() / (2.0 * params.dx * params.dx));
+    let periodic = boundary_type() == BOUNDARY_PERIODIC;
+    let last = start + (n - 1u) * stride;
+
+    let first_weights = line_weights(0u, n);
+    let top_right = -cmul(alpha, hopped_weights(start, stride, n, 0u).xy);
+    let bottom_left = -cmul(alpha, hopped_weights(start, stride, n, n - 1u).zw);
+    let gamma = -(vec2<f32>(1.0, 0.0) + cmul(alpha, first_weights.xy + first_weights.zw));
+
+    var prev = vec2<f32>(0.0);
+    if (periodic) {
+        prev = line_input(last, phase_input);
+    }
+    var cur = line_input(start, phase_input);
+    var c_prev = vec2<f32>(0.0);
+    var d_prev = vec2<f32>(0.0);
+    var z_prev = vec2<f32>(0.0);
+
+    // Forward elimination
+    for (var j = 0u; j < n; j++) {
+        let idx = start + j * stride;
+        var next = vec2<f32>(0.0);
+        if (j + 1u < n) {
+            next = line_input(idx + stride, phase_input);
+        } else if (periodic) {
+            next = line_input(start, phase_input);
+        }
+
+        let w = line_weights(j, n);
+        let hopped = hopped_weights(start, stride, n, j);
+        let lower = -cmul(alpha, hopped.xy);
+        let upper = -cmul(alpha, hopped.zw);
+        var diag = vec2<f32>(1.0, 0.0) + cmul(alpha, w.xy + w.zw);
+        let rhs = cur + cmul(alpha, cmul(hopped.xy, prev) - cmul(w.xy + w.zw, cur) + cmul(hopped.zw, next));
+
+        var u = vec2<f32>(0.0);
+        if (periodic && j == 0u) {
+            diag -= gamma;
+            u = gamma;
+        }
+        if (periodic && j == n - 1u) {
+            diag -= cdiv(cmul(bottom_left, top_right), gamma);
+            u = bottom_left;
+        }
+
+        let m = diag - cmul(lower, c_prev);
+        let c_j = cdiv(upper, m);
+        let d_j = cdiv(rhs - cmul(lower, d_prev), m);
+        let z_j = cdiv(u - cmul(lower, z_prev), m);
+
+        scratch[4u * idx] = c_j.x;
+        scratch[4u * idx + 1u] = c_j.y;
+        scratch[4u * idx + 2u] = z_j.x;
+        scratch[4u * idx + 3u] = z_j.y;
+        psi_R_next[idx] = d_j.x;
+        psi_I_next[idx] = d_j.y;
+
+        prev = cur;
+        cur = next;
+        c_prev = c_j;
+        d_prev = d_j;
+        z_prev = z_j;
+    }
+
+    // Back substitution: x_j = d'_j - c'_j x_{j+1} (for y in psi_*_next and z in scratch)
+    var y_next = d_prev;
+    var z_next = z_prev;
+    for (var j = i32(n) - 2; j >= 0; j--) {
+        let idx = start + u32(j) * stride;
+        let c_j = vec2<f32>(scratch[4u * idx], scratch[4u * idx + 1u]);
+        let y_j = vec2<f32>(psi_R_next[idx], psi_I_next[idx]) - cmul(c_j, y_next);
+        let z_j = vec2<f32>(scratch[4u * idx + 2u], scratch[4u * idx + 3u]) - cmul(c_j, z_next);
+        psi_R_next[idx] = y_j.x;
+        psi_I_next[idx] = y_j.y;
+        scratch[4u * idx + 2u] = z_j.x;
+        scratch[4u * idx + 3u] = z_j.y;
+        y_next = y_j;
+        z_next = z_j;
+    }
+
+    // x = y - z (v·y) / (1 + v·z) with v = (1, 0, …, 0, top_right / γ)
+    if (periodic) {
+        let v_last = cdiv(top_right, gamma);
+        let y_last = vec2<f32>(psi_R_next[last], psi_I_next[last]);
+        let z_last = vec2<f32>(scratch[4u * last + 2u], scratch[4u * last + 3u]);
+        let numerator = y_next + cmul(v_last, y_last);
+        let denominator = vec2<f32>(1.0, 0.0) + z_next + cmul(v_last, z_last);
+        let factor = cdiv(numerator, denominator);
+
+        for (var j = 0u; j < n; j++) {
+            let idx = start + j * stride;
+            let z_j = vec2<f32>(scratch[4u * idx + 2u], scratch[4u * idx + 3u]);
+            let x_j = vec2<f32>(psi_R_next[idx], psi_I_next[idx]) - cmul(factor, z_j);
+            psi_R_next[idx] = x_j.x;
+            psi_I_next[idx] = x_j.y;
+        }
+    }
+}
+
+// One thread per row: V/2 then the x kinetic factor
+@compute @workgroup_size(64)
+fn sweep_rows(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let y = global_id.x;
+    if (y >= params.height) { return; }
+
+    crank_nicolson_line(y * params.width, 1u, params.width, true);
+}
+
+// One thread per column: the y kinetic factor then V/2, absorption and source
+@compute @workgroup_size(64)
+fn sweep_columns(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = global_id.x;
+    if (x >= params.width) { return; }
+
+    crank_nicolson_line(x, params.width, params.height, false);
+
+    for (var y = 0u; y < params.height; y++) {
+        let idx = y * params.width + x;
+        let kinetic = vec2<f32>(psi_R_next[idx], psi_I_next[idx]);
+        let angle = -(potential_at(idx) + mean_field(dot(kinetic, kinetic))) * time_step() * 0.5;
+        let psi = cmul(kinetic, vec2<f32>(cos(angle), sin(angle)));
+        let psi_new = psi * decay_factor(x, y) + source_term(x, y);
+        psi_R_next[idx] = psi_new.x;
+        psi_I_next[idx] = psi_new.y;
+    }
+}`;
+    }
+
+    // ========== PAINT OVERLAY SHADER ==========
+    // Combines the painted mask (R = V_raw, A = coverage) with the source potential in place
+    getPaintShader() {
+        return `struct PaintParams {
+    width: u32, height: u32, mode: f32, _padding: f32
+}
+
+@group(0) @binding(0) var<storage, read_write> potential: array<f32>;
+@group(0) @binding(1) var paint_texture: texture_2d<f32>;
+@group(0) @binding(2) var<uniform> paint: PaintParams;
+
+@compute @workgroup_size(8, 8)
+fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = global_id.x;
+    let y = global_id.y;
+    if (x >= paint.width || y >= paint.height) { return; }
+
+    let idx = y * paint.width + x;
+    let mask = textureLoad(paint_texture, vec2<i32>(i32(x), i32(y)), 0);
+    let value = mask.r;
+    let coverage = mask.a;
+    let V = potential[idx];
+
+    if (paint.mode < 0.5) {
+        potential[idx] = V + coverage * value;          // Add
+    } else if (paint.mode < 1.5) {
+        potential[idx] = mix(V, value, coverage);       // Replace
+    } else {
+        potential[idx] = max(V, coverage * value);      // Max
+    }
+}`;
+    }
+
+    // ========== WAVEPACKET SHADER ==========
+    // Adds a Gaussian packet to ψ in place (the JS version is buildWavepacket)
+    getWavepacketShader() {
+        return `struct PacketParams {
+    width: u32, height: u32, center_x: f32, center_y: f32,
+    sigma: f32, kx: f32, ky: f32, _padding: f32,
+    weight: vec2<f32>   // complex spinor weight of the component, (1, 0) without spin
+}
+
+@group(0) @binding(0) var<storage, read_write> psi_R: array<f32>;
+@group(0) @binding(1) var<storage, read_write> psi_I: array<f32>;
+@group(0) @binding(2) var<uniform> packet: PacketParams;
+
+@compute @workgroup_size(8, 8)
+fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = global_id.x;
+    let y = global_id.y;
+    if (x >= packet.width || y >= packet.height) { return; }
+
+    let idx = y * packet.width + x;
+    let dx = f32(x) - packet.center_x;
+    let dy = f32(y) - packet.center_y;
+
+    let gaussian = exp(-(dx * dx + dy * dy) / (2.0 * packet.sigma * packet.sigma));
+    let phase = packet.kx * dx + packet.ky * dy;
+    let w = packet.weight;
+
+    psi_R[idx] += gaussian * (w.x * cos(phase) - w.y * sin(phase));
+    psi_I[idx] += gaussian * (w.x * sin(phase) + w.y * cos(phase));
+}`;
+    }
+
+    // ========== SPIN PRECESSION SHADER ==========
+    // e^{−iB_x σ_x dt} on the spinor (ψ↑, ψ↓), exact for a uniform B_x (the JS version is precessSpin)
+    getSpinShader() {
+        return `${this.getSimParamsStruct()}
 
+@group(0) @binding(0) var<storage, read> up_R: array<f32>;
+@group(0) @binding(1) var<storage, read> up_I: array<f32>;
+@group(0) @binding(2) var<storage, read> down_R: array<f32>;
+@group(0) @binding(3) var<storage, read> down_I: array<f32>;
+@group(0) @binding(4) var<storage, read_write> up_R_next: array<f32>;
+@group(0) @binding(5) var<storage, read_write> up_I_next: array<f32>;
+@group(0) @binding(6) var<storage, read_write> down_R_next: array<f32>;
+@group(0) @binding(7) var<storage, read_write> down_I_next: array<f32>;
+@group(0) @binding(8) var<uniform> params: SimParams;
 
+@compute @workgroup_size(8, 8)
+fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = global_id.x;
+    let y = global_id.y;
+    if (x >= params.width || y >= params.height) { return; }
 
-        document.getElementById('invert-potential').addEventListener('change', (e) => {
-            this.params.invertBoundaries = e.target.checked;
-        });
+    let idx = y * params.width + x;
 
-        document.getElementById('source-enabled').addEventListener('change', (e) => {
-            this.params.sourceEnabled = e.target.checked;
-        });
+    // Imaginary time (ground-state search): e^{−B_x σ_x dτ}, ψ↑' = cosh ψ↑ − sinh ψ↓ and the same for ψ↓
+    if (params.imaginary_step > 0.0) {
+        let a = params.spin_transverse * params.imaginary_step;
+        let ch = cosh(a);
+        let sh = sinh(a);
+        up_R_next[idx] = ch * up_R[idx] - sh * down_R[idx];
+        up_I_next[idx] = ch * up_I[idx] - sh * down_I[idx];
+        down_R_next[idx] = ch * down_R[idx] - sh * up_R[idx];
+        down_I_next[idx] = ch * down_I[idx] - sh * up_I[idx];
+        return;
+    }
 
-        document.getElementById('reset-btn').addEventListener('click', () => {
-            this.initializeWavefunction();
-        });
+    let angle = params.spin_transverse * params.dt * 0.5;
+    let c = cos(angle);
+    let s = sin(angle);
 
-        this.updateModeHint(this.params.displayMode);
+    // ψ↑' = c ψ↑ − i s ψ↓, ψ↓' = c ψ↓ − i s ψ↑
+    up_R_next[idx] = c * up_R[idx] + s * down_I[idx];
+    up_I_next[idx] = c * up_I[idx] - s * down_R[idx];
+    down_R_next[idx] = c * down_R[idx] + s * up_I[idx];
+    down_I_next[idx] = c * down_I[idx] - s * up_R[idx];
+}`;
     }
 
-    setupSlider(id, param) {
-        const slider = document.getElementById(id);
-        const display = document.getElementById(id + '-value');
+    // ========== NORM SHADER ==========
+    // Rescales ψ (both spin components) in place to a target Σ|ψ|², after every imaginary time step:
+    // partial sums per workgroup, their total in a single workgroup, then the scale applied per cell
+    getNormShader() {
+        return `struct NormParams {
+    cells: u32, groups: u32, spin: u32, _padding: u32,
+    target_norm: f32        // Σ|ψ|² to restore
+}
 
-        if (!slider || !display) {
-            console.warn(`⚠️ Slider not found: ${id}`);
-            return;
-        }
+@group(0) @binding(0) var<storage, read_write> up_R: array<f32>;
+@group(0) @binding(1) var<storage, read_write> up_I: array<f32>;
+@group(0) @binding(2) var<storage, read_write> down_R: array<f32>;
+@group(0) @binding(3) var<storage, read_write> down_I: array<f32>;
+@group(0) @binding(4) var<storage, read_write> partials: array<f32>;
+@group(0) @binding(5) var<uniform> norm: NormParams;
+@group(0) @binding(6) var<storage, read_write> scale: array<f32>;
 
-        slider.addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            this.params[param] = value;
-            const decimals = slider.step.includes('.') ? (slider.step.split('.')[1].length) : 0;
-            display.textContent = value.toFixed(decimals);
+var<workgroup> shared_sums: array<f32, 256>;
 
-            // Debug logging for steps per frame
-            if (param === 'stepsPerFrame') {
-                console.log(`🚀 Steps per frame: ${value}`);
-            }
-        });
+fn density(idx: u32) -> f32 {
+    var d = up_R[idx] * up_R[idx] + up_I[idx] * up_I[idx];
+    if (norm.spin != 0u) {
+        d += down_R[idx] * down_R[idx] + down_I[idx] * down_I[idx];
     }
+    return d;
+}
 
-    updateModeHint(mode) {
-        const hint = document.getElementById('mode-hint');
-        const modes = [
-            '<strong>Real Part ψ_R</strong><br>Use Red-Blue colormap<br><span style="color: #aaa;">Shows wave oscillations</span>',
-            '<strong>Probability |ψ|²</strong><br>Born interpretation<br><span style="color: #aaa;">Particle detection probability</span>',
-            '',
-            '<strong>Real + Imaginary Combined</strong><br>🔴 Red = +Re • 🔵 Blue = -Re<br>🟡 Yellow = +Im • 🟢 Cyan = -Im<br><span style="color: #aaa;">Rapid color changes = short wavelength (high momentum)</span>',
-            '<strong>Imaginary Part ψ_I</strong><br>Debug view<br><span style="color: #aaa;">Phase component</span>'
-        ];
-
-        if (modes[Math.round(mode)]) {
-            hint.innerHTML = modes[Math.round(mode)];
+// Sum of shared_sums into shared_sums[0]; every invocation of the workgroup has to call it
+fn reduce(local_index: u32) {
+    workgroupBarrier();
+    for (var stride = 128u; stride > 0u; stride >>= 1u) {
+        if (local_index < stride) {
+            shared_sums[local_index] += shared_sums[local_index + stride];
         }
+        workgroupBarrier();
     }
+}
 
-    showError(message) {
-        const errorEl = document.getElementById('error-message');
-        errorEl.textContent = message;
-        errorEl.style.display = 'block';
-        setTimeout(() => errorEl.style.display = 'none', 5000);
+@compute @workgroup_size(256)
+fn norm_partials(@builtin(global_invocation_id) global_id: vec3<u32>,
+                 @builtin(local_invocation_index) local_index: u32,
+                 @builtin(workgroup_id) group_id: vec3<u32>) {
+    var sum = 0.0;
+    if (global_id.x < norm.cells) {
+        sum = density(global_id.x);
     }
+    shared_sums[local_index] = sum;
+    reduce(local_index);
+    if (local_index == 0u) {
+        partials[group_id.x] = shared_sums[0];
+    }
+}
 
-    // Shader code continues in next part...
-
-    // ========== SCHRÖDINGER SHADER ==========
-    getSchrodingerShader() {
-        return `// Schrödinger equation: iℏ∂ψ/∂t = -ℏ²/(2m)∇²ψ + V(x,y)ψ
-struct SimParams {
-    width: u32, height: u32, dt: f32, dx: f32,
-    wave_speed: f32, damping: f32, source_freq: f32, source_enabled: f32,
-    time: f32, boundary_threshold: f32, source_strength: f32, source_size: f32,
-    normalize_waves: f32, wave_range: f32,
-    cloth_gravity: f32, cloth_stiffness: f32, cloth_damping: f32, motion_sensitivity: f32,
-    invert_boundaries: f32, fluid_viscosity: f32, flow_velocity: f32, motion_force: f32,
-    density_display: f32, flow_direction: f32, flow_strength: f32
+@compute @workgroup_size(256)
+fn norm_total(@builtin(local_invocation_index) local_index: u32) {
+    var sum = 0.0;
+    for (var group = local_index; group < norm.groups; group += 256u) {
+        sum += partials[group];
+    }
+    shared_sums[local_index] = sum;
+    reduce(local_index);
+    if (local_index == 0u) {
+        let total = shared_sums[0];
+        scale[0] = select(1.0, sqrt(norm.target_norm / total), total > 0.0);
+    }
 }
 
+@compute @workgroup_size(256)
+fn norm_apply(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let idx = global_id.x;
+    if (idx >= norm.cells) { return; }
+
+    let factor = scale[0];
+    up_R[idx] *= factor;
+    up_I[idx] *= factor;
+    if (norm.spin != 0u) {
+        down_R[idx] *= factor;
+        down_I[idx] *= factor;
+    }
+}`;
+    }
+
+    // ========== OBSERVABLES SHADER ==========
+    // Per-workgroup partial sums of the quantities listed in updateObservables()
+    getObservablesShader() {
+        return `${this.getSimParamsStruct()}
+
 @group(0) @binding(0) var<storage, read> psi_R: array<f32>;
 @group(0) @binding(1) var<storage, read> psi_I: array<f32>;
-@group(0) @binding(2) var<storage, read_write> psi_R_next: array<f32>;
-@group(0) @binding(3) var<storage, read_write> psi_I_next: array<f32>;
-@group(0) @binding(4) var<storage, read> potential: array<f32>;
-@group(0) @binding(5) var<uniform> params: SimParams;
+@group(0) @binding(2) var<storage, read> potential: array<f32>;
+@group(0) @binding(3) var<uniform> params: SimParams;
+@group(0) @binding(4) var<storage, read_write> partials: array<f32>;
+@group(0) @binding(5) var<storage, read> down_R: array<f32>;
+@group(0) @binding(6) var<storage, read> down_I: array<f32>;
 
-@compute @workgroup_size(8, 8)
-fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+const QUANTITIES = ${OBSERVABLE_SUMS}u;
+
+var<workgroup> shared_sums: array<array<f32, ${OBSERVABLE_SUMS}>, 256>;
+
+${this.getBoundaryHelpers()}
+
+${this.getDriveHelpers()}
+
+${this.getSpinHelpers()}
+
+${this.getMagneticHelpers()}
+
+// Spin component c (0 = up or the scalar ψ, 1 = down) at (x, y)
+fn psi_at(c: u32, x: i32, y: i32) -> vec2<f32> {
+    let idx = cell_index(x, y);
+    if (idx < 0) {
+        return vec2<f32>(0.0);
+    }
+    if (c == 1u) {
+        return vec2<f32>(down_R[idx], down_I[idx]);
+    }
+    return vec2<f32>(psi_R[idx], psi_I[idx]);
+}
+
+// Neighbour (x + dx, y + dy) of component c, hopped over the link to (x, y)
+fn hopped_psi(c: u32, x: i32, y: i32, dx: i32, dy: i32) -> vec2<f32> {
+    let neighbour = cell_index(x + dx, y + dy);
+    if (neighbour < 0) {
+        return vec2<f32>(0.0);
+    }
+    let factor = hop_factor(u32(cell_index(x, y)), u32(neighbour), u32(dy != 0), dx + dy > 0);
+    return cmul(factor, psi_at(c, x + dx, y + dy));
+}
+
+fn cmul(a: vec2<f32>, b: vec2<f32>) -> vec2<f32> {
+    return vec2<f32>(a.x * b.x - a.y * b.y, a.x * b.y + a.y * b.x);
+}
+
+@compute @workgroup_size(16, 16)
+fn main(@builtin(global_invocation_id) global_id: vec3<u32>,
+        @builtin(local_invocation_index) local_index: u32,
+        @builtin(workgroup_id) group_id: vec3<u32>,
+        @builtin(num_workgroups) group_count: vec3<u32>) {
     let x = global_id.x;
     let y = global_id.y;
-    let width = params.width;
-    let height = params.height;
-    
-    if (x >= width || y >= height) { return; }
-    
-    let idx = y * width + x;
-    let hbar_over_m = params.wave_speed;
-    let dt = params.dt * 0.5;
-    let dx2 = params.dx * params.dx;
-    
-    let V_raw = potential[idx];
-    let V = params.cloth_gravity * (V_raw - params.flow_strength);
-    
-    let R = psi_R[idx];
-    let I = psi_I[idx];
-    
-    var laplacian_R = 0.0;
-    var laplacian_I = 0.0;
-    
-    // Absorbing boundaries
-    let boundary_width = 10.0;
-    let min_dist = min(min(f32(x), f32(width - 1 - x)), min(f32(y), f32(height - 1 - y)));
-    var absorb = 1.0;
-    if (min_dist < boundary_width) {
-        absorb = min_dist / boundary_width;
-        absorb = absorb * absorb;
+    var sums: array<f32, ${OBSERVABLE_SUMS}>;
+
+    // No early return: every invocation has to reach the barriers below
+    if (x < params.width && y < params.height) {
+        let xi = i32(x);
+        let yi = i32(y);
+        let idx = y * params.width + x;
+        let dx = params.dx;
+        let v = params.cloth_gravity * (potential[idx] - params.flow_strength) + drive_potential(x, y);
+
+        // Summed over the spin components, whose ±B_z and mean field ½g|ψ|⁴ count as potential energy
+        let spin = params.spin_enabled > 0.5;
+        for (var c = 0u; c < select(1u, 2u, spin); c++) {
+            let psi = psi_at(c, xi, yi);
+            let right = hopped_psi(c, xi, yi, 1, 0);
+            let down = hopped_psi(c, xi, yi, 0, 1);
+            let density = dot(psi, psi);
+
+            // Central differences for the kinetic momentum p = -i∇ - A, so ψ*pψ = ψ_R ∂ψ_I - ψ_I ∂ψ_R
+            // with the neighbours hopped over their links
+            let grad_x = (right - hopped_psi(c, xi, yi, -1, 0)) / (2.0 * dx);
+            let grad_y = (down - hopped_psi(c, xi, yi, 0, -1)) / (2.0 * dx);
+
+            // -ψ*∇²ψ summed by parts: |Δψ|² over every link, including the links to the
+            // zero ghost cells outside the left and top edges (periodic grids wrap instead)
+            var links = dot(right - psi, right - psi) + dot(down - psi, down - psi);
+            if (boundary_type() != BOUNDARY_PERIODIC) {
+                if (x == 0u) { links += density; }
+                if (y == 0u) { links += density; }
+            }
+
+            let spin_sign = select(0.0, 1.0 - 2.0 * f32(c), spin);
+            sums[0] += density;
+            sums[1] += density * f32(x) * dx;
+            sums[2] += density * f32(y) * dx;
+            sums[3] += psi.x * grad_x.y - psi.y * grad_x.x;
+            sums[4] += psi.x * grad_y.y - psi.y * grad_y.x;
+            sums[5] += params.wave_speed * 0.5 * links / (dx * dx);
+            sums[6] += density * (v + spin_sign * spin_field_z(x, y, idx) + 0.5 * params.interaction * density);
+        }
+
+        // ⟨B_x σ_x⟩ = 2 B_x Re(ψ↑* ψ↓)
+        if (spin) {
+            sums[6] += 2.0 * params.spin_transverse * dot(psi_at(0u, xi, yi), psi_at(1u, xi, yi));
+        }
     }
-    
-    // Compute Laplacian
-    if (x > 0 && x < width - 1 && y > 0 && y < height - 1) {
-        laplacian_R = (psi_R[y * width + (x - 1)] + psi_R[y * width + (x + 1)] + 
-                       psi_R[(y - 1) * width + x] + psi_R[(y + 1) * width + x] - 4.0 * R) / dx2;
-        laplacian_I = (psi_I[y * width + (x - 1)] + psi_I[y * width + (x + 1)] + 
-                       psi_I[(y - 1) * width + x] + psi_I[(y + 1) * width + x] - 4.0 * I) / dx2;
+
+    for (var q = 0u; q < QUANTITIES; q++) {
+        shared_sums[local_index][q] = sums[q];
     }
-    
-    let kinetic_coeff = hbar_over_m * 0.5;
-    let dR_dt = kinetic_coeff * laplacian_I - V * I;
-    let dI_dt = -kinetic_coeff * laplacian_R + V * R;
-    
-    var R_new = R + dt * dR_dt;
-    var I_new = I + dt * dI_dt;
-    
-    R_new *= absorb;
-    I_new *= absorb;
-    
-    if (params.damping > 0.001) {
-        let damping_factor = 1.0 - params.damping * 0.1;
-        R_new *= damping_factor;
-        I_new *= damping_factor;
+    workgroupBarrier();
+
+    for (var stride = 128u; stride > 0u; stride >>= 1u) {
+        if (local_index < stride) {
+            for (var q = 0u; q < QUANTITIES; q++) {
+                shared_sums[local_index][q] += shared_sums[local_index + stride][q];
+            }
+        }
+        workgroupBarrier();
     }
-    
-    // Continuous source
-    if (params.source_enabled > 0.5) {
-        let center_x = f32(width) * 0.5;
-        let center_y = f32(height) * 0.5;
-        let dx_src = f32(x) - center_x;
-        let dy_src = f32(y) - center_y;
-        let dist2 = dx_src * dx_src + dy_src * dy_src;
-        
-        let sigma = params.source_size * 2.0;
-        let sigma2 = sigma * sigma;
-        let amplitude = params.source_strength * 0.5;
-        
-        let kx = params.cloth_stiffness * 0.5;
-        let ky = params.cloth_damping * 0.5;
-        
-        let envelope = amplitude * exp(-dist2 / (2.0 * sigma2));
-        let phase = kx * dx_src + ky * dy_src - params.source_freq * params.time * 10.0;
-        
-        let pulse = sin(params.time * params.source_freq * 2.0 * 3.14159);
-        if (pulse > 0.9) {
-            R_new += envelope * cos(phase) * 0.1;
-            I_new += envelope * sin(phase) * 0.1;
+
+    if (local_index == 0u) {
+        let group = group_id.y * group_count.x + group_id.x;
+        for (var q = 0u; q < QUANTITIES; q++) {
+            partials[group * QUANTITIES + q] = shared_sums[0][q];
         }
     }
-    
-    psi_R_next[idx] = R_new;
-    psi_I_next[idx] = I_new;
 }`;
     }
 
@@ -714,13 +4646,22 @@ fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
     getVisualizationShader() {
         return `struct VisualizationParams {
     width: u32, height: u32, time: f32, amplitude_scale: f32,
-    gamma: f32, display_mode: f32, prob_scale: f32, _padding: f32
+    gamma: f32, display_mode: f32, prob_scale: f32, spin_view: f32
 }
 
+// psi_R/psi_I hold the component on view, down_R/down_I spin down for the ⟨σ_z⟩ view
 @group(0) @binding(0) var<storage, read> psi_R: array<f32>;
 @group(0) @binding(1) var<storage, read> psi_I: array<f32>;
 @group(0) @binding(2) var output_texture: texture_storage_2d<rgba16float, write>;
 @group(0) @binding(3) var<uniform> params: VisualizationParams;
+@group(0) @binding(4) var<storage, read> down_R: array<f32>;
+@group(0) @binding(5) var<storage, read> down_I: array<f32>;
+
+const SPIN_VIEW_SIGMA_Z = ${SPIN_VIEW.SIGMA_Z}u;
+
+${getColormapWGSL()}
+
+${getSpinColorWGSL()}
 
 @compute @workgroup_size(8, 8)
 fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
@@ -736,8 +4677,15 @@ fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
     let amp_scale = params.amplitude_scale;
     let display_mode = params.display_mode;
     
+    // Spin mode: ⟨σ_z⟩ as the colour, brightness from the total density
+    if (u32(params.spin_view + 0.5) == SPIN_VIEW_SIGMA_Z) {
+        let down_density = down_R[idx] * down_R[idx] + down_I[idx] * down_I[idx];
+        let magnitude = pow(sqrt(prob_density + down_density) * amp_scale * 0.05, params.gamma);
+        let color = sigma_z_color(prob_density, down_density, magnitude / (1.0 + magnitude));
+        textureStore(output_texture, vec2<i32>(i32(x), i32(y)), vec4<f32>(color, 0.5));
+    }
     // Mode 3: Direct RGB color output
-    if (display_mode > 2.5 && display_mode < 3.5) {
+    else if (display_mode > 2.5 && display_mode < 3.5) {
         let R = R_raw * amp_scale * 0.05;
         let I = I_raw * amp_scale * 0.05;
         let gamma = params.gamma;
@@ -766,7 +4714,13 @@ fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
         
         textureStore(output_texture, vec2<i32>(i32(x), i32(y)), vec4<f32>(color, 0.5));
     }
-    // Modes 0-2, 4: Scalar output
+    // Mode 5: Domain coloring, hue = arg ψ and brightness from |ψ|
+    else if (display_mode > 4.5 && display_mode < 5.5) {
+        let magnitude = pow(sqrt(prob_density) * amp_scale * 0.05, params.gamma);
+        let color = phase_color(atan2(I_raw, R_raw), magnitude / (1.0 + magnitude));
+        textureStore(output_texture, vec2<i32>(i32(x), i32(y)), vec4<f32>(color, 0.5));
+    }
+    // Modes 0-2, 4, 6: Scalar output
     else {
         var output_value: f32;
         
@@ -778,8 +4732,12 @@ fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
             let magnitude = sqrt(prob_density);
             let phase = atan2(I_raw, R_raw);
             output_value = magnitude * amp_scale * (cos(phase) + sin(phase) * 0.5);
-        } else {
+        } else if (display_mode < 4.5) {
             output_value = I_raw * amp_scale;
+        } else {
+            // log₁₀ |ψ|², the top ${LOG_DISPLAY_DECADES} decades below 1/prob_scale mapped onto [0, 1]
+            let scaled = max(prob_density * params.prob_scale, 1e-30);
+            output_value = clamp(1.0 + log(scaled) / (${LOG_DISPLAY_DECADES}.0 * log(10.0)), 0.0, 1.0);
         }
         
         textureStore(output_texture, vec2<i32>(i32(x), i32(y)), vec4<f32>(output_value, output_value, output_value, 1.0));
@@ -787,22 +4745,307 @@ fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
 }`;
     }
 
+    // ========== DETECTOR SHADER ==========
+    // One thread per detector bin: Σ|ψ|² × weight over the bin's sample points (layout in detectors.js),
+    // both spin components (spin down is zero without spin)
+    getDetectorShader() {
+        return `struct DetectorBin {
+    origin: vec2<f32>, along: vec2<f32>, across: vec2<f32>, samples: vec2<f32>,
+    weight: f32, _padding0: f32, _padding1: f32, _padding2: f32
+}
+
+struct DetectorParams {
+    width: u32, height: u32, bin_count: u32, _padding: u32
+}
+
+@group(0) @binding(0) var<storage, read> psi_R: array<f32>;
+@group(0) @binding(1) var<storage, read> psi_I: array<f32>;
+@group(0) @binding(2) var<storage, read> bins: array<DetectorBin>;
+@group(0) @binding(3) var<storage, read_write> sums: array<f32>;
+@group(0) @binding(4) var<uniform> detector: DetectorParams;
+@group(0) @binding(5) var<storage, read> down_R: array<f32>;
+@group(0) @binding(6) var<storage, read> down_I: array<f32>;
+
+@compute @workgroup_size(64)
+fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if (index >= detector.bin_count) { return; }
+
+    let bin = bins[index];
+    let samples = vec2<u32>(bin.samples);
+    let size = vec2<f32>(f32(detector.width), f32(detector.height));
+    var sum = 0.0;
+    for (var i = 0u; i < samples.x; i++) {
+        for (var j = 0u; j < samples.y; j++) {
+            let st = (vec2<f32>(f32(i), f32(j)) + 0.5) / bin.samples;
+            let cell = floor(bin.origin + st.x * bin.along + st.y * bin.across);
+            if (any(cell < vec2<f32>(0.0)) || any(cell >= size)) { continue; }
+
+            let idx = u32(cell.y) * detector.width + u32(cell.x);
+            sum += psi_R[idx] * psi_R[idx] + psi_I[idx] * psi_I[idx] + down_R[idx] * down_R[idx] + down_I[idx] * down_I[idx];
+        }
+    }
+    sums[index] = sum * bin.weight;
+}`;
+    }
+
+    // ========== MOMENTUM SPACE SHADER ==========
+    // Radix-2 Stockham FFT of ψ (see fft.js), then |ψ(k)|² with k = 0 in the middle, normalized to its peak
+    getMomentumShader() {
+        return `struct FftParams {
+    width: u32, height: u32, nx: u32, ny: u32,
+    zoom: f32, log_scale: f32, _padding: vec2<f32>
+}
+
+struct FftStage {
+    n: u32, span: u32, axis: u32, _padding: u32
+}
+
+@group(0) @binding(0) var<storage, read> fft_src: array<vec2<f32>>;
+@group(0) @binding(1) var<storage, read_write> fft_dst: array<vec2<f32>>;
+@group(0) @binding(2) var<uniform> fft: FftParams;
+@group(0) @binding(3) var<uniform> stage: FftStage;
+@group(0) @binding(4) var<storage, read> psi_R: array<f32>;
+@group(0) @binding(5) var<storage, read> psi_I: array<f32>;
+@group(0) @binding(6) var<storage, read_write> peak: atomic<u32>;
+@group(0) @binding(7) var momentum_texture: texture_storage_2d<rgba16float, write>;
+
+const PI = 3.14159265359;
+
+// ψ zero-padded to nx × ny
+@compute @workgroup_size(8, 8)
+fn fft_load(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = global_id.x;
+    let y = global_id.y;
+    if (x >= fft.nx || y >= fft.ny) { return; }
+
+    var value = vec2<f32>(0.0);
+    if (x < fft.width && y < fft.height) {
+        let idx = y * fft.width + x;
+        value = vec2<f32>(psi_R[idx], psi_I[idx]);
+    }
+    fft_dst[y * fft.nx + x] = value;
+}
+
+// Element e of a line along the stage's axis (0 = rows, 1 = columns)
+fn fft_index(line: u32, e: u32) -> u32 {
+    if (stage.axis == 0u) {
+        return line * fft.nx + e;
+    }
+    return e * fft.nx + line;
+}
+
+// One butterfly per thread: merges pairs of span-point transforms into 2·span-point ones
+@compute @workgroup_size(64)
+fn fft_stage(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let i = global_id.x;
+    let line = global_id.y;
+    let half = stage.n / 2u;
+    var lines = fft.ny;
+    if (stage.axis == 1u) {
+        lines = fft.nx;
+    }
+    if (i >= half || line >= lines) { return; }
+
+    let k = i & (stage.span - 1u);
+    let angle = -PI * f32(k) / f32(stage.span);
+    let w = vec2<f32>(cos(angle), sin(angle));
+
+    let a = fft_src[fft_index(line, i)];
+    let odd = fft_src[fft_index(line, i + half)];
+    let b = vec2<f32>(odd.x * w.x - odd.y * w.y, odd.x * w.y + odd.y * w.x);
+
+    let j = 2u * i - k;
+    fft_dst[fft_index(line, j)] = a + b;
+    fft_dst[fft_index(line, j + stage.span)] = a - b;
+}
+
+// Largest |ψ(k)|²; the bit patterns of non-negative floats order like the floats
+@compute @workgroup_size(8, 8)
+fn fft_peak(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = global_id.x;
+    let y = global_id.y;
+    if (x >= fft.nx || y >= fft.ny) { return; }
+
+    let value = fft_src[y * fft.nx + x];
+    atomicMax(&peak, bitcast<u32>(dot(value, value)));
+}
+
+// Pixel (x, y) shows the k-bin at the same position relative to the centre, magnified by zoom
+@compute @workgroup_size(8, 8)
+fn fft_display(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = global_id.x;
+    let y = global_id.y;
+    if (x >= fft.width || y >= fft.height) { return; }
+
+    let offset = (vec2<f32>(f32(x), f32(y)) + 0.5) / vec2<f32>(f32(fft.width), f32(fft.height)) - 0.5;
+    let bin = vec2<i32>(round(offset / fft.zoom * vec2<f32>(f32(fft.nx), f32(fft.ny))));
+    let kx = u32(bin.x + i32(fft.nx)) % fft.nx;
+    let ky = u32(bin.y + i32(fft.ny)) % fft.ny;
+
+    let value = fft_src[ky * fft.nx + kx];
+    let relative = dot(value, value) / max(bitcast<f32>(atomicLoad(&peak)), 1e-30);
+    var output_value = relative;
+    if (fft.log_scale > 0.5) {
+        output_value = clamp(1.0 + log(max(relative, 1e-30)) / (${LOG_DISPLAY_DECADES}.0 * log(10.0)), 0.0, 1.0);
+    }
+    textureStore(momentum_texture, vec2<i32>(i32(x), i32(y)), vec4<f32>(output_value, output_value, output_value, 1.0));
+}`;
+    }
+
     // ========== POTENTIAL EXTRACTION SHADER ==========
+    // Barrier signal from the webcam/image, then the preprocessing chain of preprocess.js:
+    // extract_signal → blur_rows → blur_columns (if blurring) → smooth_temporal → main
     getPotentialShader() {
-        return `struct SimParams {
-    width: u32, height: u32, dt: f32, dx: f32,
-    wave_speed: f32, damping: f32, source_freq: f32, source_enabled: f32,
-    time: f32, boundary_threshold: f32, source_strength: f32, source_size: f32,
-    normalize_waves: f32, wave_range: f32,
-    cloth_gravity: f32, cloth_stiffness: f32, cloth_damping: f32, motion_sensitivity: f32,
-    invert_boundaries: f32, fluid_viscosity: f32, flow_velocity: f32, motion_force: f32,
-    density_display: f32, flow_direction: f32, flow_strength: f32
+        return `${this.getSimParamsStruct()}
+
+struct PreprocessParams {
+    blur_sigma: f32,            // Gaussian σ in cells
+    kernel_radius: i32,         // blurKernelRadius(σ)
+    temporal_smoothing: f32,    // weight of the previous frame in the moving average
+    edge_detect: u32,
+    threshold_mode: u32,        // THRESHOLD in preprocess.js: 0 = off, 1 = hard, 2 = soft
+    threshold: f32,
+    hysteresis: f32,
+    use_background: u32,        // 1 = signal is the colour distance to background_texture
+    channel: u32,               // CHANNEL in preprocess.js
+    chroma_tolerance: f32,
+    chroma_key: vec2<f32>       // (Cb, Cr) of the key colour
 }
 
 @group(0) @binding(0) var webcam_texture: texture_2d<f32>;
 @group(0) @binding(1) var<storage, read_write> potential_data: array<f32>;
 @group(0) @binding(2) var<uniform> params: SimParams;
+@group(0) @binding(3) var<uniform> prep: PreprocessParams;
+@group(0) @binding(4) var background_texture: texture_2d<f32>;
+@group(0) @binding(5) var<storage, read_write> signal: array<f32>;
+@group(0) @binding(6) var<storage, read_write> signal_scratch: array<f32>;
+@group(0) @binding(7) var<storage, read_write> signal_history: array<f32>;
+@group(0) @binding(8) var<storage, read_write> threshold_mask: array<f32>;
 
+// Signal of the selected channel, before inversion
+fn channel_signal(color: vec3<f32>) -> f32 {
+    let max_channel = max(color.r, max(color.g, color.b));
+    let range = max_channel - min(color.r, min(color.g, color.b));
+    switch prep.channel {
+        case ${CHANNEL.RED}u: { return 1.0 - color.r; }
+        case ${CHANNEL.GREEN}u: { return 1.0 - color.g; }
+        case ${CHANNEL.BLUE}u: { return 1.0 - color.b; }
+        case ${CHANNEL.HUE}u: {
+            var hue = 0.0;
+            if (range > 0.0) {
+                if (max_channel == color.r) {
+                    hue = (color.g - color.b) / range;
+                } else if (max_channel == color.g) {
+                    hue = (color.b - color.r) / range + 2.0;
+                } else {
+                    hue = (color.r - color.g) / range + 4.0;
+                }
+            }
+            return fract(hue / 6.0 + 1.0);
+        }
+        case ${CHANNEL.SATURATION}u: {
+            return select(0.0, range / max_channel, max_channel > 0.0);
+        }
+        case ${CHANNEL.CHROMA_KEY}u: {
+            let chroma = vec2<f32>(
+                dot(color, vec3<f32>(-0.168736, -0.331264, 0.5)),
+                dot(color, vec3<f32>(0.5, -0.418688, -0.081312)));
+            return max(1.0 - distance(chroma, prep.chroma_key) / prep.chroma_tolerance, 0.0);
+        }
+        default: { return 1.0 - dot(color, vec3<f32>(0.299, 0.587, 0.114)); }
+    }
+}
+
+// barrierSignal(): the selected channel, or the colour distance to the background
+@compute @workgroup_size(8, 8)
+fn extract_signal(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = global_id.x;
+    let y = global_id.y;
+    if (x >= params.width || y >= params.height) { return; }
+
+    let texel = vec2<i32>(i32(x), i32(y));
+    let webcam_color = textureLoad(webcam_texture, texel, 0).rgb;
+    var value: f32;
+    if (prep.use_background == 1u) {
+        let background_color = textureLoad(background_texture, texel, 0).rgb;
+        value = min(length(webcam_color - background_color), 1.0);
+    } else {
+        value = channel_signal(webcam_color);
+    }
+    if (params.invert_boundaries > 0.5) {
+        value = 1.0 - value;
+    }
+    signal[y * params.width + x] = value;
+}
+
+// One direction of the separable Gaussian, edges clamped
+fn blur_weight(d: i32) -> f32 {
+    return exp(-f32(d * d) / (2.0 * prep.blur_sigma * prep.blur_sigma));
+}
+
+@compute @workgroup_size(8, 8)
+fn blur_rows(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = i32(global_id.x);
+    let y = i32(global_id.y);
+    let width = i32(params.width);
+    if (x >= width || y >= i32(params.height)) { return; }
+
+    var sum = 0.0;
+    var total = 0.0;
+    for (var d = -prep.kernel_radius; d <= prep.kernel_radius; d++) {
+        let w = blur_weight(d);
+        sum += w * signal[y * width + clamp(x + d, 0, width - 1)];
+        total += w;
+    }
+    signal_scratch[y * width + x] = sum / total;
+}
+
+@compute @workgroup_size(8, 8)
+fn blur_columns(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = i32(global_id.x);
+    let y = i32(global_id.y);
+    let width = i32(params.width);
+    let height = i32(params.height);
+    if (x >= width || y >= height) { return; }
+
+    var sum = 0.0;
+    var total = 0.0;
+    for (var d = -prep.kernel_radius; d <= prep.kernel_radius; d++) {
+        let w = blur_weight(d);
+        sum += w * signal_scratch[clamp(y + d, 0, height - 1) * width + x];
+        total += w;
+    }
+    signal[y * width + x] = sum / total;
+}
+
+// Exponential moving average over frames
+@compute @workgroup_size(8, 8)
+fn smooth_temporal(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let x = global_id.x;
+    let y = global_id.y;
+    if (x >= params.width || y >= params.height) { return; }
+
+    let idx = y * params.width + x;
+    signal_history[idx] = mix(signal[idx], signal_history[idx], prep.temporal_smoothing);
+}
+
+fn history_at(x: i32, y: i32) -> f32 {
+    let px = clamp(x, 0, i32(params.width) - 1);
+    let py = clamp(y, 0, i32(params.height) - 1);
+    return signal_history[py * i32(params.width) + px];
+}
+
+// sobelMagnitude(): a unit step gives 1
+fn sobel_magnitude(x: i32, y: i32) -> f32 {
+    let gx = history_at(x + 1, y - 1) + 2.0 * history_at(x + 1, y) + history_at(x + 1, y + 1)
+        - history_at(x - 1, y - 1) - 2.0 * history_at(x - 1, y) - history_at(x - 1, y + 1);
+    let gy = history_at(x - 1, y + 1) + 2.0 * history_at(x, y + 1) + history_at(x + 1, y + 1)
+        - history_at(x - 1, y - 1) - 2.0 * history_at(x, y - 1) - history_at(x + 1, y - 1);
+    return min(length(vec2<f32>(gx, gy)) * 0.25, 1.0);
+}
+
+// Edges and threshold (applyThreshold(), hysteresis against last frame's mask), then V_raw = s² × base scale
 @compute @workgroup_size(8, 8)
 fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
     let x = global_id.x;
@@ -811,20 +5054,25 @@ fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
     if (x >= params.width || y >= params.height) { return; }
     
     let idx = y * params.width + x;
-    let webcam_color = textureLoad(webcam_texture, vec2<i32>(i32(x), i32(y)), 0).rgb;
-    let intensity = dot(webcam_color, vec3<f32>(0.299, 0.587, 0.114));
-    
-    var potential: f32;
-    if (params.invert_boundaries > 0.5) {
-        potential = intensity;
-    } else {
-        potential = 1.0 - intensity;
+    var value = signal_history[idx];
+    if (prep.edge_detect == 1u) {
+        value = sobel_magnitude(i32(x), i32(y));
+    }
+
+    if (prep.threshold_mode != ${THRESHOLD.OFF}u) {
+        var level = prep.threshold + 0.5 * prep.hysteresis;
+        if (threshold_mask[idx] > 0.0) {
+            level = prep.threshold - 0.5 * prep.hysteresis;
+        }
+        if (prep.threshold_mode == ${THRESHOLD.HARD}u) {
+            value = select(0.0, 1.0, value > level);
+        } else {
+            value = clamp((value - level) / max(1.0 - level, 1e-3), 0.0, 1.0);
+        }
+        threshold_mask[idx] = value;
     }
     
-    potential = pow(potential, 2.0);
-    potential = potential * params.boundary_threshold;
-    
-    potential_data[idx] = potential;
+    potential_data[idx] = value * value * params.boundary_threshold;
 }`;
     }
 
@@ -836,10 +5084,21 @@ fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
 
 struct RenderParams {
     blend_mode: f32,
-    mix_ratio: f32
+    mix_ratio: f32,
+    colormap: f32,
+    signed_range: f32,  // 1 if the scalar display value spans [-1, 1], 0 for [0, 1]
+    momentum_view: f32, // 0 = off, 1 = inset, 2 = full screen
+    _padding: vec3<f32>
 }
 
 @group(0) @binding(3) var<uniform> renderParams: RenderParams;
+@group(0) @binding(4) var momentumTexture: texture_2d<f32>;
+
+const INSET_SIZE = ${MOMENTUM_INSET_SIZE};
+const INSET_MARGIN = ${MOMENTUM_INSET_MARGIN};
+const INSET_BORDER = ${MOMENTUM_INSET_BORDER};
+
+${getColormapWGSL()}
 
 struct VertexOutput {
     @builtin(position) position: vec4<f32>,
@@ -856,28 +5115,49 @@ fn vs_main(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
     return output;
 }
 
+// |ψ(k)|² at uv of the momentum view, through the colormap
+fn momentum_color(uv: vec2<f32>) -> vec3<f32> {
+    let value = textureSampleLevel(momentumTexture, textureSampler, uv, 0.0).r;
+    var t = value;
+    if (u32(round(renderParams.colormap)) == ${COLORMAP_DIVERGING}u) {
+        t = (value + 1.0) * 0.5;
+    }
+    return colormap_color(renderParams.colormap, clamp(t, 0.0, 1.0));
+}
+
 @fragment
 fn fs_main(@location(0) uv: vec2<f32>) -> @location(0) vec4<f32> {
     let waveSample = textureSample(waveTexture, textureSampler, uv);
     let webcamColor = textureSample(webcamTexture, textureSampler, uv).rgb;
+
+    // Momentum space replaces the whole picture, or covers the bottom-right corner with a framed inset
+    let momentumView = u32(round(renderParams.momentum_view));
+    if (momentumView == 2u) {
+        return vec4<f32>(momentum_color(uv), 1.0);
+    }
+    if (momentumView == 1u) {
+        let local = (uv - vec2<f32>(1.0 - INSET_MARGIN - INSET_SIZE)) / INSET_SIZE;
+        if (all(local >= vec2<f32>(-INSET_BORDER)) && all(local <= vec2<f32>(1.0 + INSET_BORDER))) {
+            if (any(local < vec2<f32>(0.0)) || any(local > vec2<f32>(1.0))) {
+                return vec4<f32>(0.31, 0.76, 0.97, 1.0);
+            }
+            return vec4<f32>(momentum_color(local), 1.0);
+        }
+    }
     
     var waveColor: vec3<f32>;
     
-    // Check if pre-colored (alpha < 0.75 indicates Mode 3)
+    // Check if pre-colored (alpha < 0.75 indicates Modes 3 and 5)
     if (waveSample.a < 0.75) {
         waveColor = waveSample.rgb;
     } else {
-        // Scalar modes: apply red-blue color scheme
+        // Scalar modes: apply the selected colormap (the diverging one keeps 0 in the middle)
         let value = waveSample.r;
-        let t = clamp((value + 1.0) * 0.5, 0.0, 1.0);
-        
-        if (t < 0.5) {
-            let intensity = t * 2.0;
-            waveColor = vec3<f32>(intensity, intensity, 1.0);  // Blue to white
-        } else {
-            let intensity = (t - 0.5) * 2.0;
-            waveColor = vec3<f32>(1.0, 1.0 - intensity, 1.0 - intensity);  // White to red
+        var t = value;
+        if (renderParams.signed_range > 0.5 || u32(round(renderParams.colormap)) == ${COLORMAP_DIVERGING}u) {
+            t = (value + 1.0) * 0.5;
         }
+        waveColor = colormap_color(renderParams.colormap, clamp(t, 0.0, 1.0));
     }
     
     // Apply blending with webcam
@@ -912,4 +5192,6 @@ fn fs_main(@location(0) uv: vec2<f32>) -> @location(0) vec4<f32> {
 window.addEventListener('DOMContentLoaded', async () => {
     const app = new QuantumWebcam();
     await app.initialize();
+    window.quantumcam = app.api;
+    window.dispatchEvent(new Event('quantumcam-ready'));
 });
@@ -0,0 +1,120 @@
+// Colormaps for the scalar display modes and the phase (domain) coloring, shared by the
+// render shader, the CPU fallback and the colorbar legend.
+// Sequential maps are degree-6 polynomial fits of the matplotlib maps (Matt Zucker's fits).
+
+export const COLORMAPS = [
+    { label: 'Diverging (blue–white–red)' },
+    {
+        label: 'Viridis',
+        coefficients: [
+            [0.2777273272234177, 0.005407344544966578, 0.3340998053353061],
+            [0.1050930431085774, 1.404613529898575, 1.384590162594685],
+            [-0.3308618287255563, 0.214847559468213, 0.09509516302823659],
+            [-4.634230498983486, -5.799100973351585, -19.33244095627987],
+            [6.228269936347081, 14.17993336680509, 56.69055260068105],
+            [4.776384997670288, -13.74514537774601, -65.35303263337234],
+            [-5.435455855934631, 4.645852612178535, 26.3124352495832]
+        ]
+    },
+    {
+        label: 'Magma',
+        coefficients: [
+            [-0.002136485053939582, -0.000749655052795221, -0.005386127855323933],
+            [0.2516605407371642, 0.6775232436837668, 2.494026599312351],
+            [8.353717279216625, -3.577719514958484, 0.3144679030132573],
+            [-27.66873308576866, 14.26473078096533, -13.64921318813922],
+            [52.17613981234068, -27.94360607168351, 12.94416944238394],
+            [-50.76852536473588, 29.04658282127291, 4.23415299384598],
+            [18.65570506591883, -11.48977351997711, -5.601961508734096]
+        ]
+    },
+    { label: 'Grayscale' }
+];
+
+export const COLORMAP_DIVERGING = 0;
+export const COLORMAP_GRAYSCALE = 3;
+
+// Decades of |ψ|² shown by the log display mode (6)
+export const LOG_DISPLAY_DECADES = 4;
+
+// Display modes whose scalar output is signed (mapped from [-1, 1]); the others are in [0, 1].
+// 3 (Re + Im color) and 5 (phase) are pre-colored and bypass the colormap.
+export function isSignedDisplayMode(mode) {
+    const rounded = Math.round(mode);
+    return rounded !== 1 && rounded !== 6;
+}
+
+// Position along the colormap of a scalar display value. The diverging map keeps 0 in the middle.
+export function colormapPosition(value, colormap, signed) {
+    const t = signed || Math.round(colormap) === COLORMAP_DIVERGING ? (value + 1.0) * 0.5 : value;
+    return Math.min(Math.max(t, 0.0), 1.0);
+}
+
+// [r, g, b] in 0..1 for t in 0..1
+export function colormapColor(colormap, t) {
+    const index = Math.round(colormap);
+    if (index === COLORMAP_DIVERGING) {
+        if (t < 0.5) {
+            const intensity = t * 2.0;
+            return [intensity, intensity, 1.0];     // Blue to white
+        }
+        const intensity = (t - 0.5) * 2.0;
+        return [1.0, 1.0 - intensity, 1.0 - intensity];     // White to red
+    }
+    if (index === COLORMAP_GRAYSCALE) {
+        return [t, t, t];
+    }
+
+    const coefficients = COLORMAPS[index].coefficients;
+    return [0, 1, 2].map(c => {
+        let value = 0;
+        for (let k = coefficients.length - 1; k >= 0; k--) {
+            value = value * t + coefficients[k][c];
+        }
+        return Math.min(Math.max(value, 0), 1);
+    });
+}
+
+// Domain coloring: hue = arg ψ (red at 0, green at 2π/3, blue at -2π/3), full saturation
+export function phaseColor(phase, brightness) {
+    const hue = phase / (2 * Math.PI) + 1.0;
+    return [0, 2 / 3, 1 / 3].map(offset => {
+        const h = hue + offset;
+        const channel = Math.abs((h - Math.floor(h)) * 6.0 - 3.0) - 1.0;
+        return brightness * Math.min(Math.max(channel, 0), 1);
+    });
+}
+
+// WGSL versions of colormap_color() and phase_color(), generated from the same coefficients
+export function getColormapWGSL() {
+    const vec = ([r, g, b]) => `vec3<f32>(${r}, ${g}, ${b})`;
+    const polynomial = (coefficients) => coefficients.slice(0, -1).reduceRight(
+        (inner, c) => `${vec(c)} + t * (${inner})`, vec(coefficients[coefficients.length - 1]));
+
+    return `// Colormap lookup for t in [0, 1] (see colormaps.js)
+fn colormap_color(colormap: f32, t: f32) -> vec3<f32> {
+    let index = u32(round(colormap));
+    if (index == ${COLORMAP_DIVERGING}u) {
+        if (t < 0.5) {
+            let intensity = t * 2.0;
+            return vec3<f32>(intensity, intensity, 1.0);  // Blue to white
+        }
+        let intensity = (t - 0.5) * 2.0;
+        return vec3<f32>(1.0, 1.0 - intensity, 1.0 - intensity);  // White to red
+    }
+    if (index == ${COLORMAP_GRAYSCALE}u) {
+        return vec3<f32>(t);
+    }
+${COLORMAPS.map((map, i) => map.coefficients ? `    if (index == ${i}u) {
+        return clamp(${polynomial(map.coefficients)}, vec3<f32>(0.0), vec3<f32>(1.0));
+    }
+` : '').join('')}    return vec3<f32>(t);
+}
+
+// Domain coloring: hue = arg ψ, value = brightness
+fn phase_color(phase: f32, brightness: f32) -> vec3<f32> {
+    let hue = phase / ${2 * Math.PI} + 1.0;
+    let channels = abs(fract(vec3<f32>(hue) + vec3<f32>(0.0, ${2 / 3}, ${1 / 3})) * 6.0 - 3.0) - 1.0;
+    return brightness * clamp(channels, vec3<f32>(0.0), vec3<f32>(1.0));
+}`;
+}
@@ -0,0 +1,939 @@
+// CPU reference implementation of the QuantumCam pipeline
+// Mirrors the WGSL kernels in app.js step for step, so the app can run without
+// WebGPU and the kernels can be checked against plain JS (e.g. in Node).
+
+import { MOMENTUM_INSET_BORDER, MOMENTUM_INSET_MARGIN, MOMENTUM_INSET_SIZE, fft2d, nextPowerOfTwo } from './fft.js';
+import { DETECTOR_BIN_FLOATS } from './detectors.js';
+import { LOG_DISPLAY_DECADES, colormapColor, colormapPosition, isSignedDisplayMode, phaseColor } from './colormaps.js';
+import { drivePotential, driveState } from './drive.js';
+import { fieldIntegrator, linkFactors, magneticField } from './magnetic.js';
+import { SPIN_VIEW, sigmaZColor, spinComponents, spinFieldZ } from './spin.js';
+import { THRESHOLD, applyThreshold, barrierSignal, gaussianBlur, signalOptions, sobelMagnitude } from './preprocess.js';
+
+// params.boundaryType, as in getBoundaryHelpers()
+export const BOUNDARY = { CAP: 0, PML: 1, PERIODIC: 2, WALL: 3 };
+
+// layer_depth(): 0 at the inner edge of the absorbing layer, 1 at the edge of the grid
+function layerDepth(pos, n, params) {
+    const dist = Math.min(pos, n - 1 - pos);
+    return Math.min(Math.max((params.absorberWidth - dist) / params.absorberWidth, 0), 1);
+}
+
+// inverse_stretch(): 1/(1 + iσ) as [re, im]
+function inverseStretch(pos, n, params) {
+    const depth = layerDepth(pos, n, params);
+    const sigma = params.absorberStrength * depth * depth;
+    return [1 / (1 + sigma * sigma), -sigma / (1 + sigma * sigma)];
+}
+
+// line_weights() for every cell of a line of n cells: (l.re, l.im, r.re, r.im) per cell
+function lineWeights(n, params) {
+    const weights = new Float32Array(4 * n);
+    const pml = Math.round(params.boundaryType) === BOUNDARY.PML;
+    for (let j = 0; j < n; j++) {
+        if (!pml) {
+            weights[4 * j] = weights[4 * j + 2] = 1;
+            continue;
+        }
+        const [sR, sI] = inverseStretch(j, n, params);
+        const [aR, aI] = inverseStretch(j - 0.5, n, params);
+        const [bR, bI] = inverseStretch(j + 0.5, n, params);
+        weights[4 * j] = sR * aR - sI * aI;
+        weights[4 * j + 1] = sR * aI + sI * aR;
+        weights[4 * j + 2] = sR * bR - sI * bI;
+        weights[4 * j + 3] = sR * bI + sI * bR;
+    }
+    return weights;
+}
+
+// Coupling g of the Gross–Pitaevskii mean field g|ψ|² (mean_field), 0 unless the mode is on
+function interaction(params) {
+    return params.nonlinear ? params.interaction : 0;
+}
+
+export class CpuSolver {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+
+        const n = width * height;
+        // Double buffered like the GPU version; bufferIndex points at the newest data
+        this.psiR = [new Float32Array(n), new Float32Array(n)];
+        this.psiI = [new Float32Array(n), new Float32Array(n)];
+        // Spin-down component in spin mode (zero otherwise); swapComponents() lets the kernels step it
+        this.downR = [new Float32Array(n), new Float32Array(n)];
+        this.downI = [new Float32Array(n), new Float32Array(n)];
+        this.component = { sign: 0, weight: [1, 0] };   // spinComponents() entry being stepped
+        this.potential = new Float32Array(n);
+        this.scratch = new Float32Array(4 * n);
+        this.bufferIndex = 0;
+
+        // Hψ, the per-step decay mask and the second-difference weights along x and y, reused every step
+        this.hR = new Float32Array(n);
+        this.hI = new Float32Array(n);
+        this.decay = new Float32Array(n);
+        this.weightsX = null;
+        this.weightsY = null;
+        this.drive = null;          // driveState() of the current step, null without a drive
+        this.links = null;          // linkFactors() of the magnetic field, null without one
+        this.linksKey = null;       // the magneticField() they were built for
+
+        // Potential preprocessing: barrier signal, blur scratch, and the smoothed signal and threshold mask
+        // carried over from the previous frame
+        this.signal = new Float32Array(n);
+        this.signalScratch = new Float32Array(n);
+        this.signalHistory = new Float32Array(n);
+        this.thresholdMask = new Float32Array(n);
+    }
+
+    get real() {
+        return this.psiR[this.bufferIndex];
+    }
+
+    get imag() {
+        return this.psiI[this.bufferIndex];
+    }
+
+    get downReal() {
+        return this.downR[this.bufferIndex];
+    }
+
+    get downImag() {
+        return this.downI[this.bufferIndex];
+    }
+
+    // Spin down is cleared unless given
+    setWavefunction(real, imag, downReal = null, downImag = null) {
+        for (let i = 0; i < 2; i++) {
+            this.psiR[i].set(real);
+            this.psiI[i].set(imag);
+            if (downReal) {
+                this.downR[i].set(downReal);
+                this.downI[i].set(downImag);
+            } else {
+                this.downR[i].fill(0);
+                this.downI[i].fill(0);
+            }
+        }
+    }
+
+    // Exchanges the spin components, so the single-component code acts on spin down
+    swapComponents() {
+        [this.psiR, this.downR] = [this.downR, this.psiR];
+        [this.psiI, this.downI] = [this.downI, this.psiI];
+    }
+
+    // ========== POTENTIAL EXTRACTION (getPotentialShader) ==========
+    // rgba: Uint8ClampedArray of width × height pixels; background: the same for the captured
+    // reference frame, or null. reset drops the temporal history (first frame after a change).
+    extractPotential(rgba, params, background = null, reset = false) {
+        const { width, height } = this;
+        const n = width * height;
+        const signal = this.signal;
+        const options = signalOptions(params);
+        const reference = [0, 0, 0];
+
+        for (let idx = 0; idx < n; idx++) {
+            if (background) {
+                reference[0] = background[4 * idx] / 255;
+                reference[1] = background[4 * idx + 1] / 255;
+                reference[2] = background[4 * idx + 2] / 255;
+            }
+            signal[idx] = barrierSignal(rgba[4 * idx] / 255, rgba[4 * idx + 1] / 255, rgba[4 * idx + 2] / 255,
+                background && reference, options);
+        }
+
+        if (params.blurRadius > 0) {
+            gaussianBlur(signal, this.signalScratch, width, height, params.blurRadius);
+        }
+
+        // Exponential moving average over frames
+        const history = this.signalHistory;
+        const keep = reset ? 0 : params.temporalSmoothing;
+        for (let idx = 0; idx < n; idx++) {
+            history[idx] = signal[idx] + (history[idx] - signal[idx]) * keep;
+        }
+
+        const mode = Math.round(params.thresholdMode);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = y * width + x;
+                let value = params.edgeDetect ? sobelMagnitude(history, x, y, width, height) : history[idx];
+                if (mode !== THRESHOLD.OFF) {
+                    value = applyThreshold(value, this.thresholdMask[idx], mode, params.thresholdLevel, params.thresholdHysteresis);
+                    this.thresholdMask[idx] = value;
+                }
+                this.potential[idx] = value * value * params.boundaryThreshold;
+            }
+        }
+    }
+
+    // ========== PAINT OVERLAY (getPaintShader) ==========
+    // rgba: painted mask bytes (R = V_raw, A = coverage); mode 0 = add, 1 = replace, 2 = max
+    applyPaintOverlay(rgba, mode) {
+        for (let idx = 0; idx < this.potential.length; idx++) {
+            const value = rgba[4 * idx] / 255;
+            const coverage = rgba[4 * idx + 3] / 255;
+            const V = this.potential[idx];
+
+            if (mode < 0.5) {
+                this.potential[idx] = V + coverage * value;
+            } else if (mode < 1.5) {
+                this.potential[idx] = V + (value - V) * coverage;
+            } else {
+                this.potential[idx] = Math.max(V, coverage * value);
+            }
+        }
+    }
+
+    // ========== SCHRÖDINGER STEP (getSchrodingerShader / getSplitOperatorShader) ==========
+    step(params, time) {
+        this.updateBoundary(params);
+        this.updateMagnetic(params);
+        this.drive = driveState(params, time, this.width, this.height);
+
+        // Every pass runs once per spin component, from the same buffer index
+        const start = this.bufferIndex;
+        const integrator = fieldIntegrator(params);
+        spinComponents(params).forEach((component, i) => {
+            this.component = component;
+            this.bufferIndex = start;
+            if (i === 1) this.swapComponents();
+            if (integrator === 1) {
+                this.stepVisscher(params, time);
+            } else if (integrator === 2) {
+                this.stepSplitOperator(params, time);
+            } else {
+                this.stepEuler(params, time);
+            }
+            if (i === 1) this.swapComponents();
+        });
+
+        if (params.spinEnabled && params.spinTransverse !== 0) {
+            this.precessSpin(params);
+        }
+    }
+
+    // e^{−iB_x σ_x dt} on (ψ↑, ψ↓) into the other buffers (spin_precession kernel), or e^{−B_x σ_x dτ}
+    // for an imaginary time step dτ
+    precessSpin(params, imaginaryStep = 0) {
+        const current = this.bufferIndex, next = 1 - current;
+        const uR = this.psiR[current], uI = this.psiI[current];
+        const dR = this.downR[current], dI = this.downI[current];
+        if (imaginaryStep > 0) {
+            const a = params.spinTransverse * imaginaryStep;
+            const c = Math.cosh(a), s = Math.sinh(a);
+            // ψ↑' = c ψ↑ − s ψ↓, ψ↓' = c ψ↓ − s ψ↑
+            for (let idx = 0; idx < uR.length; idx++) {
+                this.psiR[next][idx] = c * uR[idx] - s * dR[idx];
+                this.psiI[next][idx] = c * uI[idx] - s * dI[idx];
+                this.downR[next][idx] = c * dR[idx] - s * uR[idx];
+                this.downI[next][idx] = c * dI[idx] - s * uI[idx];
+            }
+            this.swap();
+            return;
+        }
+
+        const angle = params.spinTransverse * params.dt * 0.5;
+        const c = Math.cos(angle), s = Math.sin(angle);
+        for (let idx = 0; idx < uR.length; idx++) {
+            // ψ↑' = c ψ↑ − i s ψ↓, ψ↓' = c ψ↓ − i s ψ↑
+            this.psiR[next][idx] = c * uR[idx] + s * dI[idx];
+            this.psiI[next][idx] = c * uI[idx] - s * dR[idx];
+            this.downR[next][idx] = c * dR[idx] + s * uI[idx];
+            this.downI[next][idx] = c * dI[idx] - s * uR[idx];
+        }
+        this.swap();
+    }
+
+    swap() {
+        this.bufferIndex = 1 - this.bufferIndex;
+    }
+
+    // ψ → ψ* into the other buffer (conjugate kernel), for both spin components
+    conjugate() {
+        const next = 1 - this.bufferIndex;
+        for (const [R, I] of [[this.psiR, this.psiI], [this.downR, this.downI]]) {
+            R[next].set(R[this.bufferIndex]);
+            const current = I[this.bufferIndex];
+            for (let idx = 0; idx < current.length; idx++) {
+                I[next][idx] = -current[idx];
+            }
+        }
+        this.swap();
+    }
+
+    // V of the potential buffer plus the drive terms at the time of the last step, and ±B_z for the
+    // spin component being stepped (potential_at)
+    potentialAt(idx, params) {
+        let V = params.potentialAmplitude * (this.potential[idx] - params.potentialOffset);
+        if (!this.drive && this.component.sign === 0) return V;
+
+        const x = idx % this.width;
+        const y = (idx - x) / this.width;
+        if (this.drive) V += drivePotential(this.drive, x, y);
+        if (this.component.sign !== 0) {
+            V += this.component.sign * spinFieldZ(params, x, y, this.potential[idx], this.width, this.height);
+        }
+        return V;
+    }
+
+    // Index of the neighbour of idx at offset (dx, dy), wrapped for periodic boundaries, or -1 (cell_index)
+    neighbour(x, y, dx, dy, periodic) {
+        const { width, height } = this;
+        let nx = x + dx;
+        let ny = y + dy;
+        if (periodic) {
+            nx = (nx + width) % width;
+            ny = (ny + height) % height;
+        } else if (nx < 0 || ny < 0 || nx >= width || ny >= height) {
+            return -1;
+        }
+        return ny * width + nx;
+    }
+
+    // Peierls factors of the magnetic field, rebuilt only when the field changes
+    updateMagnetic(params) {
+        const field = magneticField(params, this.width, this.height);
+        const key = JSON.stringify(field);
+        if (key === this.linksKey) return;
+        this.linksKey = key;
+        this.links = field && linkFactors(field, this.width, this.height);
+    }
+
+    // Factor of the hop from cell idx to its neighbour: e^{−iθ} of the link the cell owns towards
+    // +x (offset 0) or +y (offset 2), and e^{+iθ} of the neighbour's link backwards
+    hopFactor(idx, neighbour, offset, forward) {
+        if (!this.links || neighbour < 0) return [1, 0];
+        const o = 4 * (forward ? idx : neighbour) + offset;
+        return [this.links[o], forward ? this.links[o + 1] : -this.links[o + 1]];
+    }
+
+    // Hψ into hR / hI, with ψ = 0 outside the grid unless it is periodic
+    applyHamiltonian(params) {
+        const { width, height } = this;
+        const R = this.real;
+        const I = this.imag;
+        const g = interaction(params);
+        const kineticCoeff = params.waveSpeed * 0.5;
+        const dx2 = params.dx * params.dx;
+        const periodic = Math.round(params.boundaryType) === BOUNDARY.PERIODIC;
+        const wx = this.weightsX;
+        const wy = this.weightsY;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = y * width + x;
+                let sumR = 0;
+                let sumI = 0;
+
+                // l ψ_{j-1} - (l + r) ψ_j + r ψ_{j+1} along x, then along y, the neighbours hopped over their links
+                for (const [weights, j, prev, next, offset] of [
+                    [wx, x, this.neighbour(x, y, -1, 0, periodic), this.neighbour(x, y, 1, 0, periodic), 0],
+                    [wy, y, this.neighbour(x, y, 0, -1, periodic), this.neighbour(x, y, 0, 1, periodic), 2]
+                ]) {
+                    const lR = weights[4 * j], lI = weights[4 * j + 1];
+                    const rR = weights[4 * j + 2], rI = weights[4 * j + 3];
+                    const [pR, pI] = prev >= 0 ? cmul(this.hopFactor(idx, prev, offset, false), [R[prev], I[prev]]) : [0, 0];
+                    const [nR, nI] = next >= 0 ? cmul(this.hopFactor(idx, next, offset, true), [R[next], I[next]]) : [0, 0];
+                    sumR += lR * pR - lI * pI + rR * nR - rI * nI - ((lR + rR) * R[idx] - (lI + rI) * I[idx]);
+                    sumI += lR * pI + lI * pR + rR * nI + rI * nR - ((lR + rR) * I[idx] + (lI + rI) * R[idx]);
+                }
+
+                const V = this.potentialAt(idx, params) + g * (R[idx] * R[idx] + I[idx] * I[idx]);
+                this.hR[idx] = -kineticCoeff * sumR / dx2 + V * R[idx];
+                this.hI[idx] = -kineticCoeff * sumI / dx2 + V * I[idx];
+            }
+        }
+    }
+
+    // Complex absorbing potential and damping (decay_factor), and the PML weights (line_weights)
+    updateBoundary(params) {
+        const { width, height } = this;
+        const cap = Math.round(params.boundaryType) === BOUNDARY.CAP;
+        const damping = params.damping > 0.001 ? 1.0 - params.damping * 0.1 : 1.0;
+        const energy = params.waveSpeed * 0.5 / (params.dx * params.dx);
+        const dt = params.dt * 0.5;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let factor = 1.0;
+                if (cap) {
+                    const depth = Math.max(layerDepth(x, width, params), layerDepth(y, height, params));
+                    factor = Math.exp(-params.absorberStrength * depth * depth * energy * dt);
+                }
+                this.decay[y * width + x] = factor * damping;
+            }
+        }
+
+        this.weightsX = lineWeights(width, params);
+        this.weightsY = lineWeights(height, params);
+    }
+
+    // Continuous source (source_term); returns null while the pulse is off
+    sourceTerm(x, y, params, time) {
+        if (!params.sourceEnabled) return null;
+
+        const pulse = Math.sin(time * params.sourceFrequency * 2.0 * 3.14159);
+        if (pulse <= 0.9) return null;
+
+        const dxSrc = x - this.width * params.packetX;
+        const dySrc = y - this.height * params.packetY;
+        const dist2 = dxSrc * dxSrc + dySrc * dySrc;
+
+        const sigma = params.sourceSize * 2.0;
+        const amplitude = params.sourceStrength * 0.5;
+        const envelope = amplitude * Math.exp(-dist2 / (2.0 * sigma * sigma));
+        const phase = params.kx * 0.5 * dxSrc + params.ky * 0.5 * dySrc - params.sourceFrequency * time * 10.0;
+
+        return [envelope * Math.cos(phase) * 0.1, envelope * Math.sin(phase) * 0.1];
+    }
+
+    addSource(R, I, params, time) {
+        if (!params.sourceEnabled) return;
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const source = this.sourceTerm(x, y, params, time);
+                if (!source) return;
+                const idx = y * this.width + x;
+                const [wR, wI] = this.component.weight;
+                R[idx] += wR * source[0] - wI * source[1];
+                I[idx] += wR * source[1] + wI * source[0];
+            }
+        }
+    }
+
+    stepEuler(params, time) {
+        const dt = params.dt * 0.5;
+        const current = this.bufferIndex;
+        const next = 1 - current;
+
+        this.applyHamiltonian(params);
+        const R = this.psiR[current], I = this.psiI[current];
+        const nextR = this.psiR[next], nextI = this.psiI[next];
+        for (let idx = 0; idx < R.length; idx++) {
+            nextR[idx] = (R[idx] + dt * this.hI[idx]) * this.decay[idx];
+            nextI[idx] = (I[idx] - dt * this.hR[idx]) * this.decay[idx];
+        }
+        this.addSource(nextR, nextI, params, time);
+        this.swap();
+    }
+
+    stepVisscher(params, time) {
+        const dt = params.dt * 0.5;
+
+        // visscher_real
+        this.applyHamiltonian(params);
+        let current = this.bufferIndex, next = 1 - current;
+        for (let idx = 0; idx < this.potential.length; idx++) {
+            this.psiR[next][idx] = (this.psiR[current][idx] + dt * this.hI[idx]) * this.decay[idx];
+            this.psiI[next][idx] = this.psiI[current][idx];
+        }
+        this.swap();
+
+        // visscher_imag
+        this.applyHamiltonian(params);
+        current = this.bufferIndex; next = 1 - current;
+        for (let idx = 0; idx < this.potential.length; idx++) {
+            this.psiR[next][idx] = this.psiR[current][idx];
+            this.psiI[next][idx] = (this.psiI[current][idx] - dt * this.hR[idx]) * this.decay[idx];
+        }
+        this.addSource(this.psiR[next], this.psiI[next], params, time);
+        this.swap();
+    }
+
+    stepSplitOperator(params, time) {
+        const { width, height } = this;
+
+        // sweep_rows: V/2 then the x kinetic factor
+        let current = this.bufferIndex, next = 1 - current;
+        for (let y = 0; y < height; y++) {
+            this.crankNicolsonLine(params, current, next, y * width, 1, width, true, this.weightsX, 0);
+        }
+        this.swap();
+
+        // sweep_columns: the y kinetic factor then V/2, absorption and source
+        current = this.bufferIndex; next = 1 - current;
+        for (let x = 0; x < width; x++) {
+            this.crankNicolsonLine(params, current, next, x, width, height, false, this.weightsY, 2);
+        }
+
+        const halfDt = params.dt * 0.5 * 0.5;
+        const g = interaction(params);
+        const R = this.psiR[next], I = this.psiI[next];
+        for (let idx = 0; idx < R.length; idx++) {
+            const angle = -(this.potentialAt(idx, params) + g * (R[idx] * R[idx] + I[idx] * I[idx])) * halfDt;
+            const c = Math.cos(angle), s = Math.sin(angle);
+            const re = R[idx] * c - I[idx] * s;
+            const im = R[idx] * s + I[idx] * c;
+            R[idx] = re * this.decay[idx];
+            I[idx] = im * this.decay[idx];
+        }
+        this.addSource(R, I, params, time);
+        this.swap();
+    }
+
+    // crank_nicolson_line: Thomas algorithm for (1 + i dt/2 T) ψ' = (1 - i dt/2 T) ψ, with the
+    // cyclic (Sherman–Morrison) correction for periodic lines; weights from lineWeights(), and the
+    // couplings to the neighbours times the hop factors of the links at offset (hopFactor)
+    crankNicolsonLine(params, current, next, start, stride, n, phaseInput, weights, offset) {
+        const dt = params.dt * 0.5;
+        const R = this.psiR[current], I = this.psiI[current];
+        const outR = this.psiR[next], outI = this.psiI[next];
+        const scratch = this.scratch;
+        const periodic = Math.round(params.boundaryType) === BOUNDARY.PERIODIC;
+        const last = start + (n - 1) * stride;
+
+        const alpha = dt * params.waveSpeed * 0.5 / (2.0 * params.dx * params.dx);  // α = i·alpha
+        const g = interaction(params);
+        const input = (idx) => {
+            if (!phaseInput) return [R[idx], I[idx]];
+            const angle = -(this.potentialAt(idx, params) + g * (R[idx] * R[idx] + I[idx] * I[idx])) * dt * 0.5;
+            const c = Math.cos(angle), s = Math.sin(angle);
+            return [R[idx] * c - I[idx] * s, R[idx] * s + I[idx] * c];
+        };
+
+        // Line weights (l, r) of cell j with the hops to j - 1 and j + 1 (cyclically) folded in
+        const hopped = (j) => {
+            const idx = start + j * stride;
+            const prev = start + ((j + n - 1) % n) * stride;
+            const next = start + ((j + 1) % n) * stride;
+            return [
+                cmul([weights[4 * j], weights[4 * j + 1]], this.hopFactor(idx, prev, offset, false)),
+                cmul([weights[4 * j + 2], weights[4 * j + 3]], this.hopFactor(idx, next, offset, true))
+            ];
+        };
+
+        // -α·w = (alpha·w.im, -alpha·w.re), 1 + α·w = (1 - alpha·w.im, alpha·w.re)
+        const firstLeft = hopped(0)[0];
+        const lastRight = hopped(n - 1)[1];
+        const topRight = [alpha * firstLeft[1], -alpha * firstLeft[0]];
+        const bottomLeft = [alpha * lastRight[1], -alpha * lastRight[0]];
+        const gamma = [-(1 - alpha * (weights[1] + weights[3])), -alpha * (weights[0] + weights[2])];
+        const corner = cdiv(cmul(bottomLeft, topRight), gamma);
+
+        let prev = periodic ? input(last) : [0, 0];
+        let cur = input(start);
+        let cPrev = [0, 0];
+        let dPrev = [0, 0];
+        let zPrev = [0, 0];
+
+        // Forward elimination
+        for (let j = 0; j < n; j++) {
+            const idx = start + j * stride;
+            let nextValue = [0, 0];
+            if (j + 1 < n) {
+                nextValue = input(idx + stride);
+            } else if (periodic) {
+                nextValue = input(start);
+            }
+
+            const [l, r] = hopped(j);
+            const sum = [weights[4 * j] + weights[4 * j + 2], weights[4 * j + 1] + weights[4 * j + 3]];
+            const lower = [alpha * l[1], -alpha * l[0]];
+            const upper = [alpha * r[1], -alpha * r[0]];
+            const diag = [1 - alpha * sum[1], alpha * sum[0]];
+
+            // rhs = cur + α (l prev - (l + r) cur + r next), with α purely imaginary
+            const lp = cmul(l, prev), sc = cmul(sum, cur), rn = cmul(r, nextValue);
+            const lapR = lp[0] - sc[0] + rn[0];
+            const lapI = lp[1] - sc[1] + rn[1];
+            const rhs = [cur[0] - alpha * lapI, cur[1] + alpha * lapR];
+
+            let u = [0, 0];
+            if (periodic && j === 0) {
+                diag[0] -= gamma[0];
+                diag[1] -= gamma[1];
+                u = gamma;
+            }
+            if (periodic && j === n - 1) {
+                diag[0] -= corner[0];
+                diag[1] -= corner[1];
+                u = bottomLeft;
+            }
+
+            const lc = cmul(lower, cPrev), ld = cmul(lower, dPrev), lz = cmul(lower, zPrev);
+            const m = [diag[0] - lc[0], diag[1] - lc[1]];
+            const c = cdiv(upper, m);
+            const d = cdiv([rhs[0] - ld[0], rhs[1] - ld[1]], m);
+            const z = cdiv([u[0] - lz[0], u[1] - lz[1]], m);
+
+            scratch[4 * idx] = c[0];
+            scratch[4 * idx + 1] = c[1];
+            scratch[4 * idx + 2] = z[0];
+            scratch[4 * idx + 3] = z[1];
+            outR[idx] = d[0];
+            outI[idx] = d[1];
+
+            prev = cur;
+            cur = nextValue;
+            cPrev = c;
+            dPrev = d;
+            zPrev = z;
+        }
+
+        // Back substitution: x_j = d'_j - c'_j x_{j+1}, for y (in out) and z (in scratch)
+        let yNext = dPrev;
+        let zNext = zPrev;
+        for (let j = n - 2; j >= 0; j--) {
+            const idx = start + j * stride;
+            const c = [scratch[4 * idx], scratch[4 * idx + 1]];
+            const cy = cmul(c, yNext), cz = cmul(c, zNext);
+            yNext = [outR[idx] - cy[0], outI[idx] - cy[1]];
+            zNext = [scratch[4 * idx + 2] - cz[0], scratch[4 * idx + 3] - cz[1]];
+            outR[idx] = yNext[0];
+            outI[idx] = yNext[1];
+            scratch[4 * idx + 2] = zNext[0];
+            scratch[4 * idx + 3] = zNext[1];
+        }
+
+        // x = y - z (v·y) / (1 + v·z) with v = (1, 0, …, 0, topRight / γ)
+        if (periodic) {
+            const vLast = cdiv(topRight, gamma);
+            const vy = cmul(vLast, [outR[last], outI[last]]);
+            const vz = cmul(vLast, [scratch[4 * last + 2], scratch[4 * last + 3]]);
+            const factor = cdiv([yNext[0] + vy[0], yNext[1] + vy[1]], [1 + zNext[0] + vz[0], zNext[1] + vz[1]]);
+
+            for (let j = 0; j < n; j++) {
+                const idx = start + j * stride;
+                const fz = cmul(factor, [scratch[4 * idx + 2], scratch[4 * idx + 3]]);
+                outR[idx] -= fz[0];
+                outI[idx] -= fz[1];
+            }
+        }
+    }
+
+    // ========== IMAGINARY TIME (imaginary_time, getNormShader) ==========
+    // One step ψ ← ψ − dτ Hψ of every spin component (then e^{−B_x σ_x dτ}), without absorption or
+    // source, rescaled so that Σ|ψ|² over both components is `norm` again
+    imaginaryTimeStep(params, time, step, norm) {
+        this.updateBoundary(params);
+        this.updateMagnetic(params);
+        this.drive = driveState(params, time, this.width, this.height);
+
+        const start = this.bufferIndex;
+        spinComponents(params).forEach((component, i) => {
+            this.component = component;
+            this.bufferIndex = start;
+            if (i === 1) this.swapComponents();
+            this.applyHamiltonian(params);
+            const R = this.real, I = this.imag;
+            const nextR = this.psiR[1 - start], nextI = this.psiI[1 - start];
+            for (let idx = 0; idx < R.length; idx++) {
+                nextR[idx] = R[idx] - step * this.hR[idx];
+                nextI[idx] = I[idx] - step * this.hI[idx];
+            }
+            this.swap();
+            if (i === 1) this.swapComponents();
+        });
+
+        if (params.spinEnabled && params.spinTransverse !== 0) {
+            this.precessSpin(params, step);
+        }
+
+        // norm_partials / norm_total / norm_apply
+        const components = params.spinEnabled
+            ? [this.real, this.imag, this.downReal, this.downImag]
+            : [this.real, this.imag];
+        let total = 0;
+        for (const values of components) {
+            for (let idx = 0; idx < values.length; idx++) total += values[idx] * values[idx];
+        }
+        const scale = total > 0 ? Math.sqrt(norm / total) : 1;
+        for (const values of components) {
+            for (let idx = 0; idx < values.length; idx++) values[idx] *= scale;
+        }
+    }
+
+    // ========== OBSERVABLES (getObservablesShader) ==========
+    // Σ|ψ|², Σx|ψ|², Σy|ψ|², Σψ*p_xψ, Σψ*p_yψ, Σψ*Tψ, ΣV|ψ|² over all cells, summed over the spin
+    // components; the spin terms and the mean field ½g|ψ|⁴ count as potential energy, and p is the
+    // kinetic momentum p − A
+    observableSums(params) {
+        this.updateMagnetic(params);
+        const sums = new Float64Array(7);
+        spinComponents(params).forEach((component, i) => {
+            this.component = component;
+            if (i === 1) this.swapComponents();
+            this.componentSums(params).forEach((value, q) => { sums[q] += value; });
+            if (i === 1) this.swapComponents();
+        });
+
+        if (params.spinEnabled) {
+            // ⟨B_x σ_x⟩ = 2 B_x Re(ψ↑* ψ↓)
+            const uR = this.real, uI = this.imag, dR = this.downReal, dI = this.downImag;
+            for (let idx = 0; idx < uR.length; idx++) {
+                sums[6] += 2 * params.spinTransverse * (uR[idx] * dR[idx] + uI[idx] * dI[idx]);
+            }
+        }
+        return sums;
+    }
+
+    // observableSums() of the component in psiR / psiI
+    componentSums(params) {
+        const { width, height } = this;
+        const R = this.real;
+        const I = this.imag;
+        const dx = params.dx;
+        const g = interaction(params);
+        const sums = new Float64Array(7);
+        const periodic = Math.round(params.boundaryType) === BOUNDARY.PERIODIC;
+        // Neighbour at (dx, dy) hopped over the link to (x, y), so p and T are the gauge-covariant ones
+        const at = (x, y, dx, dy) => {
+            const idx = y * width + x;
+            const neighbour = this.neighbour(x, y, dx, dy, periodic);
+            if (neighbour < 0) return [0, 0];
+            return cmul(this.hopFactor(idx, neighbour, dy === 0 ? 0 : 2, dx + dy > 0), [R[neighbour], I[neighbour]]);
+        };
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = y * width + x;
+                const psi = [R[idx], I[idx]];
+                const right = at(x, y, 1, 0), left = at(x, y, -1, 0);
+                const down = at(x, y, 0, 1), up = at(x, y, 0, -1);
+                const density = psi[0] * psi[0] + psi[1] * psi[1];
+
+                const gradX = [(right[0] - left[0]) / (2 * dx), (right[1] - left[1]) / (2 * dx)];
+                const gradY = [(down[0] - up[0]) / (2 * dx), (down[1] - up[1]) / (2 * dx)];
+
+                let links = (right[0] - psi[0]) ** 2 + (right[1] - psi[1]) ** 2 +
+                            (down[0] - psi[0]) ** 2 + (down[1] - psi[1]) ** 2;
+                if (!periodic && x === 0) links += density;
+                if (!periodic && y === 0) links += density;
+
+                sums[0] += density;
+                sums[1] += density * x * dx;
+                sums[2] += density * y * dx;
+                sums[3] += psi[0] * gradX[1] - psi[1] * gradX[0];
+                sums[4] += psi[0] * gradY[1] - psi[1] * gradY[0];
+                sums[5] += params.waveSpeed * 0.5 * links / (dx * dx);
+                sums[6] += density * (this.potentialAt(idx, params) + 0.5 * g * density);
+            }
+        }
+        return sums;
+    }
+
+    // ========== DETECTORS (getDetectorShader) ==========
+    // Σ |ψ|² × weight over the sample points of every bin in geometry (layout in detectors.js), both spin components
+    detectorSums(geometry, out) {
+        const { width, height } = this;
+        const R = this.real;
+        const I = this.imag;
+        const dR = this.downReal;
+        const dI = this.downImag;
+
+        for (let bin = 0; bin < out.length; bin++) {
+            const g = geometry.subarray(bin * DETECTOR_BIN_FLOATS);
+            const samplesAlong = g[6];
+            const samplesAcross = g[7];
+            let sum = 0;
+            for (let a = 0; a < samplesAlong; a++) {
+                for (let b = 0; b < samplesAcross; b++) {
+                    const s = (a + 0.5) / samplesAlong;
+                    const t = (b + 0.5) / samplesAcross;
+                    const x = Math.floor(g[0] + s * g[2] + t * g[4]);
+                    const y = Math.floor(g[1] + s * g[3] + t * g[5]);
+                    if (x < 0 || y < 0 || x >= width || y >= height) continue;
+                    const idx = y * width + x;
+                    sum += R[idx] * R[idx] + I[idx] * I[idx] + dR[idx] * dR[idx] + dI[idx] * dI[idx];
+                }
+            }
+            out[bin] = sum * g[8];
+        }
+    }
+
+    // ========== VISUALIZATION (getVisualizationShader) ==========
+    // Writes rgba floats into out; alpha 0.5 marks pre-colored pixels as on the GPU
+    visualize(params, out) {
+        const view = params.spinEnabled ? Math.round(params.spinView) : SPIN_VIEW.UP;
+        const [R, I] = this.viewedComponent(params);
+        const ampScale = params.waveAmplitude;
+        const mode = params.displayMode;
+
+        for (let idx = 0; idx < R.length; idx++) {
+            const rRaw = R[idx];
+            const iRaw = I[idx];
+            const probDensity = rRaw * rRaw + iRaw * iRaw;
+            const o = 4 * idx;
+
+            if (view === SPIN_VIEW.SIGMA_Z) {
+                const down = this.downReal[idx] ** 2 + this.downImag[idx] ** 2;
+                const magnitude = Math.pow(Math.sqrt(probDensity + down) * ampScale * 0.05, params.gamma);
+                const color = sigmaZColor(probDensity, down, magnitude / (1.0 + magnitude));
+                out[o] = color[0];
+                out[o + 1] = color[1];
+                out[o + 2] = color[2];
+                out[o + 3] = 0.5;
+            } else if (mode > 2.5 && mode < 3.5) {
+                const re = rRaw * ampScale * 0.05;
+                const im = iRaw * ampScale * 0.05;
+                const gamma = params.gamma;
+
+                const rPos = Math.pow(Math.max(re, 0.0), gamma);
+                const rNeg = Math.pow(Math.max(-re, 0.0), gamma);
+                const iPos = Math.pow(Math.max(im, 0.0), gamma);
+                const iNeg = Math.pow(Math.max(-im, 0.0), gamma);
+
+                const glow = Math.sqrt(probDensity) * params.probScale * 0.0003;
+                const color = [
+                    rPos + iPos * 0.8 + glow,
+                    iPos * 0.8 + iNeg * 0.8 + glow,
+                    rNeg + iNeg * 0.8 + glow
+                ];
+                for (let c = 0; c < 3; c++) {
+                    out[o + c] = Math.pow(color[c] / (1.0 + color[c]), 0.9);
+                }
+                out[o + 3] = 0.5;
+            } else if (mode > 4.5 && mode < 5.5) {
+                const magnitude = Math.pow(Math.sqrt(probDensity) * ampScale * 0.05, params.gamma);
+                const color = phaseColor(Math.atan2(iRaw, rRaw), magnitude / (1.0 + magnitude));
+                out[o] = color[0];
+                out[o + 1] = color[1];
+                out[o + 2] = color[2];
+                out[o + 3] = 0.5;
+            } else {
+                let value;
+                if (mode < 0.5) {
+                    value = rRaw * ampScale;
+                } else if (mode < 1.5) {
+                    value = probDensity * params.probScale;
+                } else if (mode < 2.5) {
+                    const magnitude = Math.sqrt(probDensity);
+                    const phase = Math.atan2(iRaw, rRaw);
+                    value = magnitude * ampScale * (Math.cos(phase) + Math.sin(phase) * 0.5);
+                } else if (mode < 4.5) {
+                    value = iRaw * ampScale;
+                } else {
+                    const scaled = Math.max(probDensity * params.probScale, 1e-30);
+                    value = Math.min(Math.max(1.0 + Math.log10(scaled) / LOG_DISPLAY_DECADES, 0.0), 1.0);
+                }
+                out[o] = out[o + 1] = out[o + 2] = value;
+                out[o + 3] = 1.0;
+            }
+        }
+    }
+
+    // [re, im] of the component the display shows: spin down in its view, spin up otherwise
+    viewedComponent(params) {
+        if (params.spinEnabled && Math.round(params.spinView) === SPIN_VIEW.DOWN) {
+            return [this.downReal, this.downImag];
+        }
+        return [this.real, this.imag];
+    }
+
+    // ========== MOMENTUM SPACE (getMomentumShader) ==========
+    // |ψ(k)|² display values (one per cell, k = 0 in the middle) into out
+    momentumImage(params, out) {
+        const { width, height } = this;
+        const nx = nextPowerOfTwo(width);
+        const ny = nextPowerOfTwo(height);
+        if (this.fft?.length !== 4 * nx * ny) {
+            this.fft = new Float32Array(4 * nx * ny);
+        }
+        const count = nx * ny;
+        const re = this.fft.subarray(0, count).fill(0);
+        const im = this.fft.subarray(count, 2 * count).fill(0);
+        const [real, imag] = this.viewedComponent(params);
+        for (let y = 0; y < height; y++) {
+            re.set(real.subarray(y * width, (y + 1) * width), y * nx);
+            im.set(imag.subarray(y * width, (y + 1) * width), y * nx);
+        }
+
+        const [R, I] = fft2d(re, im, this.fft.subarray(2 * count, 3 * count), this.fft.subarray(3 * count), nx, ny);
+        let peak = 0;
+        for (let i = 0; i < count; i++) {
+            peak = Math.max(peak, R[i] * R[i] + I[i] * I[i]);
+        }
+
+        for (let y = 0; y < height; y++) {
+            const binY = Math.round(((y + 0.5) / height - 0.5) / params.momentumZoom * ny);
+            const ky = (binY + ny) % ny;
+            for (let x = 0; x < width; x++) {
+                const binX = Math.round(((x + 0.5) / width - 0.5) / params.momentumZoom * nx);
+                const k = ky * nx + (binX + nx) % nx;
+                const relative = (R[k] * R[k] + I[k] * I[k]) / Math.max(peak, 1e-30);
+                out[y * width + x] = params.momentumLog
+                    ? Math.min(Math.max(1.0 + Math.log10(Math.max(relative, 1e-30)) / LOG_DISPLAY_DECADES, 0.0), 1.0)
+                    : relative;
+            }
+        }
+    }
+
+    // ========== RENDER (getRenderShader) ==========
+    // wave: output of visualize(); background: rgba bytes; out: rgba bytes; momentum: output of momentumImage()
+    render(wave, background, params, out, momentum) {
+        const mode = params.blendMode;
+        const alpha = params.mixRatio;
+        const signed = isSignedDisplayMode(params.displayMode);
+        const momentumView = Math.round(params.momentumView);
+        const { width, height } = this;
+
+        // momentum_color(): nearest cell of the momentum image at uv
+        const momentumColor = (u, v) => {
+            const cell = Math.min(Math.floor(v * height), height - 1) * width + Math.min(Math.floor(u * width), width - 1);
+            return colormapColor(params.colormap, colormapPosition(momentum[cell], params.colormap, false));
+        };
+
+        for (let idx = 0; idx < width * height; idx++) {
+            const o = 4 * idx;
+            const u = (idx % width + 0.5) / width;
+            const v = (Math.floor(idx / width) + 0.5) / height;
+
+            let momentumPixel = null;
+            if (momentumView === 2) {
+                momentumPixel = momentumColor(u, v);
+            } else if (momentumView === 1) {
+                const localU = (u - (1.0 - MOMENTUM_INSET_MARGIN - MOMENTUM_INSET_SIZE)) / MOMENTUM_INSET_SIZE;
+                const localV = (v - (1.0 - MOMENTUM_INSET_MARGIN - MOMENTUM_INSET_SIZE)) / MOMENTUM_INSET_SIZE;
+                const inside = (t) => t >= 0.0 && t <= 1.0;
+                const framed = (t) => t >= -MOMENTUM_INSET_BORDER && t <= 1.0 + MOMENTUM_INSET_BORDER;
+                if (framed(localU) && framed(localV)) {
+                    momentumPixel = inside(localU) && inside(localV) ? momentumColor(localU, localV) : [0.31, 0.76, 0.97];
+                }
+            }
+            if (momentumPixel) {
+                for (let c = 0; c < 3; c++) out[o + c] = momentumPixel[c] * 255;
+                out[o + 3] = 255;
+                continue;
+            }
+
+            let waveColor;
+            if (wave[o + 3] < 0.75) {
+                waveColor = [wave[o], wave[o + 1], wave[o + 2]];
+            } else {
+                waveColor = colormapColor(params.colormap, colormapPosition(wave[o], params.colormap, signed));
+            }
+
+            for (let c = 0; c < 3; c++) {
+                const webcam = background[o + c] / 255;
+                const w = waveColor[c];
+                let value;
+                if (mode < 0.5) {
+                    value = w * (1.0 - alpha) + webcam * alpha;
+                } else if (mode < 1.5) {
+                    value = webcam + w * (1.0 - alpha);
+                } else if (mode < 2.5) {
+                    value = webcam - w * (1.0 - alpha);
+                } else if (mode < 3.5) {
+                    value = webcam + (webcam * w - webcam) * (1.0 - alpha);
+                } else {
+                    const screen = 1.0 - (1.0 - webcam) * (1.0 - w);
+                    value = webcam + (screen - webcam) * (1.0 - alpha);
+                }
+                out[o + c] = value * 255;
+            }
+            out[o + 3] = 255;
+        }
+    }
+}
+
+// Complex helpers on [re, im] pairs, like cmul / cdiv in the WGSL
+function cmul(a, b) {
+    return [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]];
+}
+
+function cdiv(a, b) {
+    const norm = b[0] * b[0] + b[1] * b[1];
+    return [(a[0] * b[0] + a[1] * b[1]) / norm, (a[1] * b[0] - a[0] * b[1]) / norm];
+}
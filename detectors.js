@@ -0,0 +1,124 @@
+// Detector screens: line or rectangle regions of the grid split into bins, each bin integrating
+// |ψ|² over its area. A line detector is one cell thick; a rectangle is binned along its longer side.
+// Bins are parallelograms origin + s·along + t·across (s, t ∈ [0, 1]) sampled on a regular
+// samplesAlong × samplesAcross pattern, the layout read by getDetectorShader() in app.js.
+
+// Floats per bin: origin (2), along (2), across (2), samples along/across (2), weight, padding (3)
+export const DETECTOR_BIN_FLOATS = 12;
+
+// Events kept per detector for drawing single-particle hits
+const MAX_EVENTS = 20000;
+
+export function createDetector(shape, start, end, bins) {
+    return {
+        shape,                  // 'line' | 'rect'
+        start: { ...start },    // grid coordinates
+        end: { ...end },
+        bins,
+        integrated: new Float64Array(bins),     // ∫ |ψ|² dA dt per bin
+        counts: new Uint32Array(bins),          // single-particle detections per bin
+        events: []                              // detection positions, [x, y] in grid coordinates
+    };
+}
+
+export function resetDetector(detector) {
+    detector.integrated.fill(0);
+    detector.counts.fill(0);
+    detector.events = [];
+}
+
+// Bin parallelograms of a detector, DETECTOR_BIN_FLOATS per bin
+export function detectorGeometry(detector) {
+    const { shape, start, end, bins } = detector;
+    const geometry = new Float32Array(bins * DETECTOR_BIN_FLOATS);
+
+    let origin, along, across;
+    if (shape === 'line') {
+        origin = [start.x, start.y];
+        along = [(end.x - start.x) / bins, (end.y - start.y) / bins];
+        across = [0, 0];
+    } else {
+        const x0 = Math.min(start.x, end.x), y0 = Math.min(start.y, end.y);
+        const width = Math.abs(end.x - start.x), height = Math.abs(end.y - start.y);
+        origin = [x0, y0];
+        along = width >= height ? [width / bins, 0] : [0, height / bins];
+        across = width >= height ? [0, height] : [width, 0];
+    }
+
+    const alongLength = Math.hypot(...along);
+    const acrossLength = Math.hypot(...across);
+    const samplesAlong = Math.max(1, Math.ceil(alongLength));
+    const samplesAcross = Math.max(1, Math.ceil(acrossLength));
+    // Cell area per sample; a line is one cell thick
+    const weight = alongLength / samplesAlong * (shape === 'line' ? 1 : acrossLength / samplesAcross);
+
+    for (let bin = 0; bin < bins; bin++) {
+        geometry.set([
+            origin[0] + along[0] * bin, origin[1] + along[1] * bin,
+            along[0], along[1], across[0], across[1],
+            samplesAlong, samplesAcross, weight
+        ], bin * DETECTOR_BIN_FLOATS);
+    }
+    return geometry;
+}
+
+// Centre of a bin in grid coordinates, and its distance from the start of the detector along the bins
+export function binCenter(geometry, bin) {
+    const g = geometry.subarray(bin * DETECTOR_BIN_FLOATS);
+    const x = g[0] + 0.5 * (g[2] + g[4]);
+    const y = g[1] + 0.5 * (g[3] + g[5]);
+    return { x, y, position: (bin + 0.5) * Math.hypot(g[2], g[3]) };
+}
+
+// Knuth's method; means above 30 use a rounded normal approximation
+export function samplePoisson(mean) {
+    if (mean > 30) {
+        const normal = Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+        return Math.max(0, Math.round(mean + Math.sqrt(mean) * normal));
+    }
+    const limit = Math.exp(-mean);
+    let count = 0;
+    for (let product = Math.random(); product > limit; product *= Math.random()) count++;
+    return count;
+}
+
+// Draws `clicks` detection events from the bin values (∝ |ψ|²) and records them in the detector;
+// geometry is detectorGeometry(detector)
+export function recordDetections(detector, geometry, values, clicks) {
+    const total = values.reduce((sum, value) => sum + value, 0);
+    if (!(total > 0)) return;
+
+    for (let click = 0; click < clicks; click++) {
+        let target = Math.random() * total;
+        let bin = 0;
+        while (bin < values.length - 1 && target >= values[bin]) {
+            target -= values[bin];
+            bin++;
+        }
+
+        const g = geometry.subarray(bin * DETECTOR_BIN_FLOATS);
+        const s = Math.random();
+        const t = Math.random();
+        detector.counts[bin]++;
+        if (detector.events.length < MAX_EVENTS) {
+            detector.events.push([g[0] + s * g[2] + t * g[4], g[1] + s * g[3] + t * g[5]]);
+        }
+    }
+}
+
+// One row per bin of every detector, positions in grid cells
+export function detectorsToCsv(detectors) {
+    const rows = ['detector,shape,bin,x,y,position,integrated_probability,counts'];
+    detectors.forEach((detector, index) => {
+        const geometry = detectorGeometry(detector);
+        for (let bin = 0; bin < detector.bins; bin++) {
+            const { x, y, position } = binCenter(geometry, bin);
+            rows.push([
+                index + 1, detector.shape, bin,
+                x.toFixed(2), y.toFixed(2), position.toFixed(2),
+                detector.integrated[bin].toPrecision(6), detector.counts[bin]
+            ].join(','));
+        }
+    });
+    return rows.join('\n') + '\n';
+}
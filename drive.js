@@ -0,0 +1,77 @@
+// Time-dependent drive: analytic terms added to V on top of the potential buffer, evaluated every step
+// from the simulation time. A uniform field, a moving or oscillating barrier and a switched well;
+// drive_potential() in getDriveHelpers() (app.js) is the same formula in WGSL.
+
+// params.fieldEnvelope: E(t) = strength·cos(ωt), or a Gaussian pulse exp(−(t − t0)²/2τ²)·cos(ω(t − t0))
+export const FIELD_ENVELOPE = { OFF: 0, SINE: 1, PULSE: 2 };
+
+// params.barrierMotion: x(t) = x0 + A sin(ωt), or x0 + v t wrapping around the grid
+export const BARRIER_MOTION = { OFF: 0, OSCILLATE: 1, MOVE: 2 };
+
+// Field strength as a function of time
+export function fieldAmplitude(params, time) {
+    const envelope = Math.round(params.fieldEnvelope);
+    if (envelope === FIELD_ENVELOPE.SINE) {
+        return params.fieldStrength * Math.cos(params.fieldFrequency * time);
+    }
+    if (envelope === FIELD_ENVELOPE.PULSE) {
+        const t = time - params.pulseCenter;
+        return params.fieldStrength * Math.exp(-t * t / (2 * params.pulseWidth * params.pulseWidth)) *
+            Math.cos(params.fieldFrequency * t);
+    }
+    return 0;
+}
+
+// Centre of the barrier in cells
+export function barrierPosition(params, time, width) {
+    const x0 = params.barrierX * width;
+    if (Math.round(params.barrierMotion) === BARRIER_MOTION.OSCILLATE) {
+        return x0 + params.barrierAmplitude * width * Math.sin(params.barrierFrequency * time);
+    }
+    return x0 + params.barrierSpeed * time;
+}
+
+// Whether the switched well is on: the first `wellDuty` of every period
+export function wellActive(params, time) {
+    const phase = time / params.wellPeriod;
+    return params.wellSwitching && phase - Math.floor(phase) < params.wellDuty;
+}
+
+// Per-step constants of drivePotential(), or null when no drive is on
+export function driveState(params, time, width, height) {
+    const field = fieldAmplitude(params, time);
+    const barrier = Math.round(params.barrierMotion) !== BARRIER_MOTION.OFF;
+    const well = wellActive(params, time);
+    if (field === 0 && !barrier && !well) return null;
+
+    return {
+        width,
+        height,
+        // V = E(t)·(r − centre)·ê, with E the potential drop across the grid width
+        fieldX: field * Math.cos(params.fieldAngle * Math.PI / 180) / width,
+        fieldY: field * Math.sin(params.fieldAngle * Math.PI / 180) / width,
+        barrierHeight: barrier ? params.barrierStrength : 0,
+        barrierX: barrierPosition(params, time, width),
+        barrierWidth: params.barrierWidth,
+        wellDepth: well ? params.wellDepth : 0,
+        wellX: params.wellX * width,
+        wellY: params.wellY * height,
+        wellSigma: params.wellSigma
+    };
+}
+
+// Drive potential at cell (x, y); state from driveState()
+export function drivePotential(state, x, y) {
+    const { width, height } = state;
+    let V = state.fieldX * (x - width / 2) + state.fieldY * (y - height / 2);
+
+    // Gaussian wall across the grid, with the distance taken around the grid so a moving wall wraps
+    let d = x - state.barrierX;
+    d -= width * Math.round(d / width);
+    V += state.barrierHeight * Math.exp(-d * d / (2 * state.barrierWidth * state.barrierWidth));
+
+    const rx = x - state.wellX;
+    const ry = y - state.wellY;
+    V -= state.wellDepth * Math.exp(-(rx * rx + ry * ry) / (2 * state.wellSigma * state.wellSigma));
+    return V;
+}
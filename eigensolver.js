@@ -0,0 +1,278 @@
+// Lowest bound states of H = −kinetic ∇² + V for the eigenstate panel, on a copy of the potential.
+// A block of trial states is propagated in imaginary time, ψ → e^{−τH} ψ, which damps every state
+// relative to the lowest ones; the propagator is replaced by a Chebyshev polynomial in H, which
+// suppresses the high-energy part of the spectrum far faster than the same number of small Euler steps.
+// After each sweep the block is orthonormalized (Gram–Schmidt) and rotated to the eigenvectors of H
+// inside the block (Rayleigh–Ritz), which gives the energies and tells when the states have converged.
+// H is real and symmetric (ψ = 0 outside the grid, or periodic), so the states are real.
+
+export const MAX_EIGENSTATES = 12;
+
+// Larger grids are block-averaged down to about this many cells before solving
+const MAX_SOLVER_CELLS = 16384;
+
+// Extra states carried in the block; the highest ones converge slowest and are not reported
+const GUARD_STATES = 4;
+
+// Order of the Chebyshev filter, i.e. H applications per state and sweep
+const FILTER_DEGREE = 40;
+
+const MAX_SWEEPS = 400;
+
+// Residual |Hψ − Eψ| at which a state counts as converged, relative to the width of the spectrum
+const TOLERANCE = 1e-6;
+
+// Cells of the full grid averaged into one solver cell along each axis
+export function solverGridFactor(width, height) {
+    return Math.max(1, Math.ceil(Math.sqrt(width * height / MAX_SOLVER_CELLS)));
+}
+
+// Problem description for solveEigenstates(): V (already amplitude × (raw − offset)) averaged onto the
+// solver grid, whose cells are `factor` full cells wide; dx is the full-grid cell size
+export function createEigenProblem(potential, width, height, { dx, kinetic, periodic }) {
+    const factor = solverGridFactor(width, height);
+    const solverWidth = Math.ceil(width / factor);
+    const solverHeight = Math.ceil(height / factor);
+
+    const coarse = new Float64Array(solverWidth * solverHeight);
+    const cells = new Float64Array(solverWidth * solverHeight);
+    for (let y = 0; y < height; y++) {
+        const row = Math.floor(y * solverHeight / height) * solverWidth;
+        for (let x = 0; x < width; x++) {
+            const idx = row + Math.floor(x * solverWidth / width);
+            coarse[idx] += potential[y * width + x];
+            cells[idx]++;
+        }
+    }
+    for (let idx = 0; idx < coarse.length; idx++) coarse[idx] /= cells[idx];
+
+    // Solver cells are stretched slightly when the factor does not divide the grid
+    const spacingX = dx * width / solverWidth;
+    const spacingY = dx * height / solverHeight;
+    return {
+        width: solverWidth,
+        height: solverHeight,
+        potential: coarse,
+        hoppingX: kinetic / (spacingX * spacingX),
+        hoppingY: kinetic / (spacingY * spacingY),
+        periodic
+    };
+}
+
+// out = Hψ on the solver grid
+function applyHamiltonian(problem, psi, out) {
+    const { width, height, potential, hoppingX, hoppingY, periodic } = problem;
+    const diagonal = 2 * (hoppingX + hoppingY);
+
+    for (let y = 0; y < height; y++) {
+        const up = y > 0 ? y - 1 : (periodic ? height - 1 : -1);
+        const down = y < height - 1 ? y + 1 : (periodic ? 0 : -1);
+        for (let x = 0; x < width; x++) {
+            const left = x > 0 ? x - 1 : (periodic ? width - 1 : -1);
+            const right = x < width - 1 ? x + 1 : (periodic ? 0 : -1);
+            const idx = y * width + x;
+
+            const sideways = (left >= 0 ? psi[y * width + left] : 0) + (right >= 0 ? psi[y * width + right] : 0);
+            const vertical = (up >= 0 ? psi[up * width + x] : 0) + (down >= 0 ? psi[down * width + x] : 0);
+            out[idx] = (diagonal + potential[idx]) * psi[idx] - hoppingX * sideways - hoppingY * vertical;
+        }
+    }
+}
+
+// Bounds of the spectrum from Gershgorin's theorem
+function spectrumBounds(problem) {
+    let lower = Infinity;
+    let upper = -Infinity;
+    for (const v of problem.potential) {
+        lower = Math.min(lower, v);
+        upper = Math.max(upper, v);
+    }
+    return { lower, upper: upper + 4 * (problem.hoppingX + problem.hoppingY) };
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+// Modified Gram–Schmidt, twice for the nearly parallel vectors the filter produces.
+// A vector that vanishes against the ones before it is replaced by noise and orthogonalized again.
+function orthonormalize(block) {
+    for (let j = 0; j < block.length; j++) {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            for (let pass = 0; pass < 2; pass++) {
+                for (let i = 0; i < j; i++) {
+                    const overlap = dot(block[i], block[j]);
+                    for (let c = 0; c < block[j].length; c++) block[j][c] -= overlap * block[i][c];
+                }
+            }
+            const norm = Math.sqrt(dot(block[j], block[j]));
+            if (norm > 1e-10) {
+                for (let c = 0; c < block[j].length; c++) block[j][c] /= norm;
+                break;
+            }
+            for (let c = 0; c < block[j].length; c++) block[j][c] = Math.random() - 0.5;
+        }
+    }
+}
+
+// Eigenvalues (ascending) and eigenvectors (columns of vectors, row-major n × n) of a symmetric
+// n × n matrix by cyclic Jacobi rotations; the matrix is overwritten
+function symmetricEigen(matrix, n) {
+    const vectors = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) vectors[i * n + i] = 1;
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        let offDiagonal = 0;
+        let diagonal = 0;
+        for (let p = 0; p < n; p++) {
+            diagonal += matrix[p * n + p] ** 2;
+            for (let q = p + 1; q < n; q++) offDiagonal += matrix[p * n + q] ** 2;
+        }
+        if (offDiagonal <= 1e-30 * diagonal) break;
+
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                const apq = matrix[p * n + q];
+                if (Math.abs(apq) < 1e-300) continue;
+                const theta = (matrix[q * n + q] - matrix[p * n + p]) / (2 * apq);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < n; k++) {
+                    const akp = matrix[k * n + p], akq = matrix[k * n + q];
+                    matrix[k * n + p] = c * akp - s * akq;
+                    matrix[k * n + q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = matrix[p * n + k], aqk = matrix[q * n + k];
+                    matrix[p * n + k] = c * apk - s * aqk;
+                    matrix[q * n + k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = vectors[k * n + p], vkq = vectors[k * n + q];
+                    vectors[k * n + p] = c * vkp - s * vkq;
+                    vectors[k * n + q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    const order = [...Array(n).keys()].sort((a, b) => matrix[a * n + a] - matrix[b * n + b]);
+    return {
+        values: order.map(i => matrix[i * n + i]),
+        vectors: order.map(i => Float64Array.from({ length: n }, (_, k) => vectors[k * n + i]))
+    };
+}
+
+// Rotates the orthonormal block to the eigenvectors of H within it; returns the energies and residuals
+function rayleighRitz(problem, block) {
+    const n = block.length;
+    const size = block[0].length;
+    const applied = block.map(psi => {
+        const out = new Float64Array(size);
+        applyHamiltonian(problem, psi, out);
+        return out;
+    });
+
+    const matrix = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+        for (let j = i; j < n; j++) {
+            matrix[i * n + j] = matrix[j * n + i] = dot(block[i], applied[j]);
+        }
+    }
+    const { values, vectors } = symmetricEigen(matrix, n);
+
+    const combine = (source, weights) => {
+        const out = new Float64Array(size);
+        weights.forEach((w, i) => {
+            for (let c = 0; c < size; c++) out[c] += w * source[i][c];
+        });
+        return out;
+    };
+    const rotated = vectors.map(weights => combine(block, weights));
+    const residuals = vectors.map((weights, i) => {
+        const h = combine(applied, weights);
+        for (let c = 0; c < size; c++) h[c] -= values[i] * rotated[i][c];
+        return Math.sqrt(dot(h, h));
+    });
+
+    rotated.forEach((psi, i) => block[i].set(psi));
+    return { energies: values, residuals };
+}
+
+// Scaled Chebyshev filter of one state: damps the components with energies in [cutoff, upper]
+// relative to those below, normalized so that a component at `lowest` keeps roughly its size
+function chebyshevFilter(problem, psi, cutoff, upper, lowest) {
+    const size = psi.length;
+    const halfWidth = (upper - cutoff) / 2;
+    const centre = (upper + cutoff) / 2;
+    let sigma = halfWidth / (lowest - centre);
+    const tau = 2 / sigma;
+
+    let previous = psi.slice();
+    let current = new Float64Array(size);
+    let next = new Float64Array(size);
+    const applied = new Float64Array(size);
+
+    applyHamiltonian(problem, previous, applied);
+    for (let c = 0; c < size; c++) current[c] = (applied[c] - centre * previous[c]) * sigma / halfWidth;
+
+    for (let degree = 2; degree <= FILTER_DEGREE; degree++) {
+        const sigmaNext = 1 / (tau - sigma);
+        applyHamiltonian(problem, current, applied);
+        for (let c = 0; c < size; c++) {
+            next[c] = 2 * sigmaNext / halfWidth * (applied[c] - centre * current[c]) - sigma * sigmaNext * previous[c];
+        }
+        [previous, current, next] = [current, next, previous];
+        sigma = sigmaNext;
+    }
+    psi.set(current);
+}
+
+// The `count` lowest eigenstates of the problem (createEigenProblem), normalized to Σψ² = 1 on the solver
+// grid. Runs in slices that yield to the page; onProgress({ sweep, converged, energies }) follows each sweep
+// and the solve stops early, returning what it has, once isCancelled() is true.
+export async function solveEigenstates(problem, count, { onProgress = () => {}, isCancelled = () => false } = {}) {
+    const size = problem.width * problem.height;
+    const blockSize = Math.min(count + GUARD_STATES, size);
+    count = Math.min(count, blockSize);
+
+    const block = Array.from({ length: blockSize }, () => Float64Array.from({ length: size }, () => Math.random() - 0.5));
+    orthonormalize(block);
+    let { energies, residuals } = rayleighRitz(problem, block);
+
+    const { lower, upper } = spectrumBounds(problem);
+    const tolerance = TOLERANCE * (upper - lower);
+    // States converge from the bottom up; the leading run of small residuals
+    const convergedStates = () => {
+        const first = residuals.slice(0, count).findIndex(r => r > tolerance);
+        return first < 0 ? count : first;
+    };
+    let sweep = 0;
+
+    while (convergedStates() < count && sweep < MAX_SWEEPS && !isCancelled()) {
+        // Everything above the highest state of the block is damped
+        const cutoff = energies[blockSize - 1];
+        const lowest = Math.min(energies[0], cutoff - 1e-9 * (upper - lower));
+        for (const psi of block) {
+            chebyshevFilter(problem, psi, cutoff, upper, lowest);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (isCancelled()) break;
+        }
+
+        orthonormalize(block);
+        ({ energies, residuals } = rayleighRitz(problem, block));
+        sweep++;
+        onProgress({ sweep, converged: convergedStates(), energies: energies.slice(0, count) });
+    }
+
+    return {
+        energies: energies.slice(0, count),
+        states: block.slice(0, count).map(psi => Float32Array.from(psi)),
+        converged: convergedStates() === count,
+        sweeps: sweep
+    };
+}
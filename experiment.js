@@ -0,0 +1,164 @@
+// JSON experiment scripts for the scripting API (api.js): set up a scene, sweep one parameter and record
+// observables after a fixed number of steps for every value, each run starting from a fresh ψ at t = 0.
+//
+//   {
+//     "source": "preset",                                         // potential source, optional
+//     "params": { "presetType": "barrier", "ky": -1 },            // applied once before the sweep, optional
+//     "sweep": { "param": "barrierHeight", "from": 0, "to": 0.6, "count": 7 },   // or "values": [...]
+//     "steps": 3000,                                              // simulation steps per value
+//     "record": ["energy", { "name": "transmitted", "region": [0, 0, 1, 0.5] }]
+//   }
+//
+// A record is an observable of the panel (RECORDABLE_OBSERVABLES) or the share of Σ|ψ|² inside a
+// region [x0, y0, x1, y1], given in fractions of the grid. Each names its CSV column (regions default to
+// "region x0 y0 x1 y1"), so the names must differ and leave out commas and quotes.
+
+export const RECORDABLE_OBSERVABLES = ['norm', 'x', 'y', 'px', 'py', 'kinetic', 'potential', 'energy'];
+
+// A script the user starts from in the experiment panel: transmission through the preset barrier
+export const EXAMPLE_EXPERIMENT = {
+    source: 'preset',
+    params: {
+        presetType: 'barrier', barrierPosition: 0.5, sourceEnabled: false, integrator: 2, dt: 0.1, dx: 1,
+        packetX: 0.5, packetY: 0.8, sigma: 20, kx: 0, ky: -1
+    },
+    sweep: { param: 'barrierHeight', from: 0, to: 0.6, count: 7 },
+    steps: 3000,
+    record: [{ name: 'transmitted', region: [0, 0, 1, 0.5] }, 'energy']
+};
+
+// Checks a script (object or JSON text) against the parameter names in params and fills in the
+// defaults; throws an Error that names the problem
+export function parseExperiment(script, params) {
+    const experiment = typeof script === 'string' ? JSON.parse(script) : script;
+    const { sweep, steps = 1000, record = ['energy'] } = experiment;
+
+    if (!sweep || !(sweep.param in params)) {
+        throw new Error(`"sweep.param" must name a parameter, got ${JSON.stringify(sweep?.param)}`);
+    }
+    // Values of the parameter's own type: finite numbers, or strings / booleans for the few such params
+    const type = typeof params[sweep.param];
+    let values = sweep.values;
+    if (values === undefined) {
+        const { from, to, count } = sweep;
+        if (type !== 'number') {
+            throw new Error(`"${sweep.param}" is not numeric, so "sweep" needs a list of "values"`);
+        }
+        if (![from, to, count].every(Number.isFinite) || count < 1) {
+            throw new Error('"sweep" needs "values", or numbers "from", "to" and "count"');
+        }
+        values = Array.from({ length: count }, (_, i) => (count === 1 ? from : from + (to - from) * i / (count - 1)));
+    }
+    if (!Array.isArray(values) || values.length === 0) {
+        throw new Error('"sweep.values" must be a non-empty array');
+    }
+    const invalid = values.find(value => typeof value !== type || (type === 'number' && !Number.isFinite(value)));
+    if (invalid !== undefined) {
+        throw new Error(`"sweep.values" must all be ${type === 'number' ? 'finite numbers' : `${type}s`} like "${sweep.param}", got ${typeof invalid === 'number' ? invalid : JSON.stringify(invalid)}`);
+    }
+    if (!Number.isInteger(steps) || steps < 0) {
+        throw new Error(`"steps" must be a whole number, got ${JSON.stringify(steps)}`);
+    }
+    if (experiment.params !== undefined && (typeof experiment.params !== 'object' || Array.isArray(experiment.params))) {
+        throw new Error('"params" must be an object of parameter values');
+    }
+
+    if (!Array.isArray(record)) {
+        throw new Error('"record" must be a list of observables and regions');
+    }
+    const records = record.map((entry) => {
+        if (RECORDABLE_OBSERVABLES.includes(entry)) {
+            return { name: entry, observable: entry };
+        }
+        const region = entry?.region;
+        if (Array.isArray(region) && region.length === 4 && region.every(Number.isFinite)) {
+            return { name: String(entry.name ?? `region ${region.join(' ')}`), region };
+        }
+        throw new Error(`Cannot record ${JSON.stringify(entry)}: use one of ${RECORDABLE_OBSERVABLES.join(', ')} or { "region": [x0, y0, x1, y1] }`);
+    });
+
+    // Names become the row keys and CSV columns next to "value" and the swept parameter
+    const names = new Set(['value', sweep.param]);
+    for (const { name } of records) {
+        if (names.has(name)) {
+            throw new Error(`Record name "${name}" is used twice or reserved ("value" and "${sweep.param}" are taken)`);
+        }
+        if (/[",\r\n]/.test(name)) {
+            throw new Error(`Record name ${JSON.stringify(name)} must not contain commas, quotes or line breaks`);
+        }
+        names.add(name);
+    }
+
+    return {
+        source: experiment.source ?? null,
+        params: experiment.params ?? {},
+        param: sweep.param,
+        values,
+        steps,
+        records
+    };
+}
+
+// Share of Σ|ψ|² (both spin components) inside [x0, y0, x1, y1] in fractions of the grid; fields from readFields()
+export function regionProbability(fields, width, height, [x0, y0, x1, y1]) {
+    const { psiR, psiI, downR, downI } = fields;
+    const density = (i) => psiR[i] * psiR[i] + psiI[i] * psiI[i] + (downR ? downR[i] * downR[i] + downI[i] * downI[i] : 0);
+
+    let inside = 0;
+    let total = 0;
+    for (let y = 0; y < height; y++) {
+        const v = (y + 0.5) / height;
+        for (let x = 0; x < width; x++) {
+            const u = (x + 0.5) / width;
+            const d = density(y * width + x);
+            total += d;
+            if (u >= x0 && u < x1 && v >= y0 && v < y1) inside += d;
+        }
+    }
+    return total > 0 ? inside / total : 0;
+}
+
+// Runs a script through the scripting API. For every sweep value the parameter is set, ψ restarts from
+// the packet settings, `steps` steps run and the records are taken. Resolves with
+// { param, rows: [{ value, <record name>: number, … }] }; onProgress(row, index) follows every value and
+// the sweep ends early, with the rows so far, once isCancelled() is true.
+export async function runExperiment(api, script, { onProgress = () => {}, isCancelled = () => false } = {}) {
+    const experiment = parseExperiment(script, api.params);
+    api.setParams(experiment.params);
+    if (experiment.source) api.setPotentialSource(experiment.source);
+
+    const observables = experiment.records.some(record => record.observable);
+    const regions = experiment.records.some(record => record.region);
+    const rows = [];
+
+    for (const [index, value] of experiment.values.entries()) {
+        if (isCancelled()) break;
+        api.setParams({ [experiment.param]: value });
+        api.resetWavefunction();
+        await api.run(experiment.steps);
+
+        const measured = observables ? await api.readObservables() : null;
+        const fields = regions ? await api.readFields() : null;
+        const { width, height } = api.params;
+        const row = { value };
+        for (const record of experiment.records) {
+            row[record.name] = record.observable
+                ? measured[record.observable]
+                : regionProbability(fields, width, height, record.region);
+        }
+        rows.push(row);
+        onProgress(row, index);
+    }
+    return { param: experiment.param, rows };
+}
+
+// One line per sweep value: the parameter, then every record
+export function experimentToCsv({ param, rows }) {
+    const columns = rows.length > 0 ? Object.keys(rows[0]).filter(key => key !== 'value') : [];
+    const quote = (text) => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+    const lines = [[param, ...columns].map(quote).join(',')];
+    for (const row of rows) {
+        lines.push([row.value, ...columns.map(column => row[column])].join(','));
+    }
+    return lines.join('\n') + '\n';
+}
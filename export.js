@@ -0,0 +1,143 @@
+// Scientific data export: fields of the grid as NumPy .npy / .npz, CSV or 16-bit greyscale PNG,
+// each with a JSON sidecar of the parameters. Arrays are row-major [height][width] float32,
+// so row y, column x is cell (x, y) at position (x·dx, y·dx).
+
+import { crc32, createZip } from './zip.js';
+
+// params.exportFormat
+export const EXPORT_FORMATS = {
+    npz: { extension: '.npz', type: 'application/zip' },
+    npy: { extension: '.npy', type: 'application/octet-stream' },
+    csv: { extension: '.csv', type: 'text/csv' },
+    png: { extension: '.png', type: 'image/png' }
+};
+
+// params.exportField: what exportFields() calls them, for the single-field formats
+export const EXPORT_FIELDS = ['density', 'psi_real', 'psi_imag', 'potential'];
+
+// Grid-sized fields from readFields() as { name: Float32Array }: ψ, |ψ|² and V = amplitude·(V_raw − offset)
+// (without the drive terms), plus spin down in spin mode, where density is |ψ↑|² + |ψ↓|²
+export function exportFields(fields, params) {
+    const { psiR, psiI, downR, downI, potential } = fields;
+    const density = new Float32Array(psiR.length);
+    for (let i = 0; i < density.length; i++) {
+        density[i] = psiR[i] * psiR[i] + psiI[i] * psiI[i] + (downR ? downR[i] * downR[i] + downI[i] * downI[i] : 0);
+    }
+    return {
+        density,
+        psi_real: psiR,
+        psi_imag: psiI,
+        ...(downR && { psi_down_real: downR, psi_down_imag: downI }),
+        potential: potential.map(raw => params.potentialAmplitude * (raw - params.potentialOffset))
+    };
+}
+
+// .npy version 1.0: magic, header dict padded to a multiple of 64 bytes, then the little-endian data
+export function encodeNpy(data, width, height) {
+    const dict = `{'descr': '<f4', 'fortran_order': False, 'shape': (${height}, ${width}), }`;
+    const headerLength = Math.ceil((10 + dict.length + 1) / 64) * 64 - 10;
+    const bytes = new Uint8Array(10 + headerLength + data.length * 4);
+    const view = new DataView(bytes.buffer);
+
+    bytes.set([0x93, ...new TextEncoder().encode('NUMPY'), 1, 0]);
+    view.setUint16(8, headerLength, true);
+    bytes.set(new TextEncoder().encode(dict.padEnd(headerLength - 1) + '\n'), 10);
+    for (let i = 0; i < data.length; i++) {
+        view.setFloat32(10 + headerLength + 4 * i, data[i], true);
+    }
+    return bytes;
+}
+
+// All fields in one uncompressed .npz, which np.load() opens like a dict of arrays
+export function encodeNpz(fields, width, height) {
+    return createZip(Object.entries(fields).map(([name, data]) => ({ name: `${name}.npy`, data: encodeNpy(data, width, height) })));
+}
+
+// One line per grid row, seven significant digits
+export function encodeCsv(data, width, height) {
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+        const row = data.subarray(y * width, (y + 1) * width);
+        rows.push(Array.from(row, value => String(Number(value.toPrecision(7)))).join(','));
+    }
+    return rows.join('\n') + '\n';
+}
+
+// 16-bit greyscale PNG of the field mapped linearly from [min, max] to [0, 65535]; the sidecar
+// records min and max, so value = min + (max − min)·pixel/65535
+export async function encodePng16(data, width, height) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const value of data) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    }
+    const range = max > min ? max - min : 1;
+
+    // Scanlines with filter type 0 (none), big-endian samples
+    const raw = new Uint8Array(height * (1 + 2 * width));
+    const rawView = new DataView(raw.buffer);
+    for (let y = 0; y < height; y++) {
+        const row = y * (1 + 2 * width);
+        for (let x = 0; x < width; x++) {
+            rawView.setUint16(row + 1 + 2 * x, Math.round((data[y * width + x] - min) / range * 65535));
+        }
+    }
+
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header.set([16, 0, 0, 0, 0], 8);    // bit depth, greyscale, deflate, adaptive filtering, no interlace
+
+    const png = new Blob([
+        new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', await zlibCompress(raw)),
+        pngChunk('IEND', new Uint8Array(0))
+    ], { type: EXPORT_FORMATS.png.type });
+    return { blob: png, min, max };
+}
+
+// Length, type, data and CRC of type + data
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(new TextEncoder().encode(type), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+// zlib stream of the bytes: CompressionStream where the browser has it, else stored (uncompressed) blocks
+async function zlibCompress(bytes) {
+    if (typeof CompressionStream !== 'undefined') {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    const blocks = Math.max(1, Math.ceil(bytes.length / 65535));
+    const out = new Uint8Array(2 + 5 * blocks + bytes.length + 4);
+    const view = new DataView(out.buffer);
+    out.set([0x78, 0x01]);
+    let offset = 2;
+    for (let block = 0; block < blocks; block++) {
+        const data = bytes.subarray(block * 65535, (block + 1) * 65535);
+        out[offset] = block === blocks - 1 ? 1 : 0;
+        view.setUint16(offset + 1, data.length, true);
+        view.setUint16(offset + 3, ~data.length & 0xffff, true);
+        out.set(data, offset + 5);
+        offset += 5 + data.length;
+    }
+
+    // Adler-32 of the uncompressed bytes
+    let a = 1;
+    let b = 0;
+    for (const byte of bytes) {
+        a = (a + byte) % 65521;
+        b = (b + a) % 65521;
+    }
+    view.setUint32(offset, ((b << 16) | a) >>> 0);
+    return out;
+}
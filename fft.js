@@ -0,0 +1,67 @@
+// Radix-2 Stockham FFT over a zero-padded power-of-two grid, for the momentum-space view.
+// The GPU runs one dispatch per stage of fftStages() (getMomentumShader in app.js); fft2d()
+// is the same algorithm in JS for the CPU fallback.
+
+// Momentum-space inset in the bottom-right corner: size, margin and frame width as fractions of the canvas
+export const MOMENTUM_INSET_SIZE = 0.3;
+export const MOMENTUM_INSET_MARGIN = 0.02;
+export const MOMENTUM_INSET_BORDER = 0.01;
+
+export function nextPowerOfTwo(n) {
+    return 2 ** Math.ceil(Math.log2(Math.max(n, 1)));
+}
+
+// Every butterfly stage of a 2D transform: rows (axis 0) first, then columns (axis 1).
+// n is the line length and span the size of the sub-transforms being merged (1, 2, 4, …, n/2).
+export function fftStages(nx, ny) {
+    const stages = [];
+    for (const [axis, n] of [[0, nx], [1, ny]]) {
+        for (let span = 1; span < n; span *= 2) {
+            stages.push({ n, span, axis });
+        }
+    }
+    return stages;
+}
+
+// Forward DFT (e^{-ikx}, unnormalized) of an nx × ny complex grid; returns the [re, im] arrays
+// holding the result, which are either the inputs or the scratch pair (the stages ping-pong)
+export function fft2d(re, im, scratchRe, scratchIm, nx, ny) {
+    let src = [re, im];
+    let dst = [scratchRe, scratchIm];
+
+    for (const { n, span, axis } of fftStages(nx, ny)) {
+        const lines = axis === 0 ? ny : nx;
+        const lineStride = axis === 0 ? nx : 1;     // element e of a line is at line * lineStride + e * step
+        const step = axis === 0 ? 1 : nx;
+        const half = n / 2;
+
+        const twiddleR = new Float64Array(span);
+        const twiddleI = new Float64Array(span);
+        for (let k = 0; k < span; k++) {
+            twiddleR[k] = Math.cos(-Math.PI * k / span);
+            twiddleI[k] = Math.sin(-Math.PI * k / span);
+        }
+
+        const [srcR, srcI] = src;
+        const [dstR, dstI] = dst;
+        for (let line = 0; line < lines; line++) {
+            const base = line * lineStride;
+            for (let i = 0; i < half; i++) {
+                const k = i & (span - 1);
+                const a = base + i * step;
+                const b = base + (i + half) * step;
+                const bR = srcR[b] * twiddleR[k] - srcI[b] * twiddleI[k];
+                const bI = srcR[b] * twiddleI[k] + srcI[b] * twiddleR[k];
+
+                const even = base + (2 * i - k) * step;
+                const odd = even + span * step;
+                dstR[even] = srcR[a] + bR;
+                dstI[even] = srcI[a] + bI;
+                dstR[odd] = srcR[a] - bR;
+                dstI[odd] = srcI[a] - bI;
+            }
+        }
+        [src, dst] = [dst, src];
+    }
+    return src;
+}
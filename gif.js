@@ -0,0 +1,133 @@
+// Minimal animated GIF encoder for the offline recorder.
+// Frames are mapped onto a fixed 6×7×6 RGB palette with 4×4 ordered dithering, so no
+// per-frame quantization pass is needed, and LZW-compressed as they are added.
+
+const LEVELS = [6, 7, 6];
+const BAYER_4X4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+export class GifWriter {
+    constructor(width, height, delayMs) {
+        this.width = width;
+        this.height = height;
+        this.delay = Math.max(2, Math.round(delayMs / 10));   // centiseconds; browsers clamp below 2
+        this.indices = new Uint8Array(width * height);
+        this.chunks = [this.header()];
+    }
+
+    header() {
+        const bytes = [...'GIF89a'].map(c => c.charCodeAt(0));
+        bytes.push(...u16(this.width), ...u16(this.height), 0xf7, 0, 0);  // 256-entry global color table
+
+        const [levelsR, levelsG, levelsB] = LEVELS;
+        for (let i = 0; i < 256; i++) {
+            const r = Math.floor(i / (levelsG * levelsB));
+            const g = Math.floor(i / levelsB) % levelsG;
+            const b = i % levelsB;
+            if (r < levelsR) {
+                bytes.push(
+                    Math.round(r * 255 / (levelsR - 1)),
+                    Math.round(g * 255 / (levelsG - 1)),
+                    Math.round(b * 255 / (levelsB - 1)));
+            } else {
+                bytes.push(0, 0, 0);    // unused entries
+            }
+        }
+
+        // NETSCAPE2.0 application extension: loop forever
+        bytes.push(0x21, 0xff, 0x0b, ...[...'NETSCAPE2.0'].map(c => c.charCodeAt(0)), 0x03, 0x01, 0, 0, 0);
+        return new Uint8Array(bytes);
+    }
+
+    // rgba: width × height × 4 bytes, e.g. ImageData.data
+    addFrame(rgba) {
+        const [levelsR, levelsG, levelsB] = LEVELS;
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const i = y * this.width + x;
+                const threshold = (BAYER_4X4[(y & 3) * 4 + (x & 3)] + 0.5) / 16 - 0.5;
+                const r = quantize(rgba[4 * i], levelsR, threshold);
+                const g = quantize(rgba[4 * i + 1], levelsG, threshold);
+                const b = quantize(rgba[4 * i + 2], levelsB, threshold);
+                this.indices[i] = (r * levelsG + g) * levelsB + b;
+            }
+        }
+
+        const frame = [
+            0x21, 0xf9, 0x04, 0x04, ...u16(this.delay), 0, 0,           // graphic control: keep, delay
+            0x2c, 0, 0, 0, 0, ...u16(this.width), ...u16(this.height), 0  // image descriptor, no local table
+        ];
+        this.chunks.push(new Uint8Array(frame), lzwEncode(this.indices, 8));
+    }
+
+    finish() {
+        this.chunks.push(new Uint8Array([0x3b]));
+        return new Blob(this.chunks, { type: 'image/gif' });
+    }
+}
+
+function quantize(value, levels, threshold) {
+    const level = Math.round(value / 255 * (levels - 1) + threshold);
+    return Math.min(Math.max(level, 0), levels - 1);
+}
+
+function u16(value) {
+    return [value & 0xff, (value >> 8) & 0xff];
+}
+
+// GIF-flavoured LZW (variable code size up to 12 bits), packed into ≤255-byte sub-blocks
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [minCodeSize];
+    let block = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            block.push(bitBuffer & 0xff);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+            if (block.length === 255) {
+                out.push(255, ...block);
+                block = [];
+            }
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            table = new Map();
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) block.push(bitBuffer & 0xff);
+    if (block.length > 0) out.push(block.length, ...block);
+    out.push(0);
+
+    return new Uint8Array(out);
+}
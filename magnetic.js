@@ -0,0 +1,59 @@
+// Magnetic field through Peierls phases: hopping from a cell to its neighbour picks up e^{−iθ} with
+// θ = ∫A·dl along the link (charge and ℏ absorbed into A), which turns the finite-difference Laplacian
+// into the gauge-covariant (∇ − iA)². A is a uniform B in the symmetric gauge about the grid centre
+// plus a thin flux tube (solenoid) at the centre of a plaquette, for which θ is the flux times the angle
+// the link subtends at the tube, so every loop around it encloses exactly that flux and B = 0 elsewhere.
+// Each cell owns the links to its +x and +y neighbours; link_factor() in app.js is the WGSL version.
+
+// Per-grid constants of linkPhase(), or null when there is no field
+export function magneticField(params, width, height) {
+    if (!params.magneticField && !params.fluxTube) return null;
+    return {
+        width,
+        height,
+        uniform: params.magneticField * params.dx * params.dx / 2,    // B dx²/2, θ per cell of lever arm
+        flux: params.fluxTube,                                          // in flux quanta, 2π of phase each
+        tubeX: Math.floor(params.fluxX * width) + 0.5,
+        tubeY: Math.floor(params.fluxY * height) + 0.5
+    };
+}
+
+// Integrator the solvers actually run. Leapfrog updates ψ_R from ψ_I and back, which assumes a real H;
+// the Peierls phases make H complex and leapfrog can then blow up at any dt, so a field switches it to
+// split-operator
+export function fieldIntegrator(params) {
+    const integrator = Math.round(params.integrator);
+    return integrator === 1 && (params.magneticField || params.fluxTube) ? 2 : integrator;
+}
+
+// θ of the link from cell (x, y) to (x + 1, y) (axis 0) or (x, y + 1) (axis 1)
+export function linkPhase(field, x, y, axis) {
+    const stepX = axis === 0 ? 1 : 0;
+    const stepY = 1 - stepX;
+    const midX = x + stepX / 2 - field.width / 2;
+    const midY = y + stepY / 2 - field.height / 2;
+    let theta = field.uniform * (midX * stepY - midY * stepX);
+
+    if (field.flux !== 0) {
+        const ax = x - field.tubeX, ay = y - field.tubeY;
+        const bx = ax + stepX, by = ay + stepY;
+        theta += field.flux * Math.atan2(ax * by - ay * bx, ax * bx + ay * by);
+    }
+    return theta;
+}
+
+// e^{−iθ} of both links of every cell as [+x re, +x im, +y re, +y im] per cell
+export function linkFactors(field, width, height) {
+    const factors = new Float32Array(4 * width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const o = 4 * (y * width + x);
+            for (const axis of [0, 1]) {
+                const theta = linkPhase(field, x, y, axis);
+                factors[o + 2 * axis] = Math.cos(theta);
+                factors[o + 2 * axis + 1] = -Math.sin(theta);
+            }
+        }
+    }
+    return factors;
+}
@@ -0,0 +1,115 @@
+// Superpositions of Gaussian wavepackets for the packet list editor.
+// Positions are fractions of the grid, widths in grid cells, momenta in kx/ky slider units
+// and the relative phase in units of π.
+
+export function createPacket(values = {}) {
+    return {
+        x: 0.5,
+        y: 0.5,
+        sigmaX: 10,
+        sigmaY: 10,
+        kx: 0,
+        ky: 0,
+        phase: 0,
+        amplitude: 1,
+        ...values
+    };
+}
+
+// Narrowest packet in cells; anything smaller is not resolved by the grid
+const MIN_SIGMA = 0.5;
+
+// Editor columns, in the order of the encoded form
+export const PACKET_FIELDS = [
+    { key: 'x', label: 'x', step: 0.01, title: 'Centre x, fraction of the grid width' },
+    { key: 'y', label: 'y', step: 0.01, title: 'Centre y, fraction of the grid height' },
+    { key: 'sigmaX', label: 'σx', step: 1, title: 'Width along x in cells' },
+    { key: 'sigmaY', label: 'σy', step: 1, title: 'Width along y in cells' },
+    { key: 'kx', label: 'kx', step: 0.1, title: 'Momentum along x' },
+    { key: 'ky', label: 'ky', step: 0.1, title: 'Momentum along y' },
+    { key: 'phase', label: 'φ/π', step: 0.25, title: 'Relative phase in units of π' },
+    { key: 'amplitude', label: 'A', step: 0.1, title: 'Relative amplitude' }
+];
+
+export const PACKET_EXAMPLES = {
+    collision: {
+        label: 'Head-on collision',
+        packets: [
+            createPacket({ x: 0.3, kx: 3 }),
+            createPacket({ x: 0.7, kx: -3 })
+        ]
+    },
+    interference: {
+        label: 'Two spreading packets (interference)',
+        packets: [
+            createPacket({ y: 0.4, sigmaX: 5, sigmaY: 5 }),
+            createPacket({ y: 0.6, sigmaX: 5, sigmaY: 5 })
+        ]
+    },
+    cat: {
+        label: 'Cat state (opposite phases)',
+        packets: [
+            createPacket({ x: 0.35, ky: 2 }),
+            createPacket({ x: 0.65, ky: 2, phase: 1 })
+        ]
+    }
+};
+
+// Sum of the packets on a width × height grid; momentumUnit is the phase per cell of one k unit.
+// The sum is scaled so that max |ψ| = 1, the height of a single packet that the display scales assume.
+export function superposePackets(packets, width, height, momentumUnit) {
+    const real = new Float32Array(width * height);
+    const imag = new Float32Array(width * height);
+
+    for (const packet of packets) {
+        const centerX = packet.x * width;
+        const centerY = packet.y * height;
+        const k0x = packet.kx * momentumUnit;
+        const k0y = packet.ky * momentumUnit;
+        const phase0 = packet.phase * Math.PI;
+        const sigmaX = Math.max(packet.sigmaX, MIN_SIGMA);
+        const sigmaY = Math.max(packet.sigmaY, MIN_SIGMA);
+
+        for (let y = 0; y < height; y++) {
+            const dy = y - centerY;
+            const envelopeY = dy * dy / (2 * sigmaY * sigmaY);
+            for (let x = 0; x < width; x++) {
+                const dx = x - centerX;
+                const gaussian = packet.amplitude * Math.exp(-dx * dx / (2 * sigmaX * sigmaX) - envelopeY);
+                const phase = k0x * dx + k0y * dy + phase0;
+
+                const idx = y * width + x;
+                real[idx] += gaussian * Math.cos(phase);
+                imag[idx] += gaussian * Math.sin(phase);
+            }
+        }
+    }
+
+    let peak = 0;
+    for (let idx = 0; idx < real.length; idx++) {
+        peak = Math.max(peak, real[idx] * real[idx] + imag[idx] * imag[idx]);
+    }
+    // Packets that cancel out leave ψ = 0 rather than amplified rounding noise
+    if (peak > 1e-12) {
+        const scale = 1 / Math.sqrt(peak);
+        for (let idx = 0; idx < real.length; idx++) {
+            real[idx] *= scale;
+            imag[idx] *= scale;
+        }
+    }
+    return { real, imag };
+}
+
+// Compact text form for links: fields joined by ',' and packets by ';'
+export function encodePackets(packets) {
+    return packets.map(packet => PACKET_FIELDS.map(({ key }) => Number(packet[key].toPrecision(6))).join(',')).join(';');
+}
+
+// Inverse of encodePackets(); packets with missing or unreadable fields are dropped
+export function decodePackets(text) {
+    return text.split(';').flatMap(entry => {
+        const values = entry.split(',').map(parseFloat);
+        if (values.length !== PACKET_FIELDS.length || !values.every(Number.isFinite)) return [];
+        return [createPacket(Object.fromEntries(PACKET_FIELDS.map(({ key }, i) => [key, values[i]])))];
+    });
+}
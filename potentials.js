@@ -0,0 +1,141 @@
+// Analytic preset potentials for the "Preset" potential source
+// Each generator returns V_raw on the grid, on the same scale as the webcam potential
+// (0 = free space; the app then applies V = amplitude × (V_raw - offset)).
+// Lengths are in grid cells; every control key is also a key of QuantumWebcam.params.
+
+export const PRESET_POTENTIALS = {
+    slits: {
+        label: 'Slits (single / double / N)',
+        controls: [
+            { key: 'slitCount', label: 'Number of slits', min: 1, max: 8, step: 1, value: 2 },
+            { key: 'slitWidth', label: 'Slit width', min: 2, max: 60, step: 1, value: 8 },
+            { key: 'slitSpacing', label: 'Slit spacing', min: 4, max: 160, step: 1, value: 32 },
+            { key: 'slitThickness', label: 'Wall thickness', min: 1, max: 40, step: 1, value: 6 },
+            { key: 'slitPosition', label: 'Wall position (y)', min: 0.05, max: 0.95, step: 0.01, value: 0.65 },
+            { key: 'slitHeight', label: 'Wall height', min: 0.0, max: 2.0, step: 0.05, value: 1.0 }
+        ],
+        generate(width, height, p) {
+            const count = Math.round(p.slitCount);
+            const wallY = p.slitPosition * height;
+            const slitCenters = Array.from({ length: count },
+                (_, i) => width / 2 + (i - (count - 1) / 2) * p.slitSpacing);
+
+            return fill(width, height, (x, y) => {
+                if (Math.abs(y - wallY) >= p.slitThickness / 2) return 0;
+                const open = slitCenters.some(cx => Math.abs(x - cx) < p.slitWidth / 2);
+                return open ? 0 : p.slitHeight;
+            });
+        }
+    },
+
+    barrier: {
+        label: 'Finite square barrier',
+        controls: [
+            { key: 'barrierPosition', label: 'Position (y)', min: 0.05, max: 0.95, step: 0.01, value: 0.65 },
+            { key: 'barrierThickness', label: 'Thickness', min: 1, max: 80, step: 1, value: 8 },
+            { key: 'barrierHeight', label: 'Height', min: -1.0, max: 1.0, step: 0.01, value: 0.25 }
+        ],
+        generate(width, height, p) {
+            const barrierY = p.barrierPosition * height;
+            return fill(width, height, (x, y) =>
+                Math.abs(y - barrierY) < p.barrierThickness / 2 ? p.barrierHeight : 0);
+        }
+    },
+
+    harmonic: {
+        label: 'Harmonic oscillator',
+        controls: [
+            { key: 'harmonicStrength', label: 'Height at the edge', min: 0.01, max: 2.0, step: 0.01, value: 0.5 },
+            { key: 'harmonicAspect', label: 'Aspect ωᵧ/ωₓ', min: 0.25, max: 4.0, step: 0.05, value: 1.0 }
+        ],
+        // V_raw = strength × (r / R)², R = half the shorter side of the grid
+        generate(width, height, p) {
+            const radius = Math.min(width, height) / 2;
+            return fill(width, height, (x, y) => {
+                const rx = (x - width / 2) / radius;
+                const ry = (y - height / 2) / radius * p.harmonicAspect;
+                return p.harmonicStrength * (rx * rx + ry * ry);
+            });
+        }
+    },
+
+    well: {
+        label: 'Circular well',
+        controls: [
+            { key: 'wellRadius', label: 'Radius', min: 5, max: 300, step: 1, value: 120 },
+            { key: 'wellHeight', label: 'Wall height', min: 0.0, max: 2.0, step: 0.05, value: 1.0 }
+        ],
+        generate(width, height, p) {
+            return fill(width, height, (x, y) =>
+                Math.hypot(x - width / 2, y - height / 2) < p.wellRadius ? 0 : p.wellHeight);
+        }
+    },
+
+    lattice: {
+        label: 'Periodic lattice',
+        controls: [
+            { key: 'latticePeriod', label: 'Period', min: 4, max: 120, step: 1, value: 32 },
+            { key: 'latticeHeight', label: 'Height', min: 0.0, max: 1.0, step: 0.01, value: 0.2 }
+        ],
+        // Egg-crate cos lattice between 0 and height
+        generate(width, height, p) {
+            const k = 2 * Math.PI / p.latticePeriod;
+            return fill(width, height, (x, y) =>
+                p.latticeHeight * 0.25 * (2 + Math.cos(k * x) + Math.cos(k * y)));
+        }
+    },
+
+    ramp: {
+        label: 'Ramp (uniform force)',
+        controls: [
+            { key: 'rampHeight', label: 'Height difference', min: -1.0, max: 1.0, step: 0.01, value: 0.3 },
+            { key: 'rampAngle', label: 'Uphill direction (°)', min: -180, max: 180, step: 5, value: 90 }
+        ],
+        // Linear from 0 on one side of the grid to height on the opposite side
+        generate(width, height, p) {
+            const angle = p.rampAngle * Math.PI / 180;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            const extent = Math.abs(cos) * width + Math.abs(sin) * height;
+            return fill(width, height, (x, y) =>
+                p.rampHeight * (0.5 + ((x - width / 2) * cos + (y - height / 2) * sin) / extent));
+        }
+    }
+};
+
+function fill(width, height, valueAt) {
+    const data = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data[y * width + x] = valueAt(x + 0.5, y + 0.5);
+        }
+    }
+    return data;
+}
+
+// Default value of every preset control, keyed like QuantumWebcam.params
+export function presetDefaults() {
+    const defaults = {};
+    for (const preset of Object.values(PRESET_POTENTIALS)) {
+        for (const control of preset.controls) {
+            defaults[control.key] = control.value;
+        }
+    }
+    return defaults;
+}
+
+export function generatePresetPotential(type, width, height, params) {
+    const preset = PRESET_POTENTIALS[type] ?? PRESET_POTENTIALS.slits;
+    return preset.generate(width, height, params);
+}
+
+// Grayscale RGBA preview of V_raw for the background (dark = high potential, like the webcam)
+export function potentialToPixels(data) {
+    const pixels = new Uint8ClampedArray(data.length * 4);
+    for (let i = 0; i < data.length; i++) {
+        const gray = 255 * (1 - Math.min(Math.max(data[i], 0), 1));
+        pixels[4 * i] = pixels[4 * i + 1] = pixels[4 * i + 2] = gray;
+        pixels[4 * i + 3] = 255;
+    }
+    return pixels;
+}
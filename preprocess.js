@@ -0,0 +1,146 @@
+// Preprocessing of webcam/image potentials, applied to the barrier signal s ∈ [0, 1] (1 = barrier)
+// before V_raw = s² × base scale. In order: background subtraction, Gaussian blur, temporal
+// smoothing, Sobel edges, threshold. getPotentialShader() in app.js runs the same chain on the GPU.
+
+// params.thresholdMode
+export const THRESHOLD = { OFF: 0, HARD: 1, SOFT: 2 };
+
+// Largest blur kernel half-width in cells; the kernel reaches out to 3σ
+export const MAX_BLUR_RADIUS = 32;
+
+export function blurKernelRadius(sigma) {
+    return Math.min(Math.ceil(3 * sigma), MAX_BLUR_RADIUS);
+}
+
+// Pixel quantities the potential can be taken from (params.potentialChannel is the index). Luminance and
+// the colour channels make dark pixels barriers; hue maps the colour wheel to height; saturation and chroma
+// key make saturated pixels, or pixels close to the key colour, barriers. Invert flips all of them.
+export const POTENTIAL_CHANNELS = [
+    { label: 'Luminance (Rec. 601)' },
+    { label: 'Red' },
+    { label: 'Green' },
+    { label: 'Blue' },
+    { label: 'Hue' },
+    { label: 'Saturation' },
+    { label: 'Chroma key' }
+];
+
+export const CHANNEL = { LUMINANCE: 0, RED: 1, GREEN: 2, BLUE: 3, HUE: 4, SATURATION: 5, CHROMA_KEY: 6 };
+
+// Chroma (Cb, Cr of YCbCr) of an RGB colour, for keying independently of brightness
+export function chroma(r, g, b) {
+    return [
+        -0.168736 * r - 0.331264 * g + 0.5 * b,
+        0.5 * r - 0.418688 * g - 0.081312 * b
+    ];
+}
+
+// '#rrggbb' -> [r, g, b] in 0..1
+export function parseHexColor(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => c / 255);
+}
+
+// Per-frame constants of barrierSignal() from the params
+export function signalOptions(params) {
+    return {
+        invert: params.invertBoundaries,
+        channel: Math.round(params.potentialChannel),
+        key: chroma(...parseHexColor(params.chromaKeyColor)),
+        tolerance: params.chromaKeyTolerance
+    };
+}
+
+// Barrier signal of one pixel (0..1 channels), from the selected channel. With a background reference it is
+// the colour distance to the reference instead, so whatever was not there becomes a barrier.
+export function barrierSignal(r, g, b, background, options) {
+    let signal;
+    if (background) {
+        signal = Math.min(Math.hypot(r - background[0], g - background[1], b - background[2]), 1.0);
+    } else {
+        switch (options.channel) {
+            case CHANNEL.RED: signal = 1.0 - r; break;
+            case CHANNEL.GREEN: signal = 1.0 - g; break;
+            case CHANNEL.BLUE: signal = 1.0 - b; break;
+            case CHANNEL.HUE: {
+                const max = Math.max(r, g, b);
+                const range = max - Math.min(r, g, b);
+                let hue = 0;
+                if (range > 0) {
+                    if (max === r) hue = (g - b) / range;
+                    else if (max === g) hue = (b - r) / range + 2;
+                    else hue = (r - g) / range + 4;
+                }
+                signal = (hue / 6 + 1) % 1;
+                break;
+            }
+            case CHANNEL.SATURATION: {
+                const max = Math.max(r, g, b);
+                signal = max > 0 ? (max - Math.min(r, g, b)) / max : 0;
+                break;
+            }
+            case CHANNEL.CHROMA_KEY: {
+                const [cb, cr] = chroma(r, g, b);
+                const distance = Math.hypot(cb - options.key[0], cr - options.key[1]);
+                signal = Math.max(1.0 - distance / options.tolerance, 0);
+                break;
+            }
+            default: signal = 1.0 - (r * 0.299 + g * 0.587 + b * 0.114);
+        }
+    }
+    return options.invert ? 1.0 - signal : signal;
+}
+
+// Separable Gaussian blur of a width × height field with clamped edges; data is blurred in place
+export function gaussianBlur(data, scratch, width, height, sigma) {
+    const radius = blurKernelRadius(sigma);
+    if (radius < 1) return;
+
+    const weights = new Float32Array(radius + 1);
+    for (let d = 0; d <= radius; d++) {
+        weights[d] = Math.exp(-d * d / (2 * sigma * sigma));
+    }
+
+    const pass = (src, dst, alongX) => {
+        const n = alongX ? width : height;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const pos = alongX ? x : y;
+                let sum = 0;
+                let total = 0;
+                for (let d = -radius; d <= radius; d++) {
+                    const p = Math.min(Math.max(pos + d, 0), n - 1);
+                    const w = weights[Math.abs(d)];
+                    sum += w * (alongX ? src[y * width + p] : src[p * width + x]);
+                    total += w;
+                }
+                dst[y * width + x] = sum / total;
+            }
+        }
+    };
+    pass(data, scratch, true);
+    pass(scratch, data, false);
+}
+
+// Sobel gradient magnitude at (x, y), scaled so that a unit step gives 1
+export function sobelMagnitude(data, x, y, width, height) {
+    const at = (dx, dy) => {
+        const px = Math.min(Math.max(x + dx, 0), width - 1);
+        const py = Math.min(Math.max(y + dy, 0), height - 1);
+        return data[py * width + px];
+    };
+    const gx = at(1, -1) + 2 * at(1, 0) + at(1, 1) - at(-1, -1) - 2 * at(-1, 0) - at(-1, 1);
+    const gy = at(-1, 1) + 2 * at(0, 1) + at(1, 1) - at(-1, -1) - 2 * at(0, -1) - at(1, -1);
+    return Math.min(Math.hypot(gx, gy) * 0.25, 1.0);
+}
+
+// Threshold with hysteresis per pixel across frames: a pixel that was on last frame (previous > 0)
+// stays on down to threshold - hysteresis/2, one that was off needs threshold + hysteresis/2.
+// Hard gives 0 or 1; soft keeps the signal above the threshold, rescaled to 0..1.
+export function applyThreshold(signal, previous, mode, threshold, hysteresis) {
+    const level = threshold + (previous > 0 ? -0.5 : 0.5) * hysteresis;
+    if (mode === THRESHOLD.HARD) {
+        return signal > level ? 1.0 : 0.0;
+    }
+    return Math.min(Math.max((signal - level) / Math.max(1.0 - level, 1e-3), 0), 1);
+}
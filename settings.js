@@ -0,0 +1,56 @@
+// Parameter sets as URL query strings (for the page hash) and named sets kept in localStorage.
+// Only values that differ from the defaults are written, so links stay short and
+// keep working when new parameters are added.
+
+const STORAGE_KEY = 'quantumcam.settings';
+
+// Parameters that describe the machine rather than the scene
+const EXCLUDED = new Set(['width', 'height']);
+
+// Non-param state stored next to the params, e.g. { source: 'preset' }
+export function encodeSettings(params, defaults, extra = {}) {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+        if (EXCLUDED.has(key) || !(key in defaults) || value === defaults[key]) continue;
+        query.set(key, typeof value === 'number' ? String(Number(value.toPrecision(6))) : String(value));
+    }
+    for (const [key, value] of Object.entries(extra)) {
+        if (value !== undefined) query.set(key, value);
+    }
+    return query.toString();
+}
+
+// Inverse of encodeSettings(): values are converted to the type of the default,
+// unknown keys are returned in extra
+export function decodeSettings(queryString, defaults) {
+    const params = {};
+    const extra = {};
+    for (const [key, value] of new URLSearchParams(queryString)) {
+        if (EXCLUDED.has(key)) continue;
+        if (!(key in defaults)) {
+            extra[key] = value;
+        } else if (typeof defaults[key] === 'number') {
+            const number = parseFloat(value);
+            if (Number.isFinite(number)) params[key] = number;
+        } else if (typeof defaults[key] === 'boolean') {
+            params[key] = value === 'true' || value === '1';
+        } else {
+            params[key] = value;
+        }
+    }
+    return { params, extra };
+}
+
+// { name: query string } of every saved set
+export function loadSavedSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+    } catch (error) {
+        console.warn('Ignoring unreadable saved settings:', error);
+        return {};
+    }
+}
+
+export function storeSavedSettings(saved) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+}
@@ -0,0 +1,99 @@
+// Snapshot files: the full simulation state (ψ, V, params, time) in one gzip-compressed blob.
+// Layout before compression: 'QCS1', u32 header length, JSON header padded to 4 bytes,
+// then the Float32 fields listed in header.fields, each width × height values, little-endian.
+
+const MAGIC = 'QCS1';
+const VERSION = 1;
+
+export const SNAPSHOT_EXTENSION = '.qcam';
+
+// header: { width, height, time, params, potentialSource }, fields: { name: Float32Array }
+export async function encodeSnapshot(header, fields) {
+    const names = Object.keys(fields);
+    const json = new TextEncoder().encode(JSON.stringify({ ...header, version: VERSION, fields: names }));
+    const headerLength = Math.ceil(json.length / 4) * 4;
+    const fieldBytes = header.width * header.height * 4;
+
+    const bytes = new Uint8Array(8 + headerLength + names.length * fieldBytes);
+    const view = new DataView(bytes.buffer);
+    bytes.set(new TextEncoder().encode(MAGIC), 0);
+    view.setUint32(4, headerLength, true);
+    bytes.set(json, 8);
+    bytes.fill(0x20, 8 + json.length, 8 + headerLength);   // pad with spaces, still valid JSON
+
+    let offset = 8 + headerLength;
+    for (const name of names) {
+        const data = fields[name];
+        for (let i = 0; i < data.length; i++) {
+            view.setFloat32(offset + 4 * i, data[i], true);
+        }
+        offset += fieldBytes;
+    }
+
+    const blob = new Blob([bytes], { type: 'application/octet-stream' });
+    if (typeof CompressionStream === 'undefined') return blob;
+    return new Response(blob.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+}
+
+// Returns { header, fields } from a Blob or File written by encodeSnapshot (compressed or not)
+export async function decodeSnapshot(blob) {
+    let bytes = new Uint8Array(await blob.arrayBuffer());
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress snapshot files');
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    if (new TextDecoder().decode(bytes.subarray(0, 4)) !== MAGIC) {
+        throw new Error('Not a snapshot file');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const headerLength = view.getUint32(4, true);
+    const header = JSON.parse(new TextDecoder().decode(bytes.subarray(8, 8 + headerLength)));
+    if (header.version > VERSION) {
+        throw new Error(`Snapshot version ${header.version} is newer than this app supports`);
+    }
+
+    const count = header.width * header.height;
+    const fields = {};
+    let offset = 8 + headerLength;
+    for (const name of header.fields) {
+        if (offset + count * 4 > bytes.length) throw new Error('Snapshot file is truncated');
+        const data = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            data[i] = view.getFloat32(offset + 4 * i, true);
+        }
+        fields[name] = data;
+        offset += count * 4;
+    }
+
+    return { header, fields };
+}
+
+// Bilinear resampling of a width × height field onto a newWidth × newHeight grid (cell centres aligned)
+export function resampleField(data, width, height, newWidth, newHeight) {
+    if (width === newWidth && height === newHeight) return data;
+
+    const out = new Float32Array(newWidth * newHeight);
+    for (let y = 0; y < newHeight; y++) {
+        const sy = Math.min(Math.max((y + 0.5) * height / newHeight - 0.5, 0), height - 1);
+        const y0 = Math.floor(sy);
+        const y1 = Math.min(y0 + 1, height - 1);
+        const fy = sy - y0;
+
+        for (let x = 0; x < newWidth; x++) {
+            const sx = Math.min(Math.max((x + 0.5) * width / newWidth - 0.5, 0), width - 1);
+            const x0 = Math.floor(sx);
+            const x1 = Math.min(x0 + 1, width - 1);
+            const fx = sx - x0;
+
+            const top = data[y0 * width + x0] * (1 - fx) + data[y0 * width + x1] * fx;
+            const bottom = data[y1 * width + x0] * (1 - fx) + data[y1 * width + x1] * fx;
+            out[y * newWidth + x] = top * (1 - fy) + bottom * fy;
+        }
+    }
+    return out;
+}
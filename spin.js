@@ -0,0 +1,56 @@
+// Spin-½ mode: a two-component ψ = (ψ↑, ψ↓) with H = H₀ + B_z(r) σ_z + B_x σ_x, the magnetic moment
+// absorbed into B (energy units). B_z is uniform plus a linear gradient, the Stern–Gerlach field, or
+// follows V_raw of the potential source so the camera image shapes it. The solvers step each component
+// with V ± B_z, then rotate the pair by e^{−iB_x σ_x dt}. spin_field_z() in app.js is the WGSL version.
+
+// params.spinFieldSource
+export const SPIN_FIELD = { GRADIENT: 0, POTENTIAL: 1 };
+
+// params.spinView: which component the display modes show, or ⟨σ_z⟩ as a colour
+export const SPIN_VIEW = { UP: 0, DOWN: 1, SIGMA_Z: 2 };
+
+// Spin colours of the ⟨σ_z⟩ view, ↑ and ↓
+const UP_COLOR = [1.0, 0.35, 0.2];
+const DOWN_COLOR = [0.2, 0.55, 1.0];
+
+// Spinor (cos θ/2, e^{iφ} sin θ/2) of new wavefunctions and the source, as [↑ re, ↑ im, ↓ re, ↓ im]
+export function spinorWeights(params) {
+    if (!params.spinEnabled) return [1, 0, 0, 0];
+    const theta = params.spinTheta * Math.PI / 180;
+    const phi = params.spinPhi * Math.PI / 180;
+    return [Math.cos(theta / 2), 0, Math.sin(theta / 2) * Math.cos(phi), Math.sin(theta / 2) * Math.sin(phi)];
+}
+
+// What the kernels need per component: the sign of B_z in its potential (0 without spin) and the
+// complex weight of the source in it
+export function spinComponents(params) {
+    const [upR, upI, downR, downI] = spinorWeights(params);
+    if (!params.spinEnabled) return [{ sign: 0, weight: [upR, upI] }];
+    return [{ sign: 1, weight: [upR, upI] }, { sign: -1, weight: [downR, downI] }];
+}
+
+// B_z at cell (x, y) of a width × height grid; raw is V_raw of the cell
+export function spinFieldZ(params, x, y, raw, width, height) {
+    if (Math.round(params.spinFieldSource) === SPIN_FIELD.POTENTIAL) {
+        return params.spinField + params.spinGradient * raw;
+    }
+    const angle = params.spinGradientAngle * Math.PI / 180;
+    return params.spinField + params.spinGradient * ((x - width / 2) * Math.cos(angle) + (y - height / 2) * Math.sin(angle)) / width;
+}
+
+// ⟨σ_z⟩ colour: ↑ and ↓ colours mixed by the local spin polarization, at the given brightness
+export function sigmaZColor(upDensity, downDensity, brightness) {
+    const up = upDensity / Math.max(upDensity + downDensity, 1e-30);
+    return UP_COLOR.map((c, i) => (c * up + DOWN_COLOR[i] * (1 - up)) * brightness);
+}
+
+// Same colours for the shader
+export function getSpinColorWGSL() {
+    return `const SPIN_UP_COLOR = vec3<f32>(${UP_COLOR.join(', ')});
+const SPIN_DOWN_COLOR = vec3<f32>(${DOWN_COLOR.join(', ')});
+
+fn sigma_z_color(up_density: f32, down_density: f32, brightness: f32) -> vec3<f32> {
+    let up = up_density / max(up_density + down_density, 1e-30);
+    return mix(SPIN_DOWN_COLOR, SPIN_UP_COLOR, up) * brightness;
+}`;
+}
@@ -0,0 +1,79 @@
+// Uncompressed ("stored") ZIP archives, for downloading many files at once.
+// files: [{ name, data: Uint8Array }] -> Blob
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+export function createZip(files) {
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    // DOS date/time of now, as every entry's modification time
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    for (const { name, data } of files) {
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);    // local file header signature
+        local.setUint16(4, 20, true);            // version needed
+        local.setUint16(6, 0x0800, true);        // UTF-8 names
+        local.setUint16(8, 0, true);             // stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+        chunks.push(local, nameBytes, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);    // central directory signature
+        entry.setUint16(4, 20, true);            // version made by
+        entry.setUint16(6, 20, true);            // version needed
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, time, true);
+        entry.setUint16(14, date, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint32(42, offset, true);       // local header offset (comment, disk, attrs stay 0)
+        central.push(entry, nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);          // end of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...central, end], { type: 'application/zip' });
+}